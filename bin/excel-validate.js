@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Command-line validator: runs the same checks as the web app on files or directories, writes the
+// annotated workbook and an issue report next to each input and prints a summary table.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_PROFILE, ProfileError, loadProfile, loadSheetProfiles } = require('../lib/profiles');
+const { resolveColumnMap } = require('../lib/mappings');
+const { FORMATS } = require('../lib/formats');
+const { CHECK_TYPES, validateWorkbook, writeValidatedWorkbook, issueReport, issueReportCsv } = require('../lib');
+const { LANGUAGES, DEFAULT_LANG } = require('../lib/messages');
+
+// Files this tool wrote itself are skipped when scanning a directory again
+const OUTPUT_MARKER = /\.(validated|report)\.[^.]+$/i;
+
+const USAGE = `Usage: excel-validate [options] <file|directory>...
+
+Validates xlsx, xls, ods and csv files (directories are scanned recursively) and writes
+<name>.validated.<ext> and <name>.report.<json|csv> next to each input.
+
+Options:
+  -t, --type <check>          ${CHECK_TYPES.join(', ')} (default: all)
+  -p, --profile <name>        validation profile (default: ${DEFAULT_PROFILE})
+      --sheet-profiles <json> per-sheet profiles, e.g. '{"Riyadh": "default"}'
+      --column-map <json>     uploaded headers to profile columns, e.g. '{"Asset": "asset_name"}'
+      --lang <lang>           language of messages and notes: ${LANGUAGES.join(' or ')} (default: ${DEFAULT_LANG})
+      --fix                   apply automatic fixes and add a Changes sheet
+      --fixes <ids>           comma-separated fixes to accept (default: all but convert_units)
+      --output-mode <mode>    annotate or clean (default: clean)
+      --output-format <fmt>   xlsx or original (default: xlsx)
+      --error-column          add a validation_messages column
+      --report <fmt>          json or csv (default: json)
+      --out-dir <dir>         write outputs here instead of next to the inputs
+      --no-output             only print the summary
+      --max-errors <n>        errors allowed per sheet (default: the profile's policy, usually 0)
+      --max-warnings <n>      warnings allowed per sheet (default: the profile's policy, usually any)
+      --encoding <name>       CSV encoding (default: auto)
+      --delimiter <char>      CSV delimiter, or "tab" (default: auto)
+  -h, --help                  show this help
+
+Exit status: 0 when every sheet passed its pass/fail policy, 1 when one failed or a file could
+not be validated, 2 on invalid arguments.`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        type: { type: 'string', short: 't', default: 'all' },
+        profile: { type: 'string', short: 'p', default: DEFAULT_PROFILE },
+        'sheet-profiles': { type: 'string' },
+        'column-map': { type: 'string' },
+        lang: { type: 'string', default: DEFAULT_LANG },
+        fix: { type: 'boolean', default: false },
+        fixes: { type: 'string' },
+        'output-mode': { type: 'string', default: 'clean' },
+        'output-format': { type: 'string', default: 'xlsx' },
+        'error-column': { type: 'boolean', default: false },
+        report: { type: 'string', default: 'json' },
+        'out-dir': { type: 'string' },
+        'no-output': { type: 'boolean', default: false },
+        'max-errors': { type: 'string' },
+        'max-warnings': { type: 'string' },
+        encoding: { type: 'string' },
+        delimiter: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (positionals.length === 0) throw new UsageError('No input files given');
+  if (!CHECK_TYPES.includes(values.type)) throw new UsageError(`--type must be one of: ${CHECK_TYPES.join(', ')}`);
+  if (!LANGUAGES.includes(values.lang)) throw new UsageError(`--lang must be one of: ${LANGUAGES.join(', ')}`);
+  if (!['annotate', 'clean'].includes(values['output-mode'])) throw new UsageError('--output-mode must be "annotate" or "clean"');
+  if (!['xlsx', 'original'].includes(values['output-format'])) throw new UsageError('--output-format must be "xlsx" or "original"');
+  if (!['json', 'csv'].includes(values.report)) throw new UsageError('--report must be "json" or "csv"');
+  const policy = {};
+  [['max-errors', 'maxErrors'], ['max-warnings', 'maxWarnings']].forEach(([flag, key]) => {
+    if (values[flag] === undefined) return;
+    const limit = Number(values[flag]);
+    if (!Number.isInteger(limit) || limit < 0) throw new UsageError(`--${flag} must be a non-negative integer`);
+    policy[key] = limit;
+  });
+  return { ...values, policy: Object.keys(policy).length ? policy : undefined, inputs: positionals };
+}
+
+// Expand directories into the spreadsheet files they contain, in a stable order
+function collectFiles(inputs) {
+  const files = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) walk(full);
+        else if (FORMATS.includes(path.extname(entry.name).slice(1).toLowerCase()) && !OUTPUT_MARKER.test(entry.name)) files.push(full);
+      });
+  };
+  inputs.forEach(input => {
+    if (!fs.existsSync(input)) throw new UsageError(`No such file or directory: ${input}`);
+    if (fs.statSync(input).isDirectory()) walk(input);
+    else files.push(input);
+  });
+  return files;
+}
+
+function outputPath(file, options, suffix) {
+  const base = path.basename(file, path.extname(file)) + suffix;
+  return path.join(options['out-dir'] || path.dirname(file), base);
+}
+
+// Validate one file and write its outputs; returns one summary row per worksheet
+async function processFile(file, options, profiles) {
+  const delimiter = options.delimiter === 'tab' ? '\t' : options.delimiter;
+  const result = await validateWorkbook(fs.readFileSync(file), {
+    profile: profiles.profile,
+    sheetProfiles: profiles.sheetProfiles,
+    columnMap: profiles.columnMap,
+    lang: options.lang,
+    type: options.type,
+    fix: options.fix,
+    fixes: options.fixes === undefined ? undefined : options.fixes.split(',').map(id => id.trim()),
+    policy: options.policy,
+    encoding: options.encoding,
+    delimiter,
+    sheetName: path.basename(file, path.extname(file)).replace(/[[\]*?/\\:]/g, '_').slice(0, 31) || 'Sheet1',
+  });
+  const validated = result.sheets.some(s => !s.error);
+  if (validated && !options['no-output'] && options.type !== 'sum') {
+    if (options['out-dir']) fs.mkdirSync(options['out-dir'], { recursive: true });
+    const { ext, buffer } = await writeValidatedWorkbook(result, {
+      outputFormat: options['output-format'],
+      outputMode: options['output-mode'],
+      errorColumn: options['error-column'],
+    });
+    fs.writeFileSync(outputPath(file, options, `.validated.${ext}`), buffer);
+    const report = options.report === 'csv' ? issueReportCsv(result) : JSON.stringify(issueReport(result), null, 2);
+    fs.writeFileSync(outputPath(file, options, `.report.${options.report}`), report);
+  }
+  return result.sheets.map(sheet => ({
+    file,
+    sheet: sheet.name,
+    profile: sheet.profile,
+    rows: sheet.rows.length,
+    errors: sheet.verdict ? sheet.verdict.errors : null,
+    warnings: sheet.verdict ? sheet.verdict.warnings : null,
+    notices: sheet.verdict ? sheet.verdict.infos : null,
+    fixed: sheet.changes && options.fix ? sheet.changes.length : null,
+    total: sheet.total === null || sheet.total === undefined ? null : sheet.total,
+    // Values left out of the total because they are empty or not numbers
+    excluded: sheet.aggregates ? sheet.aggregates.excluded.reduce((n, e) => n + e.count, 0) : null,
+    status: sheet.error ? errorStatus(sheet) : sheetStatus(sheet),
+    failed: !validated,
+    // A sum run has no verdict and fails nothing
+    rejected: sheet.verdict ? !sheet.verdict.passed : false,
+  }));
+}
+
+function errorStatus(sheet) {
+  return sheet.skipped ? 'skipped (no profile columns)' : `missing ${sheet.missingColumns.length} required column(s)`;
+}
+
+function sheetStatus(sheet) {
+  if (!sheet.verdict) return 'ok';
+  return sheet.verdict.passed ? 'passed' : 'failed';
+}
+
+function printTable(rows) {
+  const columns = [
+    ['File', r => r.file],
+    ['Sheet', r => r.sheet],
+    ['Profile', r => r.profile],
+    ['Rows', r => r.rows],
+    ['Errors', r => r.errors],
+    ['Warnings', r => r.warnings],
+    ['Notices', r => r.notices],
+    ['Fixed', r => r.fixed],
+    ['Total', r => (r.total === null ? null : r.total.toLocaleString('en'))],
+    ['Excluded', r => r.excluded],
+    ['Status', r => r.status],
+  ].filter(([title, get]) => title === 'File' || rows.some(r => get(r) !== null && get(r) !== undefined));
+  const cells = rows.map(r => columns.map(([, get]) => (get(r) === null || get(r) === undefined ? '' : String(get(r)))));
+  const widths = columns.map(([title], j) => Math.max(title.length, ...cells.map(c => c[j].length)));
+  const line = (values) => values.map((v, j) => v.padEnd(widths[j])).join('  ').trimEnd();
+  console.log(line(columns.map(([title]) => title)));
+  console.log(line(widths.map(w => '-'.repeat(w))));
+  cells.forEach(c => console.log(line(c)));
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    const profiles = {
+      profile: loadProfile(options.profile),
+      sheetProfiles: loadSheetProfiles(options['sheet-profiles']),
+      columnMap: resolveColumnMap(null, options['column-map']),
+    };
+    const files = collectFiles(options.inputs);
+    if (files.length === 0) throw new UsageError('No spreadsheet files found');
+    const rows = [];
+    for (const file of files) {
+      try {
+        rows.push(...await processFile(file, options, profiles));
+      } catch (err) {
+        // An unknown fix id is a usage error; a file that cannot be read or validated is reported and the
+        // batch carries on
+        if (err instanceof ProfileError) throw new UsageError(err.message);
+        rows.push({ file, sheet: '', profile: options.profile, rows: null, errors: null, warnings: null, notices: null, fixed: null, total: null, excluded: null, status: err.message, failed: true });
+      }
+    }
+    printTable(rows);
+    const errors = rows.reduce((n, r) => n + (r.errors || 0), 0);
+    const warnings = rows.reduce((n, r) => n + (r.warnings || 0), 0);
+    const failedFiles = new Set(rows.filter(r => r.failed).map(r => r.file));
+    const rejected = rows.filter(r => r.rejected).length;
+    console.log(`\n${files.length} file(s), ${errors} error(s)${warnings ? `, ${warnings} warning(s)` : ''}${rejected ? `, ${rejected} sheet(s) failed` : ''}${failedFiles.size ? `, ${failedFiles.size} file(s) not validated` : ''}`);
+    if (failedFiles.size || rejected) return 1;
+    return 0;
+  } catch (err) {
+    if (err instanceof UsageError || err instanceof ProfileError) {
+      console.error(`excel-validate: ${err.message}`);
+      if (err instanceof UsageError) console.error('Try "excel-validate --help".');
+      return 2;
+    }
+    throw err;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(err => {
+  console.error(err.stack || err.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,78 @@
+// Totals of a sheet's value column (final_value unless the profile says otherwise), overall and grouped
+// by the columns of the profile's `aggregations` section, pivot-table style:
+//   "aggregations": { "value": "final_value", "groupBy": ["asset_type", ["region", "city"]] }
+// Values that cannot be read as a number are left out of every total and counted per reason with
+// their rows, rather than silently adding 0.
+
+const DEFAULT_VALUE_COLUMN = 'final_value';
+const THOUSANDS = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+// { amount } for a number or numeric text (thousands separators allowed), otherwise { reason }:
+// "empty" or "not_number"
+function readAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? { amount: value } : { reason: 'not_number' };
+  if (value === null || value === undefined) return { reason: 'empty' };
+  let s = String(value).trim();
+  if (s === '') return { reason: 'empty' };
+  if (THOUSANDS.test(s)) s = s.replace(/,/g, '');
+  return NUMBER.test(s) ? { amount: Number(s) } : { reason: 'not_number' };
+}
+
+// Group label of a cell; blank cells form their own group (null)
+function groupValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  const s = String(value).trim();
+  return s === '' ? null : s;
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === null) return 1;
+    if (b[i] === null) return -1;
+    return a[i].localeCompare(b[i], undefined, { numeric: true });
+  }
+  return 0;
+}
+
+// { column, total, count, excluded: [{ reason, count, rows }], groups: [{ by, rows: [{ key, count, total, excluded }] }] }
+// with data-row indexes in `rows`; null when the sheet has no value column. Group-bys naming a column
+// the sheet lacks are left out.
+function aggregateSheet(rows, header, profile) {
+  const { value: column = DEFAULT_VALUE_COLUMN, groupBy = [] } = profile.aggregations || {};
+  const idx = header.indexOf(column);
+  if (idx === -1) return null;
+  const amounts = rows.map(row => readAmount(row[idx]));
+  const excluded = new Map();
+  amounts.forEach((a, i) => {
+    if (a.reason) excluded.set(a.reason, (excluded.get(a.reason) || []).concat(i));
+  });
+  const groups = groupBy.filter(by => by.every(col => header.includes(col))).map(by => {
+    const cols = by.map(col => header.indexOf(col));
+    const byKey = new Map();
+    rows.forEach((row, i) => {
+      const key = cols.map(j => groupValue(row[j]));
+      const id = JSON.stringify(key);
+      const group = byKey.get(id) || { key, count: 0, total: 0, excluded: 0 };
+      group.count++;
+      if (amounts[i].reason) group.excluded++;
+      else group.total += amounts[i].amount;
+      byKey.set(id, group);
+    });
+    return { by, rows: [...byKey.values()].sort((a, b) => compareKeys(a.key, b.key)) };
+  });
+  return {
+    column,
+    total: amounts.reduce((acc, a) => (a.reason ? acc : acc + a.amount), 0),
+    count: amounts.filter(a => !a.reason).length,
+    excluded: [...excluded].map(([reason, indexes]) => ({ reason, count: indexes.length, rows: indexes })),
+    groups,
+  };
+}
+
+module.exports = {
+  readAmount,
+  aggregateSheet,
+};
@@ -0,0 +1,53 @@
+// ExcelJS hands back cell values in several shapes: Date objects, { formula, result },
+// { richText: [...] }, { text, hyperlink } and { error }. Validators work on plain
+// strings/numbers, so every cell is resolved to one of those before validation.
+
+const { formatDate } = require('./dates');
+
+function richTextToString(richText) {
+  return richText.map(part => part.text).join('');
+}
+
+function normalizeCellValue(value) {
+  if (value === null || value === undefined) return value;
+  // Excel dates carry no time zone; ExcelJS reads them as UTC midnight
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : formatDate(value);
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value.richText)) return richTextToString(value.richText);
+  if (value.formula !== undefined || value.sharedFormula !== undefined) return normalizeCellValue(value.result);
+  if (value.hyperlink !== undefined) return normalizeCellValue(value.text);
+  if (value.error !== undefined) return value.error;
+  if (value.text !== undefined) return normalizeCellValue(value.text);
+  return String(value);
+}
+
+// Snapshot of what the cell held in the upload, so the output can keep formulas, dates and links
+function cellSource(cell) {
+  if (cell.formula) return { formula: cell.formula, result: cell.result };
+  return cell.value;
+}
+
+// Put the original cell content back when validation left the resolved value untouched
+function restoreCellValue(source, value) {
+  if (source === null || source === undefined || typeof source !== 'object') return value;
+  const unchanged = value === normalizeCellValue(source);
+  if (source.formula !== undefined) {
+    // Keep the formula even when its cached result was corrected; Excel recalculates on open
+    return { formula: source.formula, result: unchanged ? source.result : value };
+  }
+  return unchanged ? source : value;
+}
+
+// 1-based column number to its A1 letters (1 -> A, 27 -> AA)
+function columnLetter(n) {
+  let letters = '';
+  for (; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  return letters;
+}
+
+module.exports = {
+  columnLetter,
+  normalizeCellValue,
+  cellSource,
+  restoreCellValue,
+};
@@ -0,0 +1,103 @@
+// Calendar-aware parsing for date columns. Dates are written dd-mm-yyyy (yyyy-mm-dd and "/" separators
+// are accepted and rewritten). Years in the Hijri range are read as Umm al-Qura dates and converted.
+
+const HIJRI_MIN_YEAR = 1300, HIJRI_MAX_YEAR = 1600;
+// Trailing era markers such as "هـ", "AH" or "H" mark a Hijri date explicitly
+const HIJRI_MARKER = /\s*(هـ|ه|AH|A\.H\.|H)\s*$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const umalqura = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura-nu-latn', {
+  timeZone: 'UTC', year: 'numeric', month: 'numeric', day: 'numeric',
+});
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatDate(date) {
+  return `${pad2(date.getUTCDate())}-${pad2(date.getUTCMonth() + 1)}-${date.getUTCFullYear()}`;
+}
+
+function gregorianDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Date.UTC rolls 31-02 over into March; a real calendar date round-trips unchanged
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1) return null;
+  return date;
+}
+
+function toHijriParts(date) {
+  const parts = {};
+  umalqura.formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return { year: parseInt(parts.year, 10), month: parseInt(parts.month, 10), day: parseInt(parts.day, 10) };
+}
+
+// Estimate with the tabular Islamic calendar, then settle on the Umm al-Qura day by checking neighbours
+function hijriToGregorian(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 30) return null;
+  const julianDay = day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + 1948439.5 - 1;
+  const estimate = Math.round((julianDay - 2440587.5) * DAY_MS);
+  for (let offset = -3; offset <= 3; offset++) {
+    const candidate = new Date(estimate + offset * DAY_MS);
+    const h = toHijriParts(candidate);
+    if (h.year === year && h.month === month && h.day === day) {
+      return new Date(Date.UTC(candidate.getUTCFullYear(), candidate.getUTCMonth(), candidate.getUTCDate()));
+    }
+  }
+  return null;
+}
+
+function addMonths(date, months) {
+  const d = new Date(date.getTime());
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  // Clamp to the end of shorter months (31-03 minus one month is 29-02 or 28-02)
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+function startOfToday() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+// Parse a date cell; `calendar` is "auto" (default), "gregorian" or "hijri". Returns { date, formatted, hijri }
+// where `hijri` keeps the original text of a converted date, or { error } naming what was wrong.
+function parseDateValue(value, calendar = 'auto') {
+  let s = String(value).trim();
+  const marked = HIJRI_MARKER.test(s);
+  if (marked) s = s.replace(HIJRI_MARKER, '');
+  let day, month, year;
+  let m = s.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  if (m) {
+    [day, month, year] = [m[1], m[2], m[3]].map(Number);
+  } else if ((m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/))) {
+    [year, month, day] = [m[1], m[2], m[3]].map(Number);
+  } else {
+    return { error: 'format' };
+  }
+  const isHijri = marked || (year >= HIJRI_MIN_YEAR && year <= HIJRI_MAX_YEAR);
+  if (isHijri && calendar === 'gregorian') return { error: 'hijri_not_allowed' };
+  if (!isHijri && calendar === 'hijri') return { error: 'gregorian_not_allowed' };
+  const date = isHijri ? hijriToGregorian(year, month, day) : gregorianDate(year, month, day);
+  if (!date) return { error: 'calendar' };
+  return { date, formatted: formatDate(date), hijri: isHijri ? String(value).trim() : null };
+}
+
+// Relative checks from the column spec: `notInFuture` and `maxAgeMonths` (measured back from `reference`)
+function checkDateLimits(date, spec, reference) {
+  if (spec.notInFuture && date > startOfToday()) return 'future';
+  if (spec.maxAgeMonths !== undefined && reference && date < addMonths(reference, -spec.maxAgeMonths)) return 'too_old';
+  return null;
+}
+
+module.exports = {
+  formatDate,
+  hijriToGregorian,
+  toHijriParts,
+  parseDateValue,
+  checkDateLimits,
+  startOfToday,
+};
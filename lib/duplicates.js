@@ -0,0 +1,109 @@
+// Cross-row checks configured in a profile's `duplicates` section and by `unique` columns. Rows are
+// grouped by a key (one or more columns) compared exactly, after normalization (case, spacing, Arabic
+// letter variants, as for headers) or fuzzily (normalized keys at least `threshold` similar):
+//   { "id": "duplicate_asset", "key": ["asset_name", "owner_name"], "match": "normalized" }
+// lists every group of rows sharing a key, and with "conflicts": ["final_value"] only the rows of a group
+// that disagree on those columns. Rows with an empty key column take no part.
+
+const { normalizeHeader, similarity } = require('./headers');
+
+const DEFAULT_FUZZY_THRESHOLD = 0.9;
+// Joins the parts of a multi-column key; cannot occur in a cell value typed by hand
+const KEY_SEPARATOR = '\u0001';
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function keyPart(value, match) {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return value.toISOString();
+  return match === 'exact' ? String(value).trim() : normalizeHeader(value);
+}
+
+// Union-find over the distinct keys: keys are only compared with keys of the same first character whose
+// length allows the required similarity, which keeps large sheets tractable
+function fuzzyGroups(byKey, threshold) {
+  const keys = [...byKey.keys()];
+  const parent = keys.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const buckets = new Map();
+  keys.forEach((key, i) => {
+    const bucket = buckets.get(key[0]) || [];
+    bucket.push(i);
+    buckets.set(key[0], bucket);
+  });
+  buckets.forEach(bucket => {
+    bucket.sort((a, b) => keys[a].length - keys[b].length);
+    bucket.forEach((a, n) => {
+      for (let m = n + 1; m < bucket.length; m++) {
+        const b = bucket[m];
+        if (keys[b].length - keys[a].length > (1 - threshold) * keys[b].length) break;
+        if (similarity(keys[a], keys[b]) >= threshold) parent[find(b)] = find(a);
+      }
+    });
+  });
+  const groups = new Map();
+  keys.forEach((key, i) => {
+    const root = find(i);
+    groups.set(root, (groups.get(root) || []).concat(byKey.get(key)));
+  });
+  return [...groups.values()].map(g => g.sort((a, b) => a - b));
+}
+
+// Groups (sorted row indexes) of two or more rows sharing a key
+function keyGroups(rows, header, { key, match = 'exact', threshold = DEFAULT_FUZZY_THRESHOLD }) {
+  const idx = key.map(col => header.indexOf(col));
+  const byKey = new Map();
+  rows.forEach((row, i) => {
+    const parts = idx.map(j => keyPart(row[j], match));
+    if (parts.some(p => p === null || p === '')) return;
+    const k = parts.join(KEY_SEPARATOR);
+    const group = byKey.get(k) || [];
+    group.push(i);
+    byKey.set(k, group);
+  });
+  const groups = match === 'fuzzy' ? fuzzyGroups(byKey, threshold) : [...byKey.values()];
+  return groups.filter(g => g.length > 1);
+}
+
+function appliesTo(header, check) {
+  return [...check.key, ...(check.conflicts || [])].every(col => header.includes(col));
+}
+
+// { index, column, related } for every key cell of every row in a duplicate group; `related` lists the
+// other rows of the group
+function findDuplicates(rows, header, check) {
+  const found = [];
+  keyGroups(rows, header, check).forEach(group => {
+    group.forEach(index => {
+      const related = group.filter(i => i !== index);
+      check.key.forEach(column => found.push({ index, column, related }));
+    });
+  });
+  return found;
+}
+
+// { index, column, related } for every conflict column on which a row disagrees with other rows of
+// its group; `related` lists the rows holding a different value. Empty cells are left to the
+// mandatory check.
+function findConflicts(rows, header, check) {
+  const found = [];
+  keyGroups(rows, header, check).forEach(group => {
+    check.conflicts.forEach(column => {
+      const j = header.indexOf(column);
+      const values = new Map(group.filter(i => !isBlank(rows[i][j])).map(i => [i, keyPart(rows[i][j], 'exact')]));
+      values.forEach((value, index) => {
+        const related = [...values].filter(([, other]) => other !== value).map(([i]) => i);
+        if (related.length) found.push({ index, column, related });
+      });
+    });
+  });
+  return found;
+}
+
+module.exports = {
+  appliesTo,
+  findDuplicates,
+  findConflicts,
+};
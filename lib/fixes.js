@@ -0,0 +1,199 @@
+// Safe automatic corrections applied to the rows before validation. Every fix has an id that users can
+// accept or reject; each value it changes is recorded as a { index, column, fix, before, after } change.
+// Descriptions, summaries and notes are catalog messages: fix_<id> and fix_<id>_summary (see ./messages).
+// Fixes marked `optIn` change what a value means rather than how it is written, so fix mode only
+// applies them when they are chosen explicitly.
+
+const { parseDateValue } = require('./dates');
+const { getColumnSpec } = require('./schema');
+const { message, formatMessage } = require('./messages');
+const { normalizePlaces } = require('./geography');
+const { normalizeUnit, convertUnit } = require('./units');
+
+// Without fix mode only the long-standing date normalization runs
+const DEFAULT_FIXES = ['date_format', 'hijri_dates'];
+
+const EDGE_SPACE = /^[\s\u200e\u200f\u202a-\u202e]+|[\s\u200e\u200f\u202a-\u202e]+$/g;
+const EASTERN_DIGITS = /[\u0660-\u0669\u06f0-\u06f9\u066b\u066c]/g;
+const HAS_EASTERN_DIGITS = /[\u0660-\u0669\u06f0-\u06f9]/;
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function westernDigit(ch) {
+  if (ch === '\u066b') return '.'; // Arabic decimal separator
+  if (ch === '\u066c') return ','; // Arabic thousands separator
+  const code = ch.charCodeAt(0);
+  return String(code >= 0x06f0 ? code - 0x06f0 : code - 0x0660);
+}
+
+function isNumericSpec(spec) {
+  return !!spec && (spec.type === 'int' || spec.type === 'float');
+}
+
+// Cell-level fixes, run in this order; `applies` limits a fix to matching profile columns
+const CELL_FIXES = [
+  {
+    id: 'trim_whitespace',
+    fix(value) {
+      if (typeof value !== 'string') return null;
+      const trimmed = value.replace(EDGE_SPACE, '');
+      return trimmed === value ? null : { value: trimmed };
+    },
+  },
+  {
+    id: 'arabic_digits',
+    fix(value, spec) {
+      if (typeof value !== 'string' || !HAS_EASTERN_DIGITS.test(value)) return null;
+      const converted = value.replace(EASTERN_DIGITS, westernDigit);
+      // Numeric columns get a real number so the number fixes and validators see one
+      if (isNumericSpec(spec) && /^-?\d+(\.\d+)?$/.test(converted)) return { value: Number(converted) };
+      return { value: converted };
+    },
+  },
+  {
+    id: 'number_format',
+    applies: isNumericSpec,
+    fix(value, spec) {
+      if (typeof value !== 'string') return null;
+      let s = value.trim();
+      if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(s)) s = s.replace(/,/g, '');
+      if (spec.type === 'int') s = s.replace(/^([-+]?\d+)\.0+$/, '$1');
+      if (!/^[-+]?\d+(\.\d+)?$/.test(s) || s === value) return null;
+      return { value: Number(s) };
+    },
+  },
+  {
+    id: 'date_format',
+    applies: spec => !!spec && spec.type === 'date',
+    fix(value, spec) {
+      if (isBlank(value)) return null;
+      const parsed = parseDateValue(value, spec.calendar);
+      if (parsed.error || parsed.hijri || parsed.formatted === String(value)) return null;
+      return { value: parsed.formatted };
+    },
+  },
+  {
+    id: 'hijri_dates',
+    applies: spec => !!spec && spec.type === 'date',
+    fix(value, spec) {
+      if (isBlank(value)) return null;
+      const parsed = parseDateValue(value, spec.calendar);
+      if (parsed.error || !parsed.hijri) return null;
+      return { value: parsed.formatted, note: message('note_hijri', { date: parsed.hijri }) };
+    },
+  },
+];
+
+// Profile rules with a `suggest` expression become fixes named after the rule: when the row breaks
+// the rule and a target column is empty, the suggested value is filled in
+function ruleFixes(profile) {
+  return profile.rules.filter(rule => rule.suggestion).map(rule => ({
+    id: rule.id,
+    description: message('fix_rule', { columns: rule.columns, source: rule.suggestion.source }),
+    summary: count => message('fix_rule_summary', { count, rule: rule.id }),
+    rule,
+  }));
+}
+
+// Fixes that work on whole rows, each returning the { column, value } cells to change: place names in
+// the reference spelling (a city is looked up in its row's region) for profiles with a `geography`
+// section, and for profiles with a `units` section units in the catalog spelling and, when chosen,
+// capacities converted to the base unit
+function rowFixes(profile) {
+  const fixes = [];
+  if (profile.geography) {
+    fixes.push({ id: 'geography_names', changes: (row, header) => normalizePlaces(row, header, profile.geography) });
+  }
+  if (profile.units) {
+    fixes.push({ id: 'unit_names', changes: (row, header) => normalizeUnit(row, header, profile.units) });
+    fixes.push({ id: 'convert_units', optIn: true, changes: (row, header) => convertUnit(row, header, profile.units) });
+  }
+  return fixes;
+}
+
+// Every fix of a profile, in pipeline order
+function profileFixes(profile) {
+  return [...CELL_FIXES, ...rowFixes(profile), ...ruleFixes(profile)];
+}
+
+function fixDescription(f) {
+  return f.description || message(`fix_${f.id}`);
+}
+
+function fixSummaryLine(f, count) {
+  return f.summary ? f.summary(count) : message(`fix_${f.id}_summary`, { count });
+}
+
+// Every fix the profile offers, described in `lang`
+function availableFixes(profile, lang) {
+  return profileFixes(profile).map(f => ({
+    id: f.id,
+    description: formatMessage(fixDescription(f), lang, profile),
+    ...(f.optIn ? { optIn: true } : {}),
+  }));
+}
+
+// Apply the accepted fixes (a Set of ids) to a copy of the rows
+function applyFixes(rows, header, profile, accepted) {
+  const fixed = rows.map(row => row.slice());
+  const changes = [];
+  const notes = {};
+  const record = (index, column, fix, before, result) => {
+    changes.push({ index, column, fix, before, after: result.value });
+    if (result.note) notes[`${index},${column}`] = result.note;
+  };
+  CELL_FIXES.filter(f => accepted.has(f.id)).forEach(f => {
+    header.forEach((col, j) => {
+      const spec = getColumnSpec(profile, col);
+      if (f.applies && !f.applies(spec)) return;
+      fixed.forEach((row, i) => {
+        const result = f.fix(row[j], spec);
+        if (!result) return;
+        record(i, col, f.id, row[j], result);
+        row[j] = result.value;
+      });
+    });
+  });
+  rowFixes(profile).filter(f => accepted.has(f.id)).forEach(f => {
+    fixed.forEach((row, i) => {
+      f.changes(row, header).forEach(({ column, value }) => {
+        const j = header.indexOf(column);
+        record(i, column, f.id, row[j], { value });
+        row[j] = value;
+      });
+    });
+  });
+  ruleFixes(profile).filter(f => accepted.has(f.id)).forEach(f => {
+    const { rule } = f;
+    if (!rule.compiled.columns.every(c => header.includes(c))) return;
+    fixed.forEach((row, i) => {
+      const resolve = (name) => row[header.indexOf(name)];
+      if (rule.compiled.test(resolve)) return;
+      const value = rule.suggestion.evaluate(resolve);
+      if (value === null || value === undefined) return;
+      rule.columns.forEach(col => {
+        const j = header.indexOf(col);
+        if (j === -1 || !isBlank(row[j])) return;
+        record(i, col, f.id, row[j], { value });
+        row[j] = value;
+      });
+    });
+  });
+  return { rows: fixed, changes, notes };
+}
+
+// Summary lines (catalog messages) for the fixes that changed something, in pipeline order
+function fixSummary(changes, profile) {
+  const counts = {};
+  changes.forEach(c => { counts[c.fix] = (counts[c.fix] || 0) + 1; });
+  return profileFixes(profile).filter(f => counts[f.id]).map(f => fixSummaryLine(f, counts[f.id]));
+}
+
+module.exports = {
+  DEFAULT_FIXES,
+  availableFixes,
+  applyFixes,
+  fixSummary,
+};
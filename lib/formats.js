@@ -0,0 +1,244 @@
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+// Only needed to write CSV in a legacy code page; browser bundles leave it out (see package.json "browser")
+const iconv = require('iconv-lite');
+
+// Input formats are recognised from the file content, never from the uploaded file name
+const FORMATS = ['xlsx', 'xls', 'ods', 'csv'];
+const DEFAULT_CSV_ENCODING = 'windows-1256';
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+const OLE_MAGIC = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+// Text documents that are not delimited data, by how they start (compared in lower case)
+const TEXT_SIGNATURES = ['%pdf-', '<!doctype', '<html', '<?xml', '{\\rtf'];
+// Control characters other than tab, line breaks and form feed; a few stray ones are tolerated in text
+const CONTROL_CHARS = /[\x01-\x08\x0b\x0e-\x1a\x1c-\x1f]/g;
+const MAX_CONTROL_CHARS = 8;
+
+// `code` tells the kind of problem: "unsupported_format" for content that is no spreadsheet at all,
+// "invalid_file" for a spreadsheet that cannot be read
+class FormatError extends Error {
+  constructor(message, code = 'invalid_file') {
+    super(message);
+    this.name = 'FormatError';
+    this.code = code;
+  }
+}
+
+// The parsers report damaged content with errors of their own (XML syntax errors, TypeErrors on missing
+// parts); any of them means the uploaded file cannot be read
+function unreadableFile(err, format) {
+  if (err instanceof FormatError) return err;
+  return new FormatError(`The uploaded ${format} file is damaged and could not be read (${err.message})`, 'invalid_file');
+}
+
+// File content is handled as a Uint8Array (a Node Buffer is one) so the engine also runs in the browser
+function startsWith(bytes, prefix) {
+  return bytes.length >= prefix.length && prefix.every((b, i) => bytes[i] === b);
+}
+
+function includesText(bytes, text) {
+  const first = text.charCodeAt(0);
+  for (let i = bytes.indexOf(first); i !== -1; i = bytes.indexOf(first, i + 1)) {
+    let j = 1;
+    while (j < text.length && bytes[i + j] === text.charCodeAt(j)) j++;
+    if (j === text.length) return true;
+  }
+  return false;
+}
+
+// Every byte as the character of the same code, for sniffing short blocks
+function latin1(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+// Node keeps returning Buffers, which Express and the fs functions expect; browsers get the Uint8Array
+function fileBytes(data) {
+  const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+  return typeof Buffer === 'undefined' ? bytes : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function detectFormat(buffer) {
+  if (startsWith(buffer, ZIP_MAGIC)) {
+    // ODS stores an uncompressed "mimetype" entry first; xlsx packages carry [Content_Types].xml
+    const head = latin1(buffer.subarray(0, 2048));
+    if (head.includes('application/vnd.oasis.opendocument.spreadsheet')) return 'ods';
+    if (includesText(buffer, '[Content_Types].xml')) return 'xlsx';
+    throw new FormatError('The uploaded ZIP file is not an Excel or OpenDocument spreadsheet', 'unsupported_format');
+  }
+  if (startsWith(buffer, OLE_MAGIC)) return 'xls';
+  // Anything else must read as delimited text: no NUL bytes or other binary in its first block, and
+  // not a PDF, HTML or XML document
+  const block = buffer.subarray(0, 4096);
+  const text = latin1(block);
+  const start = text.replace(/^\uFEFF|^\xEF\xBB\xBF/, '').trimStart().slice(0, 16).toLowerCase();
+  if (!block.includes(0) && (text.match(CONTROL_CHARS) || []).length <= MAX_CONTROL_CHARS && !TEXT_SIGNATURES.some(s => start.startsWith(s))) {
+    return 'csv';
+  }
+  throw new FormatError(`Unsupported file format: expected one of ${FORMATS.join(', ')}`, 'unsupported_format');
+}
+
+// TextDecoder knows the code pages of the Encoding Standard (windows-1256, iso-8859-6, utf-16le, ...)
+function textDecoder(encoding) {
+  try {
+    return new TextDecoder(encoding);
+  } catch {
+    throw new FormatError(`Unsupported CSV encoding: ${encoding}`);
+  }
+}
+
+// Without an explicit encoding, UTF-8 (with or without BOM) is tried first, then the legacy Arabic code page
+function decodeText(buffer, encoding) {
+  if (encoding && !/^utf-?8$/i.test(encoding)) {
+    return { text: textDecoder(encoding).decode(buffer), encoding };
+  }
+  if (startsWith(buffer, UTF8_BOM)) {
+    return { text: new TextDecoder('utf-8').decode(buffer.subarray(3)), encoding: 'utf-8' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch {
+    if (encoding) throw new FormatError('The CSV file is not valid UTF-8');
+    return { text: textDecoder(DEFAULT_CSV_ENCODING).decode(buffer), encoding: DEFAULT_CSV_ENCODING };
+  }
+}
+
+// TextEncoder only writes UTF-8, so legacy code pages go through iconv, which browser bundles lack
+function encodeText(text, encoding) {
+  if (!iconv.encode) throw new FormatError(`Writing ${encoding} CSV files is not supported here`);
+  if (!iconv.encodingExists(encoding)) throw new FormatError(`Unsupported CSV encoding: ${encoding}`);
+  return fileBytes(iconv.encode(text, encoding));
+}
+
+// Pick the candidate delimiter that occurs most often outside quotes on the first line
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',', bestCount = 0;
+  CSV_DELIMITERS.forEach(d => {
+    const count = firstLine.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and line breaks
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+function toCsv(rows, delimiter) {
+  return rows.map(row => row.map(v => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+function addRowsAsSheet(workbook, name, rows) {
+  const ws = workbook.addWorksheet(name);
+  rows.forEach(r => ws.addRow(r));
+  return ws;
+}
+
+// Load any supported spreadsheet into an ExcelJS workbook so every format feeds the same validators.
+// `buffer` is a Buffer or Uint8Array; `encoding` and `delimiter` apply to CSV input; `csv` in the result
+// records the settings actually used.
+async function loadWorkbook(buffer, options = {}) {
+  const format = detectFormat(buffer);
+  const workbook = new ExcelJS.Workbook();
+  if (format === 'xlsx') {
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (err) {
+      throw unreadableFile(err, format);
+    }
+    return { workbook, format };
+  }
+  if (format === 'csv') {
+    const { text, encoding } = decodeText(buffer, options.encoding);
+    const delimiter = options.delimiter || detectDelimiter(text);
+    addRowsAsSheet(workbook, options.sheetName || 'Sheet1', parseCsv(text, delimiter));
+    return { workbook, format, csv: { delimiter, encoding } };
+  }
+  let sheets;
+  try {
+    const legacy = XLSX.read(buffer, { type: 'array', cellDates: true });
+    sheets = legacy.SheetNames.map(name => ({ name, rows: XLSX.utils.sheet_to_json(legacy.Sheets[name], { header: 1, raw: true, defval: null, blankrows: false }) }));
+  } catch (err) {
+    throw unreadableFile(err, format);
+  }
+  sheets.forEach(sheet => addRowsAsSheet(workbook, sheet.name, sheet.rows));
+  return { workbook, format };
+}
+
+// Workbook built from in-memory sheets ({ name, rows } with the header as the first row)
+function workbookFromRows(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  sheets.forEach(sheet => addRowsAsSheet(workbook, sheet.name, sheet.rows));
+  return workbook;
+}
+
+// Serialise plain sheets ({ name, rows }) as csv/xls/ods. Cell styling cannot survive these formats,
+// so callers carry validation messages as an extra column instead.
+function writeSheets(sheets, format, csvOptions = {}) {
+  if (format === 'csv') {
+    const text = toCsv(sheets[0].rows, csvOptions.delimiter || ',');
+    const encoding = csvOptions.encoding && !/^utf-?8$/i.test(csvOptions.encoding) ? csvOptions.encoding : null;
+    // Keep a BOM on UTF-8 so Excel opens Arabic text correctly
+    if (encoding) return encodeText(text, encoding);
+    const utf8 = new TextEncoder().encode(text);
+    const bytes = new Uint8Array(UTF8_BOM.length + utf8.length);
+    bytes.set(UTF8_BOM);
+    bytes.set(utf8, UTF8_BOM.length);
+    return fileBytes(bytes);
+  }
+  const wb = XLSX.utils.book_new();
+  sheets.forEach(sheet => XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name));
+  return fileBytes(XLSX.write(wb, { type: 'array', bookType: format === 'xls' ? 'biff8' : format }));
+}
+
+module.exports = {
+  FORMATS,
+  FormatError,
+  detectFormat,
+  fileBytes,
+  unreadableFile,
+  loadWorkbook,
+  workbookFromRows,
+  writeSheets,
+};
@@ -0,0 +1,165 @@
+// Country, region and city names checked against the bundled reference in reference/geography.json,
+// which lists every country with its Arabic and English names and aliases, and for Saudi Arabia its
+// regions and cities. Names match in either language, ignoring case, spacing, Arabic letter variants,
+// the article (ال / Al-) and words such as "منطقة" or "Province". Near misses are suggested, and the
+// geography_names fix rewrites known names to the reference spelling in the script they were typed in.
+// A profile turns the check on with { "geography": { "country": ..., "region": ..., "city": ..., "defaultCountry": "SA" } },
+// naming its columns; countries without regions in the reference are accepted as they are.
+
+const REFERENCE = require('../reference/geography.json');
+const { normalizeHeader, similarity } = require('./headers');
+const { message } = require('./messages');
+
+// Near misses below this are not suggested; only those at or above FIX_THRESHOLD are fixed
+const SUGGESTION_THRESHOLD = 0.75;
+const FIX_THRESHOLD = 0.8;
+const ARTICLES = new Set(['al', 'el', 'ar', 'as', 'ash', 'ad', 'adh', 'an', 'az', 'at', 'ath']);
+const GENERIC_WORDS = new Set(['region', 'province', 'governorate', 'city', 'emirate', 'منطقه', 'محافظه', 'مدينه', 'اماره']);
+const ARABIC_LETTER = /[ء-ي]/;
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// "منطقة الرياض", "Ar-Riyadh Region" and "riyadh" share the key "رياض" / "riyadh"
+function placeKey(name) {
+  const words = normalizeHeader(name).split('_').filter(Boolean)
+    .filter((w, i, all) => !(ARTICLES.has(w) && i < all.length - 1))
+    .map(w => (w.length > 3 && w.startsWith('ال') ? w.slice(2) : w));
+  const specific = words.filter(w => !GENERIC_WORDS.has(w));
+  return (specific.length ? specific : words).join('_');
+}
+
+function buildIndex(entries) {
+  const index = new Map();
+  entries.forEach(entry => {
+    [entry.ar, entry.en, ...(entry.aliases || [])].forEach(name => {
+      const key = placeKey(name);
+      if (key && !index.has(key)) index.set(key, entry);
+    });
+  });
+  return index;
+}
+
+const COUNTRIES = REFERENCE.countries.map(country => {
+  const regions = (country.regions || []).map(region => {
+    const withRegion = { ...region };
+    withRegion.cities = (region.cities || []).map(city => ({ ...city, region: withRegion }));
+    withRegion.cityIndex = buildIndex(withRegion.cities);
+    return withRegion;
+  });
+  return {
+    ...country,
+    regions,
+    regionIndex: buildIndex(regions),
+    cityIndex: buildIndex(regions.flatMap(region => region.cities)),
+  };
+});
+const COUNTRY_INDEX = buildIndex(COUNTRIES);
+
+function findCountry(code) {
+  return COUNTRIES.find(country => country.code === code) || null;
+}
+
+// { entry, score } for a known name (score 1) or the closest one above the suggestion threshold;
+// `ambiguous` when another entry is just as close
+function lookup(index, value) {
+  const key = placeKey(value);
+  if (!key) return null;
+  if (index.has(key)) return { entry: index.get(key), score: 1 };
+  let best = null;
+  index.forEach((entry, name) => {
+    const score = similarity(key, name);
+    if (score < SUGGESTION_THRESHOLD || (best && score < best.score)) return;
+    if (best && score === best.score) best.ambiguous = best.ambiguous || best.entry !== entry;
+    else best = { entry, score };
+  });
+  return best;
+}
+
+// The reference name in the script the value was typed in
+function displayName(entry, value) {
+  return ARABIC_LETTER.test(String(value)) ? entry.ar : entry.en;
+}
+
+// Both names, so a message shows the one of its language
+function names(entry) {
+  return { ar: entry.ar, en: entry.en };
+}
+
+// Look up the place columns of one row: { country, region, city } cells ({ column, value, match })
+// for the columns present and filled in, and the country their regions and cities are looked up in
+function resolvePlaces(row, header, geography) {
+  const cell = (kind) => {
+    const j = geography[kind] ? header.indexOf(geography[kind]) : -1;
+    return j === -1 || isBlank(row[j]) ? null : { column: geography[kind], value: row[j], match: null };
+  };
+  const places = { country: cell('country'), region: cell('region'), city: cell('city') };
+  if (places.country) places.country.match = lookup(COUNTRY_INDEX, places.country.value);
+  const country = places.country
+    ? places.country.match && places.country.match.entry
+    : findCountry(geography.defaultCountry);
+  places.scope = country && country.regions.length ? country : null;
+  if (!places.scope) return places;
+  if (places.region) places.region.match = lookup(places.scope.regionIndex, places.region.value);
+  const region = places.region && places.region.match && places.region.match.score === 1 ? places.region.match.entry : null;
+  if (places.city) {
+    const inRegion = region && lookup(region.cityIndex, places.city.value);
+    const inCountry = lookup(places.scope.cityIndex, places.city.value);
+    if (inRegion && inRegion.score === 1) places.city.match = inRegion;
+    else if (inCountry && inCountry.score === 1) places.city.match = { ...inCountry, elsewhere: !!region };
+    else places.city.match = inRegion || inCountry;
+  }
+  return places;
+}
+
+// Issues ({ rule, column, value, message, suggestion }) for the place columns of one row
+function checkPlaces(row, header, geography) {
+  const places = resolvePlaces(row, header, geography);
+  const issues = [];
+  const unknown = (kind, params, suggestion) => {
+    const { column, value } = places[kind];
+    const id = suggestion ? `geo_${kind}_unknown_suggest` : `geo_${kind}_unknown`;
+    issues.push({ rule: `geo_${kind}_unknown`, column, value, message: message(id, { value, suggestion, ...params }), suggestion });
+  };
+  const { country, region, city, scope } = places;
+  // A country that is not in the reference and resembles none there is accepted as typed
+  if (country && country.match && country.match.score < 1) unknown('country', {}, displayName(country.match.entry, country.value));
+  if (!scope) return issues;
+  const cityRegion = city && city.match && city.match.score === 1 ? city.match.entry.region : null;
+  if (region && (!region.match || region.match.score < 1)) {
+    const guess = region.match ? region.match.entry : cityRegion;
+    unknown('region', { country: names(scope) }, guess ? displayName(guess, region.value) : undefined);
+  }
+  if (city && (!city.match || city.match.score < 1)) {
+    const within = region && region.match && region.match.score === 1 ? region.match.entry : scope;
+    unknown('city', { scope: names(within) }, city.match ? displayName(city.match.entry, city.value) : undefined);
+  }
+  if (city && city.match && city.match.elsewhere) {
+    const suggestion = displayName(cityRegion, region.value);
+    issues.push({
+      rule: 'geo_city_region_mismatch',
+      column: region.column,
+      value: region.value,
+      message: message('geo_city_region_mismatch', { city: city.value, expected: names(cityRegion), region: region.value }),
+      suggestion,
+    });
+  }
+  return issues;
+}
+
+// Reference spellings ({ column, value }) for the place names of one row that are known or close
+// enough to a single known name, where they differ from what was typed
+function normalizePlaces(row, header, geography) {
+  const places = resolvePlaces(row, header, geography);
+  return ['country', 'region', 'city'].map(kind => places[kind])
+    .filter(place => place && place.match && place.match.score >= FIX_THRESHOLD && !place.match.ambiguous)
+    .map(place => ({ column: place.column, value: displayName(place.match.entry, place.value) }))
+    .filter(fixed => fixed.value !== row[header.indexOf(fixed.column)]);
+}
+
+module.exports = {
+  findCountry,
+  checkPlaces,
+  normalizePlaces,
+};
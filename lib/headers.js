@@ -0,0 +1,128 @@
+// Matching uploaded column headers to profile columns. Headers are compared after normalization (case,
+// spacing, underscores, Arabic letter variants), then against each column's `aliases`; a column map
+// from the user ({ "uploaded header": "profile_column" or null to ignore it }) takes precedence.
+// Near misses are only suggested, never applied.
+
+const { ProfileError, getColumnSpec } = require('./schema');
+
+const SUGGESTION_THRESHOLD = 0.6;
+const MAX_SUGGESTIONS = 3;
+
+// Direction marks, Arabic diacritics and tatweel carry no meaning in a header
+const IGNORED_MARKS = /[\u200e\u200f\u202a-\u202e\u064b-\u065f\u0670\u0640]/g;
+
+function normalizeHeader(name) {
+  if (name === null || name === undefined) return '';
+  return String(name)
+    .replace(IGNORED_MARKS, '')
+    .replace(/[\u0623\u0625\u0622\u0671]/g, '\u0627') // أ إ آ ٱ -> ا
+    .replace(/ى/g, 'ي') // ى -> ي
+    .replace(/ة/g, 'ه') // ة -> ه
+    .replace(/([a-z])([A-Z])/g, '$1_$2') // assetName -> asset_Name
+    .toLowerCase()
+    .replace(/[\s_\-.]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0..1 similarity of two normalized headers
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+function columnNames(spec) {
+  return [spec.name, ...(spec.aliases || [])].map(normalizeHeader);
+}
+
+// Profile columns a header most resembles, best first
+function suggestColumns(header, candidates) {
+  const key = normalizeHeader(header);
+  return candidates
+    .map(spec => ({ column: spec.name, score: Math.max(...columnNames(spec).map(name => similarity(key, name))) }))
+    .filter(s => s.score >= SUGGESTION_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map(s => ({ column: s.column, score: Math.round(s.score * 100) / 100 }));
+}
+
+// Check a user column map against the profiles in use and key it by normalized header, so stray
+// spaces or case in the uploaded header do not defeat it
+function parseColumnMap(columnMap, profiles) {
+  if (!columnMap) return {};
+  if (typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+    throw new ProfileError('column_map must be a JSON object mapping uploaded headers to profile columns');
+  }
+  const map = {};
+  Object.entries(columnMap).forEach(([header, column]) => {
+    if (column !== null && column !== '' && !profiles.some(p => getColumnSpec(p, column))) {
+      throw new ProfileError(`column_map maps "${header}" to "${column}", which is not a profile column`);
+    }
+    map[normalizeHeader(header)] = column || null;
+  });
+  return map;
+}
+
+// Returns { header, columns, missing }: `header` is the sheet header with matched entries renamed to
+// their profile column, `columns` one { index, header, column, match, suggestions? } per uploaded
+// column (match is "mapped", "exact", "normalized", "alias", "ignored" or null) and `missing` the
+// profile columns no header matched. `map` comes from parseColumnMap.
+function matchHeaders(header, profile, map = {}) {
+  const taken = new Set();
+  const columns = header.map((h, index) => ({ index, header: h, column: null, match: null }));
+  const claim = (entry, column, match) => {
+    entry.column = column;
+    entry.match = match;
+    taken.add(column);
+  };
+  columns.forEach(entry => {
+    const key = normalizeHeader(entry.header);
+    if (!(key in map)) return;
+    if (map[key] === null) entry.match = 'ignored';
+    else if (getColumnSpec(profile, map[key]) && !taken.has(map[key])) claim(entry, map[key], 'mapped');
+  });
+  const passes = [
+    ['exact', (entry, spec) => entry.header === spec.name],
+    ['normalized', (entry, spec) => normalizeHeader(entry.header) === normalizeHeader(spec.name)],
+    ['alias', (entry, spec) => (spec.aliases || []).some(a => normalizeHeader(a) === normalizeHeader(entry.header))],
+  ];
+  passes.forEach(([match, test]) => {
+    columns.forEach(entry => {
+      if (entry.match !== null || normalizeHeader(entry.header) === '') return;
+      const spec = profile.columns.find(c => !taken.has(c.name) && test(entry, c));
+      if (spec) claim(entry, spec.name, match);
+    });
+  });
+  const unmatched = profile.columns.filter(c => !taken.has(c.name));
+  columns.forEach(entry => {
+    if (entry.match !== null || normalizeHeader(entry.header) === '') return;
+    const suggestions = suggestColumns(entry.header, unmatched);
+    if (suggestions.length) entry.suggestions = suggestions;
+  });
+  // An unmatched header that reads like a profile column (a duplicate, or one the map ignores) is
+  // renamed so the validators do not pick it up instead of the matched one
+  const rename = (entry) => (getColumnSpec(profile, entry.header) ? `${entry.header} (unmatched)` : entry.header);
+  return {
+    header: columns.map(entry => (entry.column === null ? rename(entry) : entry.column)),
+    columns,
+    missing: unmatched.map(c => c.name),
+  };
+}
+
+module.exports = {
+  normalizeHeader,
+  similarity,
+  parseColumnMap,
+  matchHeaders,
+};
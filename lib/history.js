@@ -0,0 +1,261 @@
+// Validation runs kept on request (save=1), so a corrected resubmission can be compared with what was
+// sent before. Every run gets a directory under HISTORY_DIR holding run.json (the listing: dataset,
+// file name and hash, profile, verdict and counts), sheets.json (rows, issues and summaries per sheet),
+// the uploaded file and the validated workbook. Runs of one dataset are compared row by row, matching
+// rows on the profile's history key (or a key given for the comparison), otherwise on the Excel row.
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { ProfileError } = require('./schema');
+const { normalizeHeader } = require('./headers');
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'runs');
+// Run ids sort by creation time, to the millisecond: 20261019143005123-1a2b3c4d
+const RUN_ID = /^\d{17}-[0-9a-f]{8}$/;
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function runDir(id) {
+  // Only well-formed ids are looked up, so an id cannot leave the directory
+  return RUN_ID.test(String(id)) ? path.join(HISTORY_DIR, id) : null;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function checkDataset(dataset) {
+  const name = String(dataset || '').trim();
+  if (!name || name.length > 200) throw new ProfileError('dataset must be a non-empty name of at most 200 characters');
+  return name;
+}
+
+// Store a validated run. `upload` is the uploaded file, `output` the validated workbook ({ ext, buffer })
+// and `profile` / `sheetProfiles` the profiles it was validated with, whose history keys are kept per sheet.
+// Returns the run's listing entry.
+function saveRun(result, { dataset, fileName, upload, output, profile, sheetProfiles = {}, type = 'all' }) {
+  const name = checkDataset(dataset || fileName);
+  const now = new Date();
+  const id = `${now.toISOString().replace(/\D/g, '').slice(0, 17)}-${crypto.randomBytes(4).toString('hex')}`;
+  const ext = path.extname(fileName || '').toLowerCase();
+  const sheets = result.sheets.map(s => {
+    if (s.error) return { name: s.name, profile: s.profile, error: s.error };
+    const sheetProfile = sheetProfiles[s.name] || profile;
+    return {
+      name: s.name,
+      profile: s.profile,
+      key: sheetProfile.history ? sheetProfile.history.key : null,
+      header: s.header,
+      rowNumbers: s.rowNumbers,
+      rows: s.rows,
+      issues: s.issues || [],
+      summary: s.validated ? s.validated.summary : [],
+      verdict: s.verdict || null,
+      total: s.total === undefined ? null : s.total,
+    };
+  });
+  const meta = {
+    id,
+    dataset: name,
+    fileName: fileName || null,
+    hash: crypto.createHash('sha256').update(upload).digest('hex'),
+    createdAt: now.toISOString(),
+    profile: profile.name,
+    type,
+    lang: result.lang,
+    format: result.format,
+    fixMode: result.fixMode,
+    verdict: result.verdict,
+    uploadFile: 'upload' + ext,
+    validatedFile: 'validated.' + output.ext,
+    sheets: sheets.map(s => (s.error
+      ? { name: s.name, profile: s.profile, error: s.error }
+      : { name: s.name, profile: s.profile, rows: s.rows.length, issues: s.issues.length, verdict: s.verdict, total: s.total })),
+  };
+  const dir = runDir(id);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, meta.uploadFile), upload);
+  fs.writeFileSync(path.join(dir, meta.validatedFile), output.buffer);
+  fs.writeFileSync(path.join(dir, 'sheets.json'), JSON.stringify(sheets));
+  // Written last: a run without run.json is not listed
+  fs.writeFileSync(path.join(dir, 'run.json'), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+// Listing entries of the stored runs, newest first, optionally of one dataset only
+function listRuns({ dataset } = {}) {
+  if (!fs.existsSync(HISTORY_DIR)) return [];
+  return fs.readdirSync(HISTORY_DIR)
+    .filter(id => RUN_ID.test(id) && fs.existsSync(path.join(HISTORY_DIR, id, 'run.json')))
+    .sort()
+    .reverse()
+    .map(id => readJson(path.join(HISTORY_DIR, id, 'run.json')))
+    .filter(run => dataset === undefined || run.dataset === dataset);
+}
+
+// Listing entry of a stored run, or null when there is none with that id
+function loadRun(id) {
+  const dir = runDir(id);
+  if (!dir || !fs.existsSync(path.join(dir, 'run.json'))) return null;
+  return readJson(path.join(dir, 'run.json'));
+}
+
+// The sheets of a stored run with their header, rows, issues and summary
+function loadRunSheets(run) {
+  return readJson(path.join(runDir(run.id), 'sheets.json'));
+}
+
+// The latest run of the same dataset stored before `run`
+function previousRun(run) {
+  return listRuns({ dataset: run.dataset }).find(other => other.id < run.id) || null;
+}
+
+// { path, name } of a stored run's uploaded file ("upload") or validated workbook ("validated")
+function runFile(run, which) {
+  const file = which === 'upload' ? run.uploadFile : run.validatedFile;
+  const base = path.basename(run.fileName || 'upload', path.extname(run.fileName || ''));
+  return { path: path.join(runDir(run.id), file), name: which === 'upload' ? run.fileName || file : `${base}-${file}` };
+}
+
+function removeRun(id) {
+  const dir = runDir(id);
+  if (!dir || !fs.existsSync(dir)) return false;
+  fs.rmSync(dir, { recursive: true, force: true });
+  return true;
+}
+
+function sameValue(a, b) {
+  if (isBlank(a) && isBlank(b)) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Match id of every row: its key compared like normalized headers, numbered when several rows share it,
+// or its Excel row when there is no key or the key columns are empty
+function rowIds(sheet, key) {
+  const cols = key ? key.map(col => sheet.header.indexOf(col)) : [];
+  const seen = new Map();
+  return sheet.rows.map((row, i) => {
+    const parts = cols.map(j => (j === -1 || isBlank(row[j]) ? null : normalizeHeader(row[j])));
+    if (!key || parts.every(p => p === null)) return `row:${sheet.rowNumbers[i]}`;
+    const id = JSON.stringify(parts);
+    seen.set(id, (seen.get(id) || 0) + 1);
+    return `${id}#${seen.get(id)}`;
+  });
+}
+
+// The key values of a row as shown to the user, or its Excel row
+function rowLabel(sheet, i, key) {
+  if (!key) return String(sheet.rowNumbers[i]);
+  const values = key.map(col => sheet.rows[i][sheet.header.indexOf(col)]);
+  return values.every(isBlank) ? String(sheet.rowNumbers[i]) : values.map(v => (isBlank(v) ? '-' : String(v))).join(' / ');
+}
+
+function emptySheet(name) {
+  return { name, header: [], rows: [], rowNumbers: [], issues: [], key: null };
+}
+
+// Compare one sheet of two runs: rows added and removed, issues resolved, new and unchanged (an issue is
+// the same when its rule and column are and it is on the matching row) and values changed in matched rows
+function diffSheet(before, after, key) {
+  const missing = key.filter(col => !before.header.includes(col) && !after.header.includes(col));
+  if (missing.length) throw new ProfileError(`Unknown key column(s) ${missing.join(', ')} in sheet "${after.name}"`);
+  const idsBefore = rowIds(before, key.length ? key : null);
+  const idsAfter = rowIds(after, key.length ? key : null);
+  const indexBefore = new Map(idsBefore.map((id, i) => [id, i]));
+  const indexAfter = new Map(idsAfter.map((id, i) => [id, i]));
+  const label = key.length ? key : null;
+  // Issues name their Excel row; both sides look up the row's data index and match id by it
+  const rowIndex = (sheet) => new Map(sheet.rowNumbers.map((row, i) => [row, i]));
+  const rowsBefore = rowIndex(before);
+  const rowsAfter = rowIndex(after);
+  const issueId = (issue, rows, ids) => `${ids[rows.get(issue.row)]}|${issue.column}|${issue.rule}`;
+  const record = (issue, sheet, rows) => ({ key: rowLabel(sheet, rows.get(issue.row), label), ...issue });
+
+  const pending = new Map();
+  before.issues.forEach(issue => {
+    const id = issueId(issue, rowsBefore, idsBefore);
+    pending.set(id, (pending.get(id) || []).concat(issue));
+  });
+  const issues = { resolved: [], new: [], unchanged: [] };
+  after.issues.forEach(issue => {
+    const earlier = (pending.get(issueId(issue, rowsAfter, idsAfter)) || []).shift();
+    if (earlier) issues.unchanged.push({ ...record(issue, after, rowsAfter), previousRow: earlier.row });
+    else issues.new.push(record(issue, after, rowsAfter));
+  });
+  pending.forEach(left => left.forEach(issue => issues.resolved.push(record(issue, before, rowsBefore))));
+  issues.resolved.sort((a, b) => a.row - b.row);
+
+  const changes = [];
+  idsAfter.forEach((id, i) => {
+    if (!indexBefore.has(id)) return;
+    const j = indexBefore.get(id);
+    after.header.forEach((col, c) => {
+      const b = before.header.indexOf(col);
+      if (b === -1 || sameValue(before.rows[j][b], after.rows[i][c])) return;
+      changes.push({
+        key: rowLabel(after, i, label),
+        row: after.rowNumbers[i],
+        previousRow: before.rowNumbers[j],
+        column: col,
+        before: before.rows[j][b],
+        after: after.rows[i][c],
+      });
+    });
+  });
+  return {
+    name: after.name,
+    key: label,
+    rows: {
+      matched: idsAfter.filter(id => indexBefore.has(id)).length,
+      added: idsAfter.map((id, i) => (indexBefore.has(id) ? null : after.rowNumbers[i])).filter(row => row !== null),
+      removed: idsBefore.map((id, i) => (indexAfter.has(id) ? null : before.rowNumbers[i])).filter(row => row !== null),
+    },
+    issues,
+    changes,
+  };
+}
+
+// Compare a run with an earlier run of the same dataset (listing entries of both), sheet by sheet; sheets
+// are matched by name. `key` (columns) replaces the history key the profile gave each sheet.
+function diffRuns(base, run, { key } = {}) {
+  if (base.dataset !== run.dataset) {
+    throw new ProfileError(`Runs of different datasets cannot be compared ("${base.dataset}" and "${run.dataset}")`);
+  }
+  const sheetsBefore = loadRunSheets(base).filter(s => !s.error);
+  const sheetsAfter = loadRunSheets(run).filter(s => !s.error);
+  const names = [...new Set([...sheetsAfter, ...sheetsBefore].map(s => s.name))];
+  const sheets = names.map(name => {
+    const before = sheetsBefore.find(s => s.name === name) || emptySheet(name);
+    const after = sheetsAfter.find(s => s.name === name) || emptySheet(name);
+    return diffSheet(before, after, key || after.key || before.key || []);
+  });
+  const count = (pick) => sheets.reduce((n, s) => n + pick(s), 0);
+  return {
+    from: base,
+    to: run,
+    counts: {
+      resolved: count(s => s.issues.resolved.length),
+      new: count(s => s.issues.new.length),
+      unchanged: count(s => s.issues.unchanged.length),
+      changedValues: count(s => s.changes.length),
+      addedRows: count(s => s.rows.added.length),
+      removedRows: count(s => s.rows.removed.length),
+    },
+    sheets,
+  };
+}
+
+module.exports = {
+  checkDataset,
+  saveRun,
+  listRuns,
+  loadRun,
+  loadRunSheets,
+  previousRun,
+  runFile,
+  removeRun,
+  diffRuns,
+};
@@ -0,0 +1,40 @@
+// Public entry point of the validation engine for other Node services and browser bundles.
+// Profiles are passed in as definitions ({ columns, rules }); reading them from the profiles
+// directory is left to ./profiles, which needs the filesystem. `npm run build` bundles it for browsers
+// as public/engine.js, which exposes this module as the global `ExcelValidation`; file content is then
+// passed and returned as Uint8Array.
+
+const { FORMATS, FormatError } = require('./formats');
+const { DEFAULT_LIMITS, LimitError } = require('./limits');
+const { ProfileError, compileProfile } = require('./schema');
+const { RuleSyntaxError } = require('./rules');
+const { CHECKS } = require('./validators');
+const { availableFixes } = require('./fixes');
+const { validateWorkbook, revalidateSheet, previewEdit, previewRow } = require('./validate');
+const { writeValidatedWorkbook, issueReport, issueReportCsv } = require('./output');
+const { buildTemplate } = require('./template');
+const { parseColumnMap, matchHeaders } = require('./headers');
+const { LANGUAGES } = require('./messages');
+
+module.exports = {
+  CHECK_TYPES: ['all', 'sum', ...Object.keys(CHECKS)],
+  FORMATS,
+  LANGUAGES,
+  DEFAULT_LIMITS,
+  FormatError,
+  LimitError,
+  ProfileError,
+  RuleSyntaxError,
+  compileProfile,
+  parseColumnMap,
+  matchHeaders,
+  availableFixes,
+  buildTemplate,
+  validateWorkbook,
+  revalidateSheet,
+  previewEdit,
+  previewRow,
+  writeValidatedWorkbook,
+  issueReport,
+  issueReportCsv,
+};
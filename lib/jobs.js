@@ -0,0 +1,82 @@
+// Background validation jobs: large uploads are validated outside the request, progress is published
+// to listeners (the SSE route) and the result is kept in memory until the job expires or is deleted.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const jobs = new Map();
+
+// `run(report)` does the work and resolves with the result; report({ phase, percent, ... }) publishes
+// progress. `onRemove(job)` releases what the job holds (the uploaded file) once it is dropped.
+function createJob(run, { onRemove = () => {} } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    progress: { phase: 'queued' },
+    createdAt: Date.now(),
+    finishedAt: null,
+    result: null,
+    error: null,
+    events: new EventEmitter(),
+    onRemove,
+  };
+  // Every open progress stream adds a listener
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+  const report = (progress) => {
+    job.progress = progress;
+    job.events.emit('progress', progress);
+  };
+  setImmediate(async () => {
+    job.status = 'running';
+    try {
+      job.result = await run(report);
+      job.status = 'done';
+      report({ phase: 'done', percent: 100 });
+    } catch (err) {
+      job.status = 'failed';
+      job.progress = { phase: 'failed' };
+      job.error = err;
+    }
+    job.finishedAt = Date.now();
+    job.events.emit('end', job);
+    if (job.removed) job.onRemove(job);
+  });
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Every job still held, running or finished
+function listJobs() {
+  return [...jobs.values()];
+}
+
+// A job removed while it runs is dropped at once, but what it holds is only released once it settles,
+// so the run does not lose its upload halfway
+function removeJob(id) {
+  const job = jobs.get(id);
+  if (!job) return false;
+  jobs.delete(id);
+  job.events.removeAllListeners();
+  if (job.finishedAt === null) job.removed = true;
+  else job.onRemove(job);
+  return true;
+}
+
+// Drop finished jobs older than maxAge milliseconds; running jobs are left alone
+function sweepJobs(maxAge, now = Date.now()) {
+  [...jobs.values()]
+    .filter(job => job.finishedAt !== null && now - job.finishedAt > maxAge)
+    .forEach(job => removeJob(job.id));
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  listJobs,
+  removeJob,
+  sweepJobs,
+};
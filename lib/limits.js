@@ -0,0 +1,176 @@
+// Size limits for untrusted uploads: the unpacked size and compression ratio of xlsx/ods archives (a
+// small zip that expands to gigabytes of XML would exhaust memory while loading) and the rows and
+// columns of each sheet. Nothing here reads files, so the checks also run in the browser bundle.
+
+const pako = require('pako');
+const { FormatError } = require('./formats');
+
+const MB = 1024 * 1024;
+const DEFAULT_LIMITS = {
+  maxRows: 200000,
+  maxColumns: 500,
+  maxUncompressedSize: 500 * MB,
+  // Spreadsheet XML compresses about 10:1; entries far beyond this ratio only come from crafted archives
+  maxCompressionRatio: 200,
+  maxEntries: 10000,
+};
+// Entries smaller than this are never judged by their ratio
+const RATIO_MIN_SIZE = MB;
+
+const EOCD = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_EOCD = 0x06064b50;
+const CENTRAL_HEADER = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+const ZIP64_EXTRA = 0x0001;
+const MAX_32 = 0xffffffff;
+
+class LimitError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LimitError';
+    this.code = code;
+  }
+}
+
+// "20 MB", "1.5 MB", "600 KB"
+function formatSize(bytes) {
+  return bytes < MB ? `${Math.ceil(bytes / 1024)} KB` : `${Number((bytes / MB).toFixed(1))} MB`;
+}
+
+function damaged() {
+  return new FormatError('The uploaded ZIP file is damaged', 'invalid_file');
+}
+
+// Limits given by the caller over the defaults; a limit set to null or 0 is not checked
+function resolveLimits(limits = {}) {
+  return { ...DEFAULT_LIMITS, ...limits };
+}
+
+// Sizes and offset from an entry's zip64 extra field, which holds the 64-bit values the 32-bit fields mark
+// with 0xffffffff
+function zip64Sizes(view, start, end, entry) {
+  for (let p = start; p + 4 <= end;) {
+    const id = view.getUint16(p, true);
+    const length = view.getUint16(p + 2, true);
+    if (id === ZIP64_EXTRA) {
+      let q = p + 4;
+      const next = () => {
+        if (q + 8 > p + 4 + length) throw damaged();
+        const value = Number(view.getBigUint64(q, true));
+        q += 8;
+        return value;
+      };
+      if (entry.size === MAX_32) entry.size = next();
+      if (entry.compressed === MAX_32) entry.compressed = next();
+      if (entry.offset === MAX_32) entry.offset = next();
+      return;
+    }
+    p += 4 + length;
+  }
+}
+
+// { name, size, compressed, method, offset } of every entry as listed in the central directory at the end
+// of the archive; `buffer` is a Buffer or any other Uint8Array
+function zipEntries(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const last = buffer.length - 22;
+  let eocd = -1;
+  // The end record is followed by a comment of at most 65535 bytes
+  for (let i = last; i >= Math.max(0, last - 0xffff); i--) {
+    if (view.getUint32(i, true) === EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw damaged();
+  let count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if ((count === 0xffff || offset === MAX_32) && eocd >= 20 && view.getUint32(eocd - 20, true) === ZIP64_LOCATOR) {
+    const zip64 = Number(view.getBigUint64(eocd - 12, true));
+    if (zip64 + 56 > buffer.length || view.getUint32(zip64, true) !== ZIP64_EOCD) throw damaged();
+    count = Number(view.getBigUint64(zip64 + 32, true));
+    offset = Number(view.getBigUint64(zip64 + 48, true));
+  }
+  const entries = [];
+  for (let n = 0, p = offset; n < count; n++) {
+    if (p + 46 > buffer.length || view.getUint32(p, true) !== CENTRAL_HEADER) throw damaged();
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const entry = {
+      name: new TextDecoder().decode(buffer.subarray(p + 46, p + 46 + nameLength)),
+      compressed: view.getUint32(p + 20, true),
+      size: view.getUint32(p + 24, true),
+      method: view.getUint16(p + 10, true),
+      offset: view.getUint32(p + 42, true),
+    };
+    if (entry.size === MAX_32 || entry.compressed === MAX_32 || entry.offset === MAX_32) {
+      zip64Sizes(view, p + 46 + nameLength, p + 46 + nameLength + extraLength, entry);
+    }
+    entries.push(entry);
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// The declared sizes are the uploader's to choose, so every entry is inflated and counted as well, and
+// given up as soon as it unpacks beyond what its directory entry declares. Entries stored or compressed
+// in other ways than deflate are left to the parsers.
+function checkInflatedSize(buffer, view, entry) {
+  const p = entry.offset;
+  if (p + 30 > buffer.length || view.getUint32(p, true) !== LOCAL_HEADER) throw damaged();
+  const start = p + 30 + view.getUint16(p + 26, true) + view.getUint16(p + 28, true);
+  const data = buffer.subarray(start, start + entry.compressed);
+  const falseSize = () => new FormatError(`The uploaded ZIP file is damaged: ${entry.name} unpacks beyond the size it declares`, 'invalid_file');
+  if (entry.method === STORED && data.length > entry.size) throw falseSize();
+  if (entry.method !== DEFLATED) return;
+  let inflated = 0;
+  const inflater = new pako.Inflate({ raw: true });
+  inflater.onData = (chunk) => {
+    inflated += chunk.length;
+    if (inflated > entry.size) throw falseSize();
+  };
+  inflater.push(data, true);
+}
+
+// Reject an xlsx/ods archive that unpacks beyond the limits: first by the sizes its directory declares,
+// then by inflating it (which costs about a second per 100 MB unpacked)
+function checkArchive(buffer, limits) {
+  const { maxUncompressedSize, maxCompressionRatio, maxEntries } = resolveLimits(limits);
+  const entries = zipEntries(buffer);
+  if (maxEntries && entries.length > maxEntries) {
+    throw new LimitError(`The uploaded file holds ${entries.length} archive entries (at most ${maxEntries} allowed)`, 'archive_too_large');
+  }
+  const total = entries.reduce((n, e) => n + e.size, 0);
+  if (maxUncompressedSize && total > maxUncompressedSize) {
+    throw new LimitError(`The uploaded file unpacks to ${formatSize(total)} (at most ${formatSize(maxUncompressedSize)} allowed)`, 'archive_too_large');
+  }
+  const bomb = maxCompressionRatio && entries.find(e => e.size >= RATIO_MIN_SIZE && e.size / Math.max(e.compressed, 1) > maxCompressionRatio);
+  if (bomb) throw new LimitError(`The uploaded file looks like a zip bomb: ${bomb.name} is compressed beyond ${maxCompressionRatio}:1`, 'archive_suspicious');
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  entries.forEach(entry => checkInflatedSize(buffer, view, entry));
+  return entries;
+}
+
+// Reject a sheet with more data rows or columns than allowed; `rows` is the number of rows read so far
+function checkSheetSize({ name, rows, columns }, limits) {
+  const { maxRows, maxColumns } = resolveLimits(limits);
+  if (maxRows && rows > maxRows) {
+    throw new LimitError(`Sheet "${name}" has more than ${maxRows.toLocaleString('en')} data rows`, 'too_many_rows');
+  }
+  if (maxColumns && columns > maxColumns) {
+    throw new LimitError(`Sheet "${name}" has ${columns} columns (at most ${maxColumns} allowed)`, 'too_many_columns');
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  LimitError,
+  formatSize,
+  resolveLimits,
+  checkArchive,
+  checkSheetSize,
+};
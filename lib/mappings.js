@@ -0,0 +1,52 @@
+const path = require('path');
+const fs = require('fs');
+const { ProfileError } = require('./schema');
+
+// Column maps confirmed on the page are saved per sender (an email, company or any label the uploader
+// uses), one JSON file each, and applied to that sender's later uploads
+const MAPPINGS_DIR = process.env.MAPPINGS_DIR || path.join(__dirname, '..', 'data', 'mappings');
+
+function senderFile(sender) {
+  const key = String(sender || '').trim().toLowerCase();
+  if (!key || key.length > 200) throw new ProfileError('sender must be a non-empty name of at most 200 characters');
+  // encodeURIComponent leaves no path separators, so the name cannot leave the directory
+  return path.join(MAPPINGS_DIR, encodeURIComponent(key) + '.json');
+}
+
+function loadSenderMapping(sender) {
+  const file = senderFile(sender);
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8')).mapping || {};
+}
+
+function saveSenderMapping(sender, mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ProfileError('mapping must be a JSON object mapping uploaded headers to profile columns');
+  }
+  const file = senderFile(sender);
+  fs.mkdirSync(MAPPINGS_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ sender: String(sender).trim(), mapping, updatedAt: new Date().toISOString() }, null, 2));
+  return mapping;
+}
+
+// A column map sent with an upload (column_map, JSON) on top of the sender's saved one
+function resolveColumnMap(sender, raw) {
+  const saved = sender ? loadSenderMapping(sender) : {};
+  if (!raw) return saved;
+  let mapping;
+  try {
+    mapping = JSON.parse(raw);
+  } catch {
+    throw new ProfileError('column_map must be a JSON object mapping uploaded headers to profile columns');
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ProfileError('column_map must be a JSON object mapping uploaded headers to profile columns');
+  }
+  return { ...saved, ...mapping };
+}
+
+module.exports = {
+  loadSenderMapping,
+  saveSenderMapping,
+  resolveColumnMap,
+};
@@ -0,0 +1,607 @@
+// Message catalog: every user-facing text of the engine in Arabic and English, keyed by id. Validators
+// describe a message as { id, params } and it is rendered once the language is known, so the same
+// run can be reported in either language. Profiles override wording per rule id or message id in
+// their `messages` section, with a string for both languages or { ar, en }. A parameter may also be
+// { ar, en }, e.g. a place name, and shows in the message's language.
+
+const LANGUAGES = ['ar', 'en'];
+const DEFAULT_LANG = 'ar';
+
+const CATALOG = {
+  // Cell issues
+  mandatory_empty: {
+    ar: 'هذا الحقل إلزامي ولا يجوز تركه فارغًا',
+    en: 'This mandatory field is empty',
+  },
+  market_approach_empty: {
+    ar: 'market_approach فارغ ويُعامل على أنه 0 (غير مستخدم)',
+    en: 'market_approach is empty and is treated as 0 (not used)',
+  },
+  final_value_empty: {
+    ar: 'final_value حقل إلزامي ولا يجوز تركه فارغًا',
+    en: 'final_value is mandatory and cannot be empty',
+  },
+  final_value_integer: {
+    ar: 'يجب أن تكون القيمة النهائية عددًا صحيحًا بدون كسور',
+    en: 'Final value must be a non-decimal integer',
+  },
+  column_range: {
+    ar: '{column} يجب أن يكون بين {min} و {max}',
+    en: '{column} must be between {min} and {max}',
+  },
+  range_between: {
+    ar: 'يجب أن تكون القيمة بين {min} و {max}',
+    en: 'Must be between {min} and {max}',
+  },
+  range_non_negative: {
+    ar: 'يجب أن تكون القيمة رقمًا غير سالب',
+    en: 'Must be a non-negative number',
+  },
+  range_min: {
+    ar: 'يجب ألا تقل القيمة عن {min}',
+    en: 'Must be at least {min}',
+  },
+  range_max: {
+    ar: 'يجب ألا تزيد القيمة عن {max}',
+    en: 'Must be at most {max}',
+  },
+  type_number: {
+    ar: 'يجب أن تكون القيمة رقمًا',
+    en: 'Must be a number',
+  },
+  type_int: {
+    ar: 'يجب أن تكون القيمة عددًا صحيحًا',
+    en: 'Must be a whole number',
+  },
+  allowed_values: {
+    ar: 'يجب أن تكون القيمة إحدى القيم: {values}',
+    en: 'Must be one of: {values}',
+  },
+  market_approach_allowed: {
+    ar: 'market_approach يجب أن يكون إحدى القيم: {values}',
+    en: 'market_approach must be one of: {values}',
+  },
+  date_format: {
+    ar: 'يجب أن يكون التاريخ بالتنسيق dd-mm-YYYY',
+    en: 'Date must be in dd-mm-YYYY format',
+  },
+  date_calendar: {
+    ar: 'هذا التاريخ غير موجود في التقويم',
+    en: 'This date does not exist in the calendar',
+  },
+  date_hijri_not_allowed: {
+    ar: 'التواريخ الهجرية غير مقبولة في هذا العمود',
+    en: 'Hijri dates are not accepted for this column',
+  },
+  date_gregorian_not_allowed: {
+    ar: 'التواريخ الميلادية غير مقبولة في هذا العمود',
+    en: 'Gregorian dates are not accepted for this column',
+  },
+  date_future: {
+    ar: 'لا يجوز أن يكون التاريخ في المستقبل',
+    en: 'Date cannot be in the future',
+  },
+  date_too_old: {
+    ar: 'التاريخ أقدم من {months} شهرًا قبل تاريخ اليوم',
+    en: 'Date is more than {months} months before today',
+  },
+  date_too_old_relative: {
+    ar: 'التاريخ أقدم من {months} شهرًا قبل {reference}',
+    en: 'Date is more than {months} months before {reference}',
+  },
+  rule_violated: {
+    ar: 'لم تتحقق القاعدة {rule}: {expression}',
+    en: 'Rule {rule} violated: {expression}',
+  },
+  duplicate_rows: {
+    ar: 'صف مكرر (حسب {key}) مع الصفوف: {rows}',
+    en: 'Duplicate (by {key}) of row(s) {rows}',
+  },
+  conflicting_values: {
+    ar: 'قيمة {column} تختلف عن الصفوف {rows} التي لها نفس {key}',
+    en: '{column} differs from row(s) {rows} with the same {key}',
+  },
+  unique_value: {
+    ar: 'يجب أن تكون القيمة فريدة، وهي مكررة في الصفوف: {rows}',
+    en: 'Value must be unique; it also appears in row(s) {rows}',
+  },
+  outlier_high: {
+    ar: 'القيمة {value} أعلى بكثير من المعتاد لـ {group} ({groupBy})؛ الوسيط {median} في {count} صفًا',
+    en: '{value} is unusually high for {group} ({groupBy}); the median of {count} rows is {median}',
+  },
+  outlier_low: {
+    ar: 'القيمة {value} أقل بكثير من المعتاد لـ {group} ({groupBy})؛ الوسيط {median} في {count} صفًا',
+    en: '{value} is unusually low for {group} ({groupBy}); the median of {count} rows is {median}',
+  },
+  geo_country_unknown: {
+    ar: 'الدولة "{value}" غير معروفة',
+    en: 'Unknown country "{value}"',
+  },
+  geo_country_unknown_suggest: {
+    ar: 'الدولة "{value}" غير معروفة، هل تقصد "{suggestion}"؟',
+    en: 'Unknown country "{value}"; did you mean "{suggestion}"?',
+  },
+  geo_region_unknown: {
+    ar: '"{value}" ليست من مناطق {country}',
+    en: '"{value}" is not a region of {country}',
+  },
+  geo_region_unknown_suggest: {
+    ar: '"{value}" ليست من مناطق {country}، هل تقصد "{suggestion}"؟',
+    en: '"{value}" is not a region of {country}; did you mean "{suggestion}"?',
+  },
+  geo_city_unknown: {
+    ar: '"{value}" ليست مدينة معروفة في {scope}',
+    en: '"{value}" is not a known city of {scope}',
+  },
+  geo_city_unknown_suggest: {
+    ar: '"{value}" ليست مدينة معروفة في {scope}، هل تقصد "{suggestion}"؟',
+    en: '"{value}" is not a known city of {scope}; did you mean "{suggestion}"?',
+  },
+  geo_city_region_mismatch: {
+    ar: 'مدينة {city} تقع في منطقة {expected} وليس {region}',
+    en: '{city} is in the {expected} region, not {region}',
+  },
+  unit_unknown: {
+    ar: 'وحدة القياس "{value}" غير معروفة',
+    en: 'Unknown unit "{value}"',
+  },
+  unit_unknown_suggest: {
+    ar: 'وحدة القياس "{value}" غير معروفة، هل تقصد "{suggestion}"؟',
+    en: 'Unknown unit "{value}"; did you mean "{suggestion}"?',
+  },
+  unit_dimension: {
+    ar: 'الوحدة "{value}" تقيس {dimension}، والمتوقع لنوع هذا الأصل أو المنتج: {expected}',
+    en: '"{value}" measures {dimension}; this asset or product type expects {expected}',
+  },
+
+  // Cell notes
+  note_fixed: {
+    ar: 'تم التصحيح ({fix})، القيمة السابقة: {before}',
+    en: 'Fixed ({fix}), was: {before}',
+  },
+  note_edited: {
+    ar: 'عُدّلت في المعاينة، القيمة السابقة: {before}',
+    en: 'Edited in the preview, was: {before}',
+  },
+  note_hijri: {
+    ar: 'تم التحويل من التاريخ الهجري {date}',
+    en: 'Converted from Hijri date {date}',
+  },
+
+  // Fixes: description in the fix list, summary line when the fix changed something
+  fix_trim_whitespace: {
+    ar: 'حذف المسافات وعلامات الاتجاه حول القيم',
+    en: 'Trim spaces and direction marks around values',
+  },
+  fix_trim_whitespace_summary: {
+    ar: 'تم حذف المسافات الزائدة من {count} خلية.',
+    en: 'Removed extra spaces from {count} cell(s).',
+  },
+  fix_arabic_digits: {
+    ar: 'تحويل الأرقام العربية الهندية (٠١٢٣) إلى 0-9',
+    en: 'Convert Arabic-Indic digits (٠١٢٣) to 0-9',
+  },
+  fix_arabic_digits_summary: {
+    ar: 'تم تحويل الأرقام العربية الهندية إلى أرقام لاتينية في {count} خلية.',
+    en: 'Converted Arabic-Indic digits to 0-9 in {count} cell(s).',
+  },
+  fix_number_format: {
+    ar: 'حذف فواصل الآلاف و .0 الزائدة من الأرقام',
+    en: 'Strip thousands separators and a trailing .0 from numbers',
+  },
+  fix_number_format_summary: {
+    ar: 'تم تصحيح تنسيق {count} قيمة رقمية (فواصل الآلاف أو .0).',
+    en: 'Corrected the format of {count} number(s) (thousands separators or .0).',
+  },
+  fix_date_format: {
+    ar: 'إعادة كتابة التواريخ بالتنسيق dd-mm-yyyy',
+    en: 'Rewrite dates as dd-mm-yyyy',
+  },
+  fix_date_format_summary: {
+    ar: 'تم تصحيح تنسيق {count} تاريخ تلقائيًا.',
+    en: 'Corrected the format of {count} date(s).',
+  },
+  fix_hijri_dates: {
+    ar: 'تحويل التواريخ الهجرية إلى ميلادية',
+    en: 'Convert Hijri dates to Gregorian',
+  },
+  fix_hijri_dates_summary: {
+    ar: 'تم تحويل {count} تاريخ هجري إلى ميلادي مع حفظ التاريخ الأصلي في ملاحظة الخلية.',
+    en: 'Converted {count} Hijri date(s) to Gregorian; the original date is kept in the cell note.',
+  },
+  fix_rule: {
+    ar: 'تعبئة {columns} من {source}',
+    en: 'Fill {columns} from {source}',
+  },
+  fix_rule_summary: {
+    ar: 'تم تعبئة {count} خلية تلقائيًا وفق القاعدة {rule}.',
+    en: 'Filled {count} cell(s) following rule {rule}.',
+  },
+  fix_geography_names: {
+    ar: 'توحيد كتابة أسماء الدول والمناطق والمدن حسب البيانات المرجعية',
+    en: 'Normalize the spelling of country, region and city names to the reference data',
+  },
+  fix_geography_names_summary: {
+    ar: 'تم توحيد كتابة {count} اسم دولة أو منطقة أو مدينة.',
+    en: 'Normalized the spelling of {count} country, region or city name(s).',
+  },
+  fix_unit_names: {
+    ar: 'توحيد كتابة وحدات القياس حسب قائمة الوحدات',
+    en: 'Normalize the spelling of units to the unit catalog',
+  },
+  fix_unit_names_summary: {
+    ar: 'تم توحيد كتابة {count} وحدة قياس.',
+    en: 'Normalized the spelling of {count} unit(s).',
+  },
+  fix_convert_units: {
+    ar: 'تحويل الطاقات الإنتاجية إلى الوحدة الأساسية (مثل طن/يوم)',
+    en: 'Convert capacities to the base unit (such as ton/day)',
+  },
+  fix_convert_units_summary: {
+    ar: 'تم تحويل {count} طاقة إنتاجية إلى الوحدة الأساسية.',
+    en: 'Converted {count} capacity value(s) to the base unit.',
+  },
+
+  // Check summaries
+  summary_missing_spec: {
+    ar: 'العمود {column} غير معرّف في ملف التحقق {profile}.',
+    en: 'Column {column} is not defined in validation profile {profile}.',
+  },
+  summary_column_missing: {
+    ar: 'العمود {column} غير موجود في الملف.',
+    en: 'Column {column} is not in the file.',
+  },
+  summary_columns_missing: {
+    ar: 'الأعمدة المطلوبة غير موجودة ({columns})',
+    en: 'Required columns are missing ({columns})',
+  },
+  summary_final_value_ok: {
+    ar: 'جميع القيم في final_value مكتملة وصحيحة.\nتم التحقق من أن جميع القيم أرقام صحيحة وغير عشرية.',
+    en: 'All final_value values are complete and valid.\nEvery value was checked to be a whole, non-decimal number.',
+  },
+  summary_final_value_failed: {
+    ar: 'عدد القيم غير الصحيحة في final_value: {count}',
+    en: 'Invalid final_value values: {count}',
+  },
+  summary_final_value_hint: {
+    ar: 'يجب أن تكون القيم في final_value أرقامًا صحيحة وغير عشرية.',
+    en: 'final_value must hold whole, non-decimal numbers.',
+  },
+  summary_mandatory_ok: {
+    ar: 'جميع الحقول الإلزامية مكتملة وصحيحة.\nتم التحقق من عدم وجود أي قيم فارغة في الحقول الإلزامية.',
+    en: 'All mandatory fields are complete.\nNo mandatory field was found empty.',
+  },
+  summary_mandatory_failed: {
+    ar: 'عدد الحقول الإلزامية الفارغة: {count}',
+    en: 'Empty mandatory fields: {count}',
+  },
+  summary_mandatory_hint: {
+    ar: 'يجب تعبئة جميع الحقول الإلزامية وعدم تركها فارغة.',
+    en: 'Every mandatory field must be filled in.',
+  },
+  summary_dates_ok: {
+    ar: 'جميع التواريخ في {column} مكتملة وصحيحة.\nتم التحقق من أن جميع القيم تواريخ حقيقية بالتنسيق dd-mm-YYYY.',
+    en: 'All dates in {column} are complete and valid.\nEvery value was checked to be a real date in dd-mm-YYYY format.',
+  },
+  summary_dates_failed: {
+    ar: 'عدد التواريخ غير الصحيحة في {column}: {count}',
+    en: 'Invalid dates in {column}: {count}',
+  },
+  summary_dates_hint: {
+    ar: 'يجب أن يكون التاريخ صحيحًا في التقويم وبالتنسيق dd-mm-YYYY.',
+    en: 'Dates must exist in the calendar and use the dd-mm-YYYY format.',
+  },
+  summary_range_ok: {
+    ar: 'جميع البيانات في حقل {column} مكتملة وصحيحة.\nتم التحقق من أن جميع القيم تقع بين {min} و {max}.',
+    en: 'All values in {column} are complete and valid.\nEvery value was checked to be between {min} and {max}.',
+  },
+  summary_range_failed: {
+    ar: 'عدد القيم غير الصحيحة في {column}: {count}',
+    en: 'Invalid values in {column}: {count}',
+  },
+  summary_range_hint: {
+    ar: 'يجب أن تكون جميع القيم في هذا الحقل بين {min} و {max}.',
+    en: 'Every value in this field must be between {min} and {max}.',
+  },
+  summary_market_approach_ok: {
+    ar: 'جميع البيانات في حقل market_approach مكتملة وصحيحة.\nتم التحقق من أن القيم هي 0 أو 1 أو 2، وإذا كانت 1 أو 2 فإن market_approach_value يساوي final_value.',
+    en: 'All market_approach values are complete and valid.\nValues were checked to be 0, 1 or 2, with market_approach_value equal to final_value for 1 or 2.',
+  },
+  summary_market_approach_failed: {
+    ar: 'عدد القيم غير الصحيحة في market_approach: {count}',
+    en: 'Invalid market_approach values: {count}',
+  },
+  summary_market_approach_hint: {
+    ar: 'يجب أن تكون القيم في هذا الحقل 0 أو 1 أو 2، وإذا كانت 1 أو 2 يجب أن يكون market_approach_value مساويًا لـ final_value.',
+    en: 'Values must be 0, 1 or 2; for 1 or 2, market_approach_value must equal final_value.',
+  },
+  summary_market_approach_empty: {
+    ar: 'صفوف بدون market_approach (تُعامل على أنها 0): {count}',
+    en: 'Rows without market_approach (treated as 0): {count}',
+  },
+  summary_column_failed: {
+    ar: 'قيم غير صحيحة في {column}: {count}',
+    en: 'Invalid values in {column}: {count}',
+  },
+  summary_cost_approach_ok: {
+    ar: 'جميع البيانات في حقل cost_approach مكتملة وصحيحة.\nتم التحقق من أن القيم مطابقة للشروط المطلوبة.',
+    en: 'All cost_approach values are complete and valid.\nValues were checked against the required conditions.',
+  },
+  summary_cost_approach_failed: {
+    ar: 'عدد القيم غير الصحيحة في cost_approach: {count}',
+    en: 'Invalid cost_approach values: {count}',
+  },
+  summary_cost_approach_hint: {
+    ar: 'إذا كان market_approach = 0 يجب أن يكون cost_approach = 1 أو 2، وإذا كان 1 أو 2 يجب أن يكون cost_approach_value مساويًا لـ final_value.',
+    en: 'When market_approach = 0, cost_approach must be 1 or 2, and cost_approach_value must then equal final_value.',
+  },
+  summary_rules_ok: {
+    ar: 'جميع القواعد الشرطية متحققة.\nتم التحقق من تطابق الحقول المرتبطة في كل صف.',
+    en: 'All conditional rules hold.\nRelated fields were checked to agree on every row.',
+  },
+  summary_rules_failed: {
+    ar: 'عدد مخالفات القواعد الشرطية: {count}',
+    en: 'Conditional rule violations: {count}',
+  },
+  summary_rules_hint: {
+    ar: 'يجب أن تكون قيم الحقول المرتبطة متسقة وفقًا لقواعد ملف التحقق.',
+    en: 'Related fields must agree as the profile rules require.',
+  },
+  summary_duplicates_ok: {
+    ar: 'لا توجد صفوف مكررة أو متعارضة.\nتمت مقارنة الصفوف حسب مفاتيح التكرار والأعمدة الفريدة في ملف التحقق.',
+    en: 'No duplicate or conflicting rows.\nRows were compared on the profile\'s duplicate keys and unique columns.',
+  },
+  summary_duplicates_failed: {
+    ar: 'عدد الصفوف المكررة أو المتعارضة: {count}',
+    en: 'Duplicate or conflicting rows: {count}',
+  },
+  summary_duplicates_hint: {
+    ar: 'احذف الصفوف المكررة ووحّد القيم المتعارضة للأصل نفسه؛ أرقام الصفوف المرتبطة مذكورة في ملاحظات الخلايا.',
+    en: 'Remove repeated rows and make conflicting values agree; the cell notes list the related row numbers.',
+  },
+  summary_outliers_ok: {
+    ar: 'لا توجد قيم غير معتادة.\nتمت مقارنة القيم مع الأصول المماثلة.',
+    en: 'No unusual values.\nValues were compared with similar assets.',
+  },
+  summary_outliers_found: {
+    ar: 'قيم غير معتادة تحتاج إلى مراجعة (تحذيرات لا تمنع الرفع): {count}',
+    en: 'Unusual values to review (warnings, not errors): {count}',
+  },
+  summary_outliers_hint: {
+    ar: 'تأكد من هذه القيم ووحداتها؛ قد تكون صحيحة لكنها تختلف كثيرًا عن الأصول المماثلة.',
+    en: 'Double-check these values and their units; they may be right but differ widely from similar assets.',
+  },
+  summary_geography_missing: {
+    ar: 'ملف التحقق {profile} لا يحدد أعمدة الدولة والمنطقة والمدينة (geography).',
+    en: 'Validation profile {profile} does not name its country, region and city columns (geography).',
+  },
+  summary_geography_ok: {
+    ar: 'جميع الدول والمناطق والمدن صحيحة.\nتمت مطابقتها مع البيانات المرجعية للمناطق والمدن.',
+    en: 'All countries, regions and cities are valid.\nThey were matched against the reference list of regions and cities.',
+  },
+  summary_geography_failed: {
+    ar: 'عدد أخطاء الدولة أو المنطقة أو المدينة: {count}',
+    en: 'Country, region or city errors: {count}',
+  },
+  summary_geography_hint: {
+    ar: 'صحّح الأسماء غير المعروفة واختر المنطقة التي تقع فيها المدينة؛ الاقتراحات في ملاحظات الخلايا، ويمكن توحيد الكتابة تلقائيًا في وضع التصحيح.',
+    en: 'Correct unknown names and pick the region the city lies in; suggestions are in the cell notes, and fix mode can normalize spellings.',
+  },
+  summary_units_missing: {
+    ar: 'ملف التحقق {profile} لا يحدد عمود وحدة القياس (units).',
+    en: 'Validation profile {profile} does not name its unit column (units).',
+  },
+  summary_units_ok: {
+    ar: 'جميع وحدات القياس صحيحة.\nتمت مطابقتها مع قائمة الوحدات ونوع الأصل أو المنتج.',
+    en: 'All units are valid.\nThey were matched against the unit catalog and the asset or product type.',
+  },
+  summary_units_failed: {
+    ar: 'عدد أخطاء وحدات القياس: {count}',
+    en: 'Unit errors: {count}',
+  },
+  summary_units_hint: {
+    ar: 'استخدم وحدة من قائمة الوحدات تناسب نوع الأصل أو المنتج؛ الاقتراحات في ملاحظات الخلايا، ويمكن توحيد الكتابة أو التحويل إلى الوحدة الأساسية في وضع التصحيح.',
+    en: 'Use a catalog unit that suits the asset or product type; suggestions are in the cell notes, and fix mode can normalize spellings or convert to the base unit.',
+  },
+  summary_additional: {
+    ar: 'مخالفات القواعد الإضافية: {count}',
+    en: 'Additional rule violations: {count}',
+  },
+  summary_all_ok: {
+    ar: 'جميع البيانات في هذا الفحص صحيحة.',
+    en: 'All data in this check is valid.',
+  },
+  summary_verdict_passed: {
+    ar: 'النتيجة: مقبول ({errors} خطأ، {warnings} تحذير، {infos} ملاحظة).',
+    en: 'Result: passed ({errors} error(s), {warnings} warning(s), {infos} notice(s)).',
+  },
+  summary_verdict_failed: {
+    ar: 'النتيجة: مرفوض ({errors} خطأ، {warnings} تحذير، {infos} ملاحظة). {policy}',
+    en: 'Result: failed ({errors} error(s), {warnings} warning(s), {infos} notice(s)). {policy}',
+  },
+  policy_limits: {
+    ar: 'المسموح: {maxErrors} خطأ و{maxWarnings} تحذير كحد أقصى، دون احتساب تحذيرات القيم الشاذة.',
+    en: 'Allowed: at most {maxErrors} error(s) and {maxWarnings} warning(s), outlier warnings not counted.',
+  },
+  policy_limits_any_warnings: {
+    ar: 'المسموح: {maxErrors} خطأ كحد أقصى وأي عدد من التحذيرات.',
+    en: 'Allowed: at most {maxErrors} error(s) and any number of warnings.',
+  },
+
+  // Totals and the Summary sheet
+  aggregate_excluded_empty: {
+    ar: '{column} فارغ',
+    en: '{column} is empty',
+  },
+  aggregate_excluded_not_number: {
+    ar: '{column} ليس رقمًا',
+    en: '{column} is not a number',
+  },
+  aggregate_sheet: { ar: 'الملخص', en: 'Summary' },
+  aggregate_total: { ar: 'إجمالي {column}', en: 'Total {column}' },
+  aggregate_counted: { ar: 'الصفوف المحتسبة', en: 'Rows counted' },
+  aggregate_excluded: { ar: 'مستبعد', en: 'Excluded' },
+  aggregate_excluded_reason: { ar: 'مستبعد: {reason}', en: 'Excluded: {reason}' },
+  aggregate_rows: { ar: 'عدد الصفوف', en: 'Rows' },
+  aggregate_excel_rows: { ar: 'الصفوف: {rows}', en: 'Rows: {rows}' },
+  aggregate_by: { ar: 'حسب {columns}', en: 'By {columns}' },
+  aggregate_blank: { ar: '(فارغ)', en: '(blank)' },
+
+  // Severities and the Legend sheet
+  severity_error: { ar: 'خطأ', en: 'Error' },
+  severity_warning: { ar: 'تحذير', en: 'Warning' },
+  severity_info: { ar: 'ملاحظة', en: 'Notice' },
+  legend_fixed: { ar: 'تم التصحيح', en: 'Fixed' },
+  legend_edited: { ar: 'تم التعديل', en: 'Edited' },
+  legend_title: { ar: 'دليل الألوان', en: 'Colour legend' },
+  legend_error: {
+    ar: 'يجب تصحيحه؛ يُحتسب ضمن سياسة القبول',
+    en: 'Must be corrected; counts against the pass/fail policy',
+  },
+  legend_warning: {
+    ar: 'يحتاج إلى مراجعة؛ لا يؤدي إلى الرفض إلا إذا تجاوز عدد التحذيرات الحد المسموح',
+    en: 'Worth a second look; fails the sheet only beyond the allowed number of warnings',
+  },
+  legend_info: {
+    ar: 'للعلم فقط؛ لا يؤثر على النتيجة',
+    en: 'For information only; never fails the sheet',
+  },
+  legend_fixed_description: {
+    ar: 'صُحح تلقائيًا في وضع التصحيح، والقيمة السابقة في ملاحظة الخلية',
+    en: 'Corrected in fix mode; the previous value is in the cell note',
+  },
+  legend_edited_description: {
+    ar: 'عُدّل يدويًا في المعاينة، والقيمة السابقة في ملاحظة الخلية',
+    en: 'Edited by hand in the preview; the previous value is in the cell note',
+  },
+  legend_results: { ar: 'النتائج', en: 'Results' },
+  legend_sheet: { ar: 'الورقة', en: 'Sheet' },
+  legend_result: { ar: 'النتيجة', en: 'Result' },
+  legend_policy: { ar: 'سياسة القبول', en: 'Policy' },
+  verdict_passed: { ar: 'مقبول', en: 'Passed' },
+  verdict_failed: { ar: 'مرفوض', en: 'Failed' },
+  verdict_skipped: { ar: 'متجاهلة', en: 'Skipped' },
+
+  // Sheets that cannot be validated
+  missing_columns_sheet: {
+    ar: 'الورقة لا تحتوي على الأعمدة المطلوبة: {columns}',
+    en: 'The sheet is missing required columns: {columns}',
+  },
+  sheet_skipped: {
+    ar: 'لم يتم التحقق من الورقة لأنها لا تحتوي على أي عمود من أعمدة ملف التحقق {profile}',
+    en: 'The sheet was skipped: none of its columns belongs to profile {profile}',
+  },
+  missing_columns_file: {
+    ar: 'الملف المرفوع لا يحتوي على الأعمدة المطلوبة: {columns}',
+    en: 'The uploaded file is missing required columns: {columns}',
+  },
+  missing_columns_workbook: {
+    ar: 'لا توجد ورقة في الملف المرفوع تحتوي على الأعمدة المطلوبة: {sheets}',
+    en: 'No sheet in the uploaded file has the required columns: {sheets}',
+  },
+  missing_columns_detail: {
+    ar: '{sheet} (ينقصها {columns})',
+    en: '{sheet} (missing {columns})',
+  },
+  missing_column_hint: {
+    ar: '{column} (أقرب عنوان: "{header}")',
+    en: '{column} (closest header: "{header}")',
+  },
+
+  // Input template
+  template_title: {
+    ar: 'نموذج إدخال البيانات ({profile})',
+    en: 'Data entry template ({profile})',
+  },
+  template_enter_data: {
+    ar: 'أدخل البيانات في ورقة {sheet} بدءًا من الصف الثاني ولا تغيّر أسماء الأعمدة أو ترتيبها.',
+    en: 'Enter the data on the {sheet} sheet from row 2; do not rename or reorder the columns.',
+  },
+  template_mandatory_columns: {
+    ar: 'الأعمدة ذات العنوان الأحمر إلزامية ولا يجوز تركها فارغة.',
+    en: 'Columns with a red header are mandatory and must not be left empty.',
+  },
+  template_dates: {
+    ar: 'اكتب التواريخ بالتنسيق dd-mm-yyyy، مثال: 05-03-2024.',
+    en: 'Enter dates as dd-mm-yyyy, e.g. 05-03-2024.',
+  },
+  template_limits: {
+    ar: 'القوائم المنسدلة والحدود مطابقة لقواعد التحقق في النظام؛ لا تلصق قيمًا تتجاوزها.',
+    en: 'Dropdowns and limits match the server checks; do not paste values around them.',
+  },
+  template_column: { ar: 'العمود', en: 'Column' },
+  template_type: { ar: 'النوع', en: 'Type' },
+  template_mandatory: { ar: 'إلزامي', en: 'Mandatory' },
+  template_allowed_values: { ar: 'القيم المسموحة', en: 'Allowed values' },
+  template_yes: { ar: 'نعم', en: 'Yes' },
+  template_no: { ar: 'لا', en: 'No' },
+  template_additional_rules: { ar: 'قواعد إضافية', en: 'Additional rules' },
+  template_mandatory_note: { ar: 'حقل إلزامي', en: 'Mandatory' },
+  template_optional_note: { ar: 'حقل اختياري', en: 'Optional' },
+  template_invalid_value: { ar: 'قيمة غير صحيحة', en: 'Invalid value' },
+  template_hijri: { ar: 'هجري', en: 'Hijri' },
+  template_not_in_future: { ar: 'لا يتجاوز تاريخ اليوم', en: 'not in the future' },
+  template_within_months: { ar: 'خلال آخر {months} شهرًا', en: 'within the last {months} months' },
+  type_label_int: { ar: 'عدد صحيح', en: 'Whole number' },
+  type_label_float: { ar: 'رقم', en: 'Number' },
+  type_label_date: { ar: 'تاريخ', en: 'Date' },
+  type_label_enum: { ar: 'قائمة', en: 'List' },
+  type_label_text: { ar: 'نص', en: 'Text' },
+};
+
+// List separators per language, used when a parameter is an array
+const LIST_SEPARATORS = { ar: '، ', en: ', ' };
+
+// Marks that set the paragraph direction of a line in Excel notes and cells, where a line starting
+// with a column name would otherwise be laid out left to right
+const DIRECTION_MARKS = { ar: '\u200f', en: '\u200e' };
+
+function message(id, params = {}, extra = {}) {
+  return { id, params, ...extra };
+}
+
+// A profile rule's own `message` (a string or { ar, en }), or the generic rule message
+function ruleMessage(rule) {
+  return message('rule_violated', { rule: rule.id, expression: rule.rule }, { text: rule.message, rule: rule.id });
+}
+
+function pick(source, lang) {
+  if (typeof source === 'string') return source;
+  if (source && typeof source[lang] === 'string') return source[lang];
+  return undefined;
+}
+
+function formatParam(value, lang) {
+  if (Array.isArray(value)) return value.map(item => formatParam(item, lang)).join(LIST_SEPARATORS[lang]);
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object' && !(value instanceof Date)) return pick(value, lang) || '';
+  return String(value);
+}
+
+// Render a message in `lang`. The wording comes from, in order: the profile's override for `ruleId`
+// (the issue's rule, or the rule a rule message belongs to), the message's own text (a profile rule's `message`), the profile's override for
+// the message id, and the catalog. `prefix` (✅, ❌, ↳ in summaries) is kept in front.
+function formatMessage(msg, lang = DEFAULT_LANG, profile = null, ruleId = msg.rule) {
+  const overrides = (profile && profile.messages) || {};
+  const sources = [ruleId && overrides[ruleId], msg.text, overrides[msg.id], CATALOG[msg.id]];
+  const template = sources.map(s => pick(s, lang)).find(t => t !== undefined);
+  if (template === undefined) return msg.id;
+  const params = msg.params || {};
+  const text = template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? formatParam(params[key], lang) : match));
+  return msg.prefix ? `${msg.prefix} ${text}` : text;
+}
+
+// Prefix every line with the direction mark of `lang`
+function directional(text, lang = DEFAULT_LANG) {
+  if (text === null || text === undefined || text === '') return text;
+  return String(text).split('\n').map(line => DIRECTION_MARKS[lang] + line).join('\n');
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANG,
+  message,
+  ruleMessage,
+  formatMessage,
+  directional,
+};
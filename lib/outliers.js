@@ -0,0 +1,92 @@
+// Implausible values within a peer group, configured in a profile's `outliers` section:
+//   { "column": "final_value", "groupBy": ["asset_type", "product_type"], "method": "mad", "threshold": 3.5, "scale": "log" }
+// Rows are grouped by the groupBy columns (compared like normalized headers) and each group's values
+// are compared with its median using robust statistics, so a few extreme values cannot hide
+// themselves: "mad" flags a modified z-score above `threshold` (default 3.5), "iqr" values more than
+// `threshold` (default 1.5) interquartile ranges outside the quartiles. "log" compares orders of
+// magnitude, which suits amounts. Groups smaller than `minGroupSize` (default 5) are not judged.
+
+const { normalizeHeader } = require('./headers');
+const { readAmount } = require('./aggregate');
+
+const DEFAULT_THRESHOLDS = { mad: 3.5, iqr: 1.5 };
+const DEFAULT_MIN_GROUP_SIZE = 5;
+// Scale factors turning the MAD (and the mean absolute deviation when over half the values are
+// equal) into estimates of the standard deviation of normally distributed values
+const MAD_SCALE = 0.6745;
+const MEAN_AD_SCALE = 1.2533;
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function median(values) {
+  return quantile(values.slice().sort((a, b) => a - b), 0.5);
+}
+
+// Lower and upper limits of plausible (scaled) values, or null when the group has no spread
+function limits(values, method, threshold) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  if (method === 'iqr') {
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    return iqr === 0 ? null : [q1 - threshold * iqr, q3 + threshold * iqr];
+  }
+  const m = quantile(sorted, 0.5);
+  const deviations = values.map(x => Math.abs(x - m));
+  const mad = median(deviations);
+  const spread = mad ? mad / MAD_SCALE : (deviations.reduce((a, b) => a + b, 0) / values.length) * MEAN_AD_SCALE;
+  return spread === 0 ? null : [m - threshold * spread, m + threshold * spread];
+}
+
+function groupLabel(row, cols) {
+  return cols.map(j => (row[j] === null || row[j] === undefined || String(row[j]).trim() === '' ? '-' : String(row[j]).trim())).join(' / ');
+}
+
+// { index, column, direction ("high" or "low"), median, count, group } for every outlying value.
+// Empty and non-numeric values take no part (other checks report them), nor do values of 0 or
+// below on the log scale.
+function findOutliers(rows, header, check) {
+  const valueIdx = header.indexOf(check.column);
+  const cols = check.groupBy.map(col => header.indexOf(col));
+  const method = check.method || 'mad';
+  const threshold = check.threshold === undefined ? DEFAULT_THRESHOLDS[method] : check.threshold;
+  const minGroupSize = check.minGroupSize || DEFAULT_MIN_GROUP_SIZE;
+  const log = check.scale === 'log';
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const { amount } = readAmount(row[valueIdx]);
+    if (amount === undefined || (log && amount <= 0)) return;
+    const key = cols.map(j => normalizeHeader(row[j])).join('\u0001');
+    const group = groups.get(key) || { label: groupLabel(row, cols), members: [] };
+    group.members.push({ index, amount, scaled: log ? Math.log10(amount) : amount });
+    groups.set(key, group);
+  });
+  const found = [];
+  groups.forEach(({ label, members }) => {
+    if (members.length < minGroupSize) return;
+    const bounds = limits(members.map(m => m.scaled), method, threshold);
+    if (!bounds) return;
+    const groupMedian = median(members.map(m => m.amount));
+    members.forEach(({ index, scaled }) => {
+      if (scaled >= bounds[0] && scaled <= bounds[1]) return;
+      found.push({
+        index,
+        column: check.column,
+        direction: scaled > bounds[1] ? 'high' : 'low',
+        median: Math.round(groupMedian * 100) / 100,
+        count: members.length,
+        group: label,
+      });
+    });
+  });
+  return found.sort((a, b) => a.index - b.index);
+}
+
+module.exports = {
+  findOutliers,
+};
@@ -0,0 +1,407 @@
+// Writers for validation results: the annotated or clean xlsx workbook with its summary, report and
+// change sheets, plain csv/xls/ods output, and the machine-readable issue report.
+
+const ExcelJS = require('exceljs');
+const { fileBytes, writeSheets } = require('./formats');
+const { restoreCellValue } = require('./cells');
+const { cellMessages } = require('./validate');
+const { SEVERITIES } = require('./schema');
+const { DEFAULT_LANG, message, formatMessage, directional } = require('./messages');
+
+const REPORT_COLUMNS = ['sheet', 'row', 'column', 'cell', 'rule', 'severity', 'value', 'suggestion', 'related', 'message'];
+
+const CHANGE_COLUMNS = ['sheet', 'row', 'column', 'cell', 'fix', 'before', 'after'];
+
+// Excluded rows listed on the Summary sheet before the list is cut short
+const MAX_LISTED_ROWS = 100;
+
+// Lists (the related rows of cross-row issues) become comma-separated text
+function recordRows(columns, records) {
+  const cell = (value) => (Array.isArray(value) ? value.join(', ') : value);
+  return [columns, ...records.map(record => columns.map(k => (record[k] === undefined ? null : cell(record[k]))))];
+}
+
+function reportRows(issues) {
+  return recordRows(REPORT_COLUMNS, issues);
+}
+
+// Cell paragraph direction for message text
+function readingOrder(lang) {
+  return lang === 'ar' ? 'rtl' : 'ltr';
+}
+
+// An uploaded sheet may already carry the name
+function uniqueSheetName(workbook, baseName) {
+  let name = baseName;
+  for (let n = 2; workbook.getWorksheet(name); n++) name = `${baseName} (${n})`;
+  return name;
+}
+
+// Issue or change list appended to xlsx output; each cell reference links back to the cell in its sheet.
+// Arabic reports read right to left.
+function addRecordSheet(workbook, baseName, columns, records, lang) {
+  const ws = workbook.addWorksheet(uniqueSheetName(workbook, baseName));
+  recordRows(columns, records).forEach(r => ws.addRow(r));
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1, rightToLeft: lang === 'ar' }];
+  const cellCol = columns.indexOf('cell') + 1;
+  const messageCol = columns.indexOf('message') + 1;
+  records.forEach((record, i) => {
+    const target = `'${record.sheet.replace(/'/g, "''")}'!${record.cell}`;
+    ws.getRow(i + 2).getCell(cellCol).value = { text: record.cell, hyperlink: `#${target}` };
+    if (messageCol) ws.getRow(i + 2).getCell(messageCol).alignment = { readingOrder: readingOrder(lang) };
+  });
+  columns.forEach((k, j) => { ws.getColumn(j + 1).width = k === 'message' ? 60 : 16; });
+  return ws;
+}
+
+function addReportSheet(workbook, sheets, lang) {
+  return addRecordSheet(workbook, 'Validation Report', REPORT_COLUMNS, sheets.flatMap(s => s.issues || []), lang);
+}
+
+// Outside fix mode only the edits made in the preview are listed
+function sheetChangeRecords(sheets, fixMode) {
+  return sheets.flatMap(s => (s.changes || []).filter(c => fixMode || c.fix === 'edit'));
+}
+
+function addChangesSheet(workbook, sheets, { fixMode, lang }) {
+  return addRecordSheet(workbook, 'Changes', CHANGE_COLUMNS, sheetChangeRecords(sheets, fixMode), lang);
+}
+
+function isEdited(sheet, key) {
+  return !!(sheet.editedCells && sheet.editedCells[key]);
+}
+
+const PIVOT_HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9EAD3' } };
+
+function amountFormat(value) {
+  return Number.isInteger(value) ? '#,##0' : '#,##0.00';
+}
+
+// Totals of every validated sheet: the overall total, the rows left out of it and why, then one
+// pivot-style table per group-by of the profile (see ./aggregate)
+function addSummarySheet(workbook, sheets, lang) {
+  const label = (id, params) => formatMessage(message(id, params), lang);
+  const ws = workbook.addWorksheet(uniqueSheetName(workbook, 'Summary'));
+  ws.views = [{ rightToLeft: lang === 'ar' }];
+  const amountRow = (values, amountCol) => {
+    const row = ws.addRow(values);
+    row.getCell(amountCol).numFmt = amountFormat(values[amountCol - 1]);
+    return row;
+  };
+  sheets.filter(s => s.aggregates).forEach(sheet => {
+    const { column, total, count, excluded, groups } = sheet.aggregates;
+    ws.addRow([sheet.name]).font = { bold: true, size: 14 };
+    amountRow([label('aggregate_total', { column }), total], 2).font = { bold: true };
+    ws.addRow([label('aggregate_counted'), count]);
+    excluded.forEach(e => {
+      const rows = e.rows.slice(0, MAX_LISTED_ROWS).concat(e.rows.length > MAX_LISTED_ROWS ? ['…'] : []);
+      ws.addRow([label('aggregate_excluded_reason', { reason: e.label }), e.count, label('aggregate_excel_rows', { rows })]);
+    });
+    groups.forEach(({ by, rows }) => {
+      ws.addRow([]);
+      ws.addRow([label('aggregate_by', { columns: by })]).font = { bold: true };
+      const headerRow = ws.addRow([...by, label('aggregate_rows'), label('aggregate_total', { column }), label('aggregate_excluded')]);
+      headerRow.font = { bold: true };
+      headerRow.eachCell(cell => { cell.fill = PIVOT_HEADER_FILL; });
+      rows.forEach(r => {
+        amountRow([...r.key.map(k => (k === null ? label('aggregate_blank') : k)), r.count, r.total, r.excluded || null], by.length + 2);
+      });
+    });
+    ws.addRow([]);
+  });
+  ws.columns.forEach((col, j) => { col.width = j === 0 ? 36 : 18; });
+  return ws;
+}
+
+// Helper: force black text; no background fill at all
+function applyBaseStyle(cell, fontSize = 11) {
+  cell.fill = null; // no fill to prevent any background color
+  cell.font = { name: 'Calibri', color: { argb: 'FF000000' }, size: fontSize };
+  cell.border = undefined;
+  cell.alignment = undefined;
+  cell.numFmt = undefined;
+}
+
+// Sheets that could not be validated are copied through with the reason as a note on A1
+function writeUnvalidatedSheet(outWb, sheet, lang) {
+  const outWs = outWb.addWorksheet(sheet.name);
+  outWs.addRow(sheet.header);
+  sheet.sources.forEach(row => outWs.addRow(row));
+  outWs.getCell('A1').note = directional(sheet.error, lang);
+}
+
+const HIGHLIGHT_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFFFFF00' }, // أصفر Excel
+  bgColor: { argb: 'FFFFFF00' }
+};
+
+// Cells whose most serious issue is a warning (e.g. outliers)
+const WARNING_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFFCE4D6' }, // برتقالي فاتح
+  bgColor: { argb: 'FFFCE4D6' }
+};
+
+// Cells with notices only
+const INFO_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFDDEBF7' }, // أزرق فاتح
+  bgColor: { argb: 'FFDDEBF7' }
+};
+
+const SEVERITY_FILLS = { error: HIGHLIGHT_FILL, warning: WARNING_FILL, info: INFO_FILL };
+
+// Fill of a cell after the most serious of its issues
+function issueFill(sheet, key) {
+  const issues = sheet.issuesByCell[key] || [];
+  return SEVERITY_FILLS[SEVERITIES.find(severity => issues.some(issue => issue.severity === severity)) || 'error'];
+}
+
+// Cells changed by fix mode that passed validation
+const FIXED_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFC6EFCE' }, // أخضر فاتح
+  bgColor: { argb: 'FFC6EFCE' }
+};
+
+// Mark up the uploaded worksheet itself: values, fonts, widths, merges and number formats stay untouched.
+// Only highlighted cells get a fill and a note; errorColumn adds a messages column after the data.
+// Corrected values are written back too, so a converted Hijri date never keeps its old text next to
+// the note saying it was converted; fix mode and edits also mark them green. Notes carry
+// direction marks and the messages column a reading order, so lines starting with a column name keep
+// the direction of `lang`.
+function annotateSheetInPlace(worksheet, sheet, { errorColumn = false, fixMode = false, lang = DEFAULT_LANG } = {}) {
+  const { header } = sheet;
+  const { rows: validatedRows, notes = {} } = sheet.validated;
+  const messageCol = Math.max(header.length, worksheet.columnCount) + 1;
+  if (errorColumn) worksheet.getRow(1).getCell(messageCol).value = 'validation_messages';
+  validatedRows.forEach((row, i) => {
+    const excelRow = worksheet.getRow(sheet.rowNumbers[i]);
+    const rowMessages = [];
+    header.forEach((col, j) => {
+      const key = `${i},${col}`;
+      const cell = excelRow.getCell(j + 1);
+      const messages = cellMessages(sheet, i, col);
+      const noteLines = [...messages];
+      const edited = isEdited(sheet, key);
+      const fixed = (fixMode && sheet.changedCells[key]) || edited;
+      // An edited value replaces whatever the cell held, formulas included
+      if (edited) cell.value = row[j];
+      else if (sheet.changedCells[key]) cell.value = restoreCellValue(sheet.sources[i][j], row[j]);
+      if (messages.length) {
+        // Copy the style so cells sharing a style object are not recoloured together
+        cell.style = { ...cell.style, fill: issueFill(sheet, key) };
+        messages.forEach(message => rowMessages.push(`${col}: ${message}`));
+      } else if (fixed) {
+        cell.style = { ...cell.style, fill: FIXED_FILL };
+      }
+      if (notes[key]) noteLines.push(notes[key]);
+      if (noteLines.length) cell.note = directional(noteLines.join('\n'), lang);
+    });
+    if (errorColumn && rowMessages.length) {
+      const messageCell = excelRow.getCell(messageCol);
+      messageCell.value = rowMessages.join('; ');
+      messageCell.alignment = { readingOrder: readingOrder(lang) };
+    }
+  });
+}
+
+// Plain-value rows for csv/xls/ods output, with each row's messages gathered into a trailing column
+function annotatedSheetRows(sheet) {
+  if (sheet.error) return { name: sheet.name, rows: [sheet.header, ...sheet.rows] };
+  const { header } = sheet;
+  const rows = sheet.validated.rows.map((row, i) => {
+    const messages = [];
+    const values = header.map((col, j) => {
+      cellMessages(sheet, i, col).forEach(message => messages.push(`${col}: ${message}`));
+      return row[j];
+    });
+    return [...values, messages.join('; ')];
+  });
+  return { name: sheet.name, rows: [[...header, 'validation_messages'], ...rows] };
+}
+
+function writeValidatedSheet(outWb, sheet, { fixMode = false, lang = DEFAULT_LANG } = {}) {
+  const { header } = sheet;
+  const { rows: validatedRows, notes = {} } = sheet.validated;
+  const outWs = outWb.addWorksheet(sheet.name || 'Sheet1');
+
+  // Write header as plain values (white background, black text)
+  const headerRow = outWs.addRow(header);
+  header.forEach((_, idx) => {
+    const c = headerRow.getCell(idx + 1);
+    applyBaseStyle(c, 11);
+  });
+
+  // أضف جميع الصفوف أولاً، في نفس أرقام الصفوف كما في الملف المرفوع حتى تطابق مراجع التقرير
+  for (let i = 0; i < validatedRows.length; i++) {
+    // Keep formulas, native dates, hyperlinks and rich text from the upload, except where a value was edited
+    outWs.getRow(sheet.rowNumbers[i]).values = header.map((col, j) => (isEdited(sheet, `${i},${col}`)
+      ? validatedRows[i][j]
+      : restoreCellValue(sheet.sources[i][j], validatedRows[i][j])));
+  }
+  // بعد إضافة جميع الصفوف، طبق التلوين والملاحظات بشكل صحيح
+  for (let i = 0; i < validatedRows.length; i++) {
+    const outRow = outWs.getRow(sheet.rowNumbers[i]);
+    for (let j = 0; j < header.length; j++) {
+      const cell = outRow.getCell(j + 1);
+      const messages = cellMessages(sheet, i, header[j]);
+      // لوّن فقط الخلايا التي بها مشاكل
+      if (messages.length) {
+        cell.style = {};
+        cell.fill = issueFill(sheet, `${i},${header[j]}`); // أصفر للأخطاء، برتقالي فاتح للتحذيرات، أزرق فاتح للملاحظات
+        cell.font = { name: 'Arial', color: { argb: 'FF000000' }, bold: true, size: 13 };
+        // أضف الرسائل كملاحظة
+        cell.note = messages.join('\n');
+      } else {
+        cell.style = {};
+        const key = `${i},${header[j]}`;
+        cell.fill = (fixMode && sheet.changedCells[key]) || isEdited(sheet, key) ? FIXED_FILL : undefined;
+        cell.font = { name: 'Arial', color: { argb: 'FF218838' }, bold: true, size: 13 };
+      }
+      // Informational notes (e.g. the original Hijri date) go alongside any error message
+      const info = notes[`${i},${header[j]}`];
+      if (info) cell.note = cell.note ? `${cell.note}\n${info}` : info;
+      if (cell.note) cell.note = directional(cell.note, lang);
+      if (cell.value instanceof Date || (cell.value && cell.value.result instanceof Date)) cell.numFmt = 'dd-mm-yyyy';
+    }
+  }
+
+  // تزيين رؤوس الأعمدة
+  const headerRowDecorated = outWs.getRow(1);
+  headerRowDecorated.eachCell(cell => {
+    cell.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF21A366' } // أخضر مايكروسوفت
+    };
+    cell.font = { name: 'Cairo', color: { argb: 'FFFFFFFF' }, bold: true, size: 15 };
+    cell.alignment = { vertical: 'middle', horizontal: 'center' };
+    cell.border = {
+      top: { style: 'medium', color: { argb: 'FF21A366' } },
+      left: { style: 'medium', color: { argb: 'FF21A366' } },
+      bottom: { style: 'medium', color: { argb: 'FF21A366' } },
+      right: { style: 'medium', color: { argb: 'FF21A366' } }
+    };
+  });
+  outWs.views = [{ state: 'frozen', ySplit: 1 }];
+
+  // Final sweep: ensure no fills remain and enforce black text
+  outWs.eachRow((row) => {
+    row.eachCell((cell) => {
+      // فقط أزل التلوين من رؤوس الأعمدة، واترك التلوين الأصفر للأخطاء
+      if (cell.row === 1) {
+        cell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FF21A366' }
+        };
+      } else if (cell.fill && cell.fill.fgColor && [HIGHLIGHT_FILL, WARNING_FILL, INFO_FILL, FIXED_FILL].some(f => f.fgColor.argb === cell.fill.fgColor.argb)) {
+        // اترك تلوين الأخطاء والتصحيحات كما هو
+      } else {
+        cell.fill = null;
+      }
+      // Ensure text is black; if font exists, keep size, else set default 11
+      const size = (cell.font && cell.font.size) ? cell.font.size : 11;
+      cell.font = { name: 'Calibri', color: { argb: 'FF000000' }, size };
+    });
+  });
+}
+
+// What each cell colour means, then every sheet's verdict under its pass/fail policy
+function addLegendSheet(workbook, sheets, { fixMode, lang }) {
+  const label = (id, params) => formatMessage(message(id, params), lang);
+  const ws = workbook.addWorksheet(uniqueSheetName(workbook, 'Legend'));
+  ws.views = [{ rightToLeft: lang === 'ar' }];
+  ws.addRow([label('legend_title')]).font = { bold: true, size: 14 };
+  const swatches = SEVERITIES.map(severity => [label(`severity_${severity}`), label(`legend_${severity}`), SEVERITY_FILLS[severity]]);
+  if (fixMode) swatches.push([label('legend_fixed'), label('legend_fixed_description'), FIXED_FILL]);
+  if (sheets.some(s => s.edits && s.edits.length)) swatches.push([label('legend_edited'), label('legend_edited_description'), FIXED_FILL]);
+  swatches.forEach(([name, description, fill]) => {
+    const row = ws.addRow([name, description]);
+    row.getCell(1).fill = fill;
+    row.getCell(1).font = { bold: true };
+  });
+  ws.addRow([]);
+  ws.addRow([label('legend_results')]).font = { bold: true, size: 14 };
+  const headerRow = ws.addRow(['legend_sheet', 'legend_result', 'severity_error', 'severity_warning', 'severity_info', 'legend_policy'].map(id => label(id)));
+  headerRow.font = { bold: true };
+  headerRow.eachCell(cell => { cell.fill = PIVOT_HEADER_FILL; });
+  sheets.forEach(sheet => {
+    if (!sheet.verdict) {
+      ws.addRow([sheet.name, label(sheet.skipped ? 'verdict_skipped' : 'verdict_failed'), null, null, null, sheet.error]);
+      return;
+    }
+    const { passed, errors, warnings, infos, policy } = sheet.verdict;
+    const limits = label(policy.maxWarnings === null ? 'policy_limits_any_warnings' : 'policy_limits', policy);
+    const row = ws.addRow([sheet.name, label(passed ? 'verdict_passed' : 'verdict_failed'), errors, warnings, infos, limits]);
+    row.getCell(2).font = { bold: true, color: { argb: passed ? 'FF218838' : 'FFA80000' } };
+  });
+  ws.columns.forEach((col, j) => { col.width = j === 1 || j === 5 ? 60 : 16; });
+  return ws;
+}
+
+// Render a validateWorkbook result as a file. outputFormat "original" keeps csv/xls/ods input in its own
+// format; outputMode "annotate" marks up the uploaded workbook, "clean" (the default) rebuilds every sheet.
+// Returns { ext, buffer }, the file content as a Buffer in Node and a Uint8Array in the browser.
+async function writeValidatedWorkbook(result, { outputFormat = 'xlsx', outputMode = 'clean', errorColumn = false } = {}) {
+  const { workbook, format, csv, sheets, fixMode, lang } = result;
+  // In-memory rows have no original format to return to
+  const ext = outputFormat === 'original' && format !== 'rows' ? format : 'xlsx';
+  if (ext !== 'xlsx') return { ext, buffer: writeSheets(sheets.map(annotatedSheetRows), format, csv) };
+  let outWb = workbook;
+  if (outputMode === 'annotate') {
+    sheets.forEach(sheet => {
+      if (!sheet.error) annotateSheetInPlace(workbook.getWorksheet(sheet.name), sheet, { errorColumn, fixMode, lang });
+    });
+  } else {
+    // Build a brand-new workbook to strip ALL formatting; every input sheet gets its own output sheet
+    outWb = new ExcelJS.Workbook();
+    sheets.forEach(sheet => {
+      if (sheet.error) writeUnvalidatedSheet(outWb, sheet, lang);
+      else writeValidatedSheet(outWb, sheet, { fixMode, lang });
+    });
+  }
+  if (sheets.some(s => s.aggregates)) addSummarySheet(outWb, sheets, lang);
+  if (result.verdict) addLegendSheet(outWb, sheets, { fixMode, lang });
+  addReportSheet(outWb, sheets, lang);
+  if (fixMode || sheets.some(s => s.edits && s.edits.length)) addChangesSheet(outWb, sheets, { fixMode, lang });
+  return { ext, buffer: fileBytes(await outWb.xlsx.writeBuffer()) };
+}
+
+// JSON issue report: the verdict, per-sheet counts, verdicts and totals, every issue and every change
+// in fix mode (otherwise the preview's edits, when there are any)
+function issueReport(result) {
+  const { sheets, fixMode, verdict } = result;
+  return {
+    verdict,
+    sheets: sheets.map(s => (s.error
+      ? { name: s.name, profile: s.profile, error: s.error, ...(s.skipped ? { skipped: true } : {}) }
+      : {
+        name: s.name,
+        profile: s.profile,
+        rows: s.rows.length,
+        issues: (s.issues || []).length,
+        ...(s.verdict ? { verdict: s.verdict } : {}),
+        ...(s.aggregates ? { aggregates: s.aggregates } : {}),
+      })),
+    issues: sheets.flatMap(s => s.issues || []),
+    ...(fixMode || sheets.some(s => s.edits && s.edits.length) ? { changes: sheetChangeRecords(sheets, fixMode) } : {}),
+  };
+}
+
+function issueReportCsv(result) {
+  return writeSheets([{ name: 'report', rows: reportRows(result.sheets.flatMap(s => s.issues || [])) }], 'csv');
+}
+
+module.exports = {
+  writeValidatedWorkbook,
+  issueReport,
+  issueReportCsv,
+};
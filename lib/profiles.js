@@ -0,0 +1,71 @@
+const path = require('path');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { ProfileError, compileProfile } = require('./schema');
+
+// Validation profiles live as JSON or YAML files, one per profile, named after the profile
+const PROFILES_DIR = process.env.PROFILES_DIR || path.join(__dirname, '..', 'profiles');
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const DEFAULT_PROFILE = 'default';
+
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+  const names = fs.readdirSync(PROFILES_DIR)
+    .filter(f => PROFILE_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .map(f => path.basename(f, path.extname(f)));
+  return [...new Set(names)].sort();
+}
+
+function findProfileFile(name) {
+  for (const ext of PROFILE_EXTENSIONS) {
+    const file = path.join(PROFILES_DIR, name + ext);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// The profile definition as written in its file, for callers compiling it themselves (the browser engine)
+function readProfileDefinition(name = DEFAULT_PROFILE) {
+  if (!/^[\w-]+$/.test(name)) throw new ProfileError(`Invalid profile name: ${name}`);
+  const file = findProfileFile(name);
+  if (!file) throw new ProfileError(`Unknown validation profile: ${name}`);
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+  } catch (err) {
+    throw new ProfileError(`Profile "${name}" could not be parsed: ${err.message}`);
+  }
+}
+
+// Read a profile from disk on every call so edited profiles apply without a restart
+function loadProfile(name = DEFAULT_PROFILE) {
+  return compileProfile(readProfileDefinition(name), name);
+}
+
+// Optional per-sheet profiles: a JSON object mapping sheet names to profile names
+function loadSheetProfiles(raw) {
+  if (!raw) return {};
+  let mapping;
+  try {
+    mapping = JSON.parse(raw);
+  } catch {
+    throw new ProfileError('sheet_profiles must be a JSON object mapping sheet names to profile names');
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ProfileError('sheet_profiles must be a JSON object mapping sheet names to profile names');
+  }
+  const profiles = {};
+  Object.entries(mapping).forEach(([sheetName, profileName]) => {
+    profiles[sheetName] = loadProfile(String(profileName));
+  });
+  return profiles;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  ProfileError,
+  listProfiles,
+  readProfileDefinition,
+  loadProfile,
+  loadSheetProfiles,
+};
@@ -0,0 +1,345 @@
+// Row-level conditional rule language used by validation profiles, e.g.
+//   when market_approach in (1, 2) then market_approach_value == final_value
+//   market_approach_value + cost_approach_value == final_value within 1%
+//   when cost_approach is not empty then cost_approach_value > 0
+// A rule may also carry a `suggest` expression (e.g. final_value) whose value is offered as the fix.
+//
+// Grammar (keywords are case-insensitive):
+//   rule       := 'when' expr 'then' expr | expr
+//   expr       := and ('or' and)*
+//   and        := not ('and' not)*
+//   not        := 'not' not | comparison
+//   comparison := sum [ op sum ['within' number ['%']] | ['not'] 'in' '(' list ')' | 'is' ['not'] 'empty' ]
+//   sum        := product (('+' | '-') product)*
+//   product    := unary (('*' | '/') unary)*
+//   unary      := '-' unary | primary
+//   primary    := number | 'string' | column | `quoted column` | func '(' args ')' | '(' expr ')'
+
+const KEYWORDS = ['when', 'then', 'and', 'or', 'not', 'in', 'is', 'empty', 'within'];
+const COMPARISON_OPS = ['==', '!=', '<=', '>=', '<', '>'];
+const FUNCTIONS = {
+  abs: args => (args[0] === null ? null : Math.abs(args[0])),
+  coalesce: args => {
+    const found = args.find(v => v !== null);
+    return found === undefined ? null : found;
+  },
+};
+
+class RuleSyntaxError extends Error {
+  constructor(message, source, pos) {
+    super(`${message} at position ${pos + 1} in rule: ${source}`);
+    this.name = 'RuleSyntaxError';
+    this.pos = pos;
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const rest = source.slice(i);
+    let m;
+    if ((m = rest.match(/^\s+/))) {
+      i += m[0].length;
+    } else if ((m = rest.match(/^\d+(\.\d+)?/))) {
+      tokens.push({ type: 'number', value: parseFloat(m[0]), pos: i });
+      i += m[0].length;
+    } else if ((m = rest.match(/^'((?:[^'\\]|\\.)*)'|^"((?:[^"\\]|\\.)*)"/))) {
+      const raw = m[1] !== undefined ? m[1] : m[2];
+      tokens.push({ type: 'string', value: raw.replace(/\\(.)/g, '$1'), pos: i });
+      i += m[0].length;
+    } else if ((m = rest.match(/^`([^`]+)`/))) {
+      tokens.push({ type: 'ident', value: m[1], pos: i });
+      i += m[0].length;
+    } else if ((m = rest.match(/^[\p{L}_][\p{L}\p{N}_]*/u))) {
+      const lower = m[0].toLowerCase();
+      if (KEYWORDS.includes(lower)) tokens.push({ type: 'keyword', value: lower, pos: i });
+      else tokens.push({ type: 'ident', value: m[0], pos: i });
+      i += m[0].length;
+    } else if ((m = rest.match(/^(==|!=|<=|>=|<>|=|<|>|[-+*/(),%])/))) {
+      let op = m[0];
+      if (op === '=') op = '==';
+      if (op === '<>') op = '!=';
+      tokens.push({ type: 'op', value: op, pos: i });
+      i += m[0].length;
+    } else {
+      throw new RuleSyntaxError(`Unexpected character "${source[i]}"`, source, i);
+    }
+  }
+  tokens.push({ type: 'eof', pos: source.length });
+  return tokens;
+}
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let p = 0;
+  const peek = () => tokens[p];
+  const isKeyword = (word) => peek().type === 'keyword' && peek().value === word;
+  const isOp = (op) => peek().type === 'op' && peek().value === op;
+  const fail = (message) => { throw new RuleSyntaxError(message, source, peek().pos); };
+  const expectOp = (op) => {
+    if (!isOp(op)) fail(`Expected "${op}"`);
+    p++;
+  };
+  const expectKeyword = (word) => {
+    if (!isKeyword(word)) fail(`Expected "${word}"`);
+    p++;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isKeyword('or')) {
+      p++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (isKeyword('and')) {
+      p++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (isKeyword('not')) {
+      p++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseSum();
+    const tok = peek();
+    if (tok.type === 'op' && COMPARISON_OPS.includes(tok.value)) {
+      p++;
+      const node = { type: 'compare', op: tok.value, left, right: parseSum() };
+      if (isKeyword('within')) {
+        p++;
+        if (peek().type !== 'number') fail('Expected a number after "within"');
+        node.tolerance = peek().value;
+        p++;
+        if (isOp('%')) {
+          p++;
+          node.relative = true;
+        }
+      }
+      return node;
+    }
+    if (isKeyword('in') || (isKeyword('not') && tokens[p + 1].type === 'keyword' && tokens[p + 1].value === 'in')) {
+      const negate = isKeyword('not');
+      if (negate) p++;
+      p++;
+      expectOp('(');
+      const items = [parseSum()];
+      while (isOp(',')) {
+        p++;
+        items.push(parseSum());
+      }
+      expectOp(')');
+      return { type: 'in', negate, operand: left, items };
+    }
+    if (isKeyword('is')) {
+      p++;
+      const negate = isKeyword('not');
+      if (negate) p++;
+      expectKeyword('empty');
+      return { type: 'empty', negate, operand: left };
+    }
+    return left;
+  }
+
+  function parseSum() {
+    let node = parseProduct();
+    while (isOp('+') || isOp('-')) {
+      const op = peek().value;
+      p++;
+      node = { type: 'arith', op, left: node, right: parseProduct() };
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/')) {
+      const op = peek().value;
+      p++;
+      node = { type: 'arith', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('-')) {
+      p++;
+      return { type: 'arith', op: '-', left: { type: 'literal', value: 0 }, right: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+    if (tok.type === 'number' || tok.type === 'string') {
+      p++;
+      return { type: 'literal', value: tok.value };
+    }
+    if (tok.type === 'ident') {
+      p++;
+      if (isOp('(')) {
+        const fn = tok.value.toLowerCase();
+        if (!FUNCTIONS[fn]) throw new RuleSyntaxError(`Unknown function "${tok.value}"`, source, tok.pos);
+        p++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseOr());
+          while (isOp(',')) {
+            p++;
+            args.push(parseOr());
+          }
+        }
+        expectOp(')');
+        return { type: 'call', fn, args };
+      }
+      return { type: 'column', name: tok.value };
+    }
+    if (isOp('(')) {
+      p++;
+      const node = parseOr();
+      expectOp(')');
+      return node;
+    }
+    return fail(tok.type === 'eof' ? 'Unexpected end of rule' : `Unexpected "${tok.value}"`);
+  }
+
+  let when = null;
+  if (isKeyword('when')) {
+    p++;
+    when = parseOr();
+    expectKeyword('then');
+  }
+  const then = parseOr();
+  if (peek().type !== 'eof') fail(`Unexpected "${peek().value}"`);
+  return { when, then };
+}
+
+function collectColumns(node, out = []) {
+  if (!node) return out;
+  if (node.type === 'column') {
+    if (!out.includes(node.name)) out.push(node.name);
+    return out;
+  }
+  ['left', 'right', 'operand'].forEach(k => collectColumns(node[k], out));
+  (node.items || node.args || []).forEach(n => collectColumns(n, out));
+  return out;
+}
+
+// Cell values arrive as numbers or strings; numeric-looking strings compare as numbers and blanks are null
+function coerce(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  const s = String(value).trim();
+  if (s === '') return null;
+  if (/^[-+]?\d+(\.\d+)?$/.test(s)) return parseFloat(s);
+  return s;
+}
+
+function equals(a, b) {
+  if (a === null || b === null) return a === b;
+  if (typeof a === 'number' && typeof b === 'number') return a === b;
+  return String(a) === String(b);
+}
+
+function compare(node, a, b) {
+  if (node.tolerance !== undefined && typeof a === 'number' && typeof b === 'number') {
+    const allowed = node.relative ? Math.abs(b) * node.tolerance / 100 : node.tolerance;
+    const close = Math.abs(a - b) <= allowed + Number.EPSILON;
+    if (node.op === '==') return close;
+    if (node.op === '!=') return !close;
+  }
+  if (node.op === '==') return equals(a, b);
+  if (node.op === '!=') return !equals(a, b);
+  if (a === null || b === null) return false;
+  if (typeof a !== typeof b) {
+    a = String(a);
+    b = String(b);
+  }
+  switch (node.op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+function evaluate(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return coerce(resolve(node.name));
+    case 'or':
+      return !!evaluate(node.left, resolve) || !!evaluate(node.right, resolve);
+    case 'and':
+      return !!evaluate(node.left, resolve) && !!evaluate(node.right, resolve);
+    case 'not':
+      return !evaluate(node.operand, resolve);
+    case 'compare':
+      return compare(node, evaluate(node.left, resolve), evaluate(node.right, resolve));
+    case 'in': {
+      const v = evaluate(node.operand, resolve);
+      const found = node.items.some(item => equals(v, evaluate(item, resolve)));
+      return node.negate ? !found : found;
+    }
+    case 'empty': {
+      const empty = evaluate(node.operand, resolve) === null;
+      return node.negate ? !empty : empty;
+    }
+    case 'arith': {
+      const a = evaluate(node.left, resolve);
+      const b = evaluate(node.right, resolve);
+      if (typeof a !== 'number' || typeof b !== 'number') return null;
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      return b === 0 ? null : a / b;
+    }
+    case 'call':
+      return FUNCTIONS[node.fn](node.args.map(arg => evaluate(arg, resolve)));
+    default:
+      throw new Error(`Unknown rule node: ${node.type}`);
+  }
+}
+
+// Parse once; the compiled rule is evaluated per row with a column-name resolver
+function compileRule(source) {
+  const ast = parse(source);
+  return {
+    source,
+    columns: collectColumns(ast.then, collectColumns(ast.when)),
+    targetColumns: collectColumns(ast.then),
+    // True when the row passes: either the condition does not apply or the assertion holds
+    test(resolve) {
+      if (ast.when && !evaluate(ast.when, resolve)) return true;
+      return !!evaluate(ast.then, resolve);
+    },
+  };
+}
+
+// Value expressions (e.g. a rule's `suggest`) use the same grammar without 'when ... then'
+function compileExpression(source) {
+  const ast = parse(source);
+  if (ast.when) throw new RuleSyntaxError('"when" is not allowed in a value expression', source, 0);
+  return {
+    source,
+    columns: collectColumns(ast.then),
+    evaluate(resolve) {
+      return evaluate(ast.then, resolve);
+    },
+  };
+}
+
+module.exports = { RuleSyntaxError, compileRule, compileExpression };
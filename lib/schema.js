@@ -0,0 +1,380 @@
+// Validation profile structure, free of any file access so the engine can run in the browser:
+// checking a profile definition, compiling its rules, and the lookups the validators use.
+
+const { compileRule, compileExpression } = require('./rules');
+const { LANGUAGES } = require('./messages');
+const GEOGRAPHY = require('../reference/geography.json');
+const UNIT_CATALOG = require('../reference/units.json');
+
+const COLUMN_TYPES = ['int', 'float', 'date', 'enum', 'text'];
+const CALENDARS = ['auto', 'gregorian', 'hijri'];
+// Key comparison of cross-row checks (see ./duplicates)
+const MATCH_MODES = ['exact', 'normalized', 'fuzzy'];
+// Statistics and value scales of outlier checks (see ./outliers)
+const OUTLIER_METHODS = ['mad', 'iqr'];
+const OUTLIER_SCALES = ['linear', 'log'];
+// Place columns checked against the geography reference (see ./geography)
+const PLACE_KINDS = ['country', 'region', 'city'];
+// Issue severities, most serious first. Errors fail a sheet under the default policy, warnings only
+// beyond the policy's maxWarnings (outlier warnings are not counted), and info never does.
+const SEVERITIES = ['error', 'warning', 'info'];
+const DEFAULT_POLICY = { maxErrors: 0, maxWarnings: null };
+
+class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+function checkColumnSpec(col, profileName) {
+  const where = `profile "${profileName}", column "${col.name}"`;
+  if (!col.name || typeof col.name !== 'string') {
+    throw new ProfileError(`Profile "${profileName}" has a column without a name`);
+  }
+  if (!COLUMN_TYPES.includes(col.type)) {
+    throw new ProfileError(`Unknown type "${col.type}" in ${where} (expected one of ${COLUMN_TYPES.join(', ')})`);
+  }
+  if (col.type === 'enum' && (!Array.isArray(col.values) || col.values.length === 0)) {
+    throw new ProfileError(`Enum ${where} must list its allowed values`);
+  }
+  if (col.calendar !== undefined && !CALENDARS.includes(col.calendar)) {
+    throw new ProfileError(`Unknown calendar "${col.calendar}" in ${where} (expected one of ${CALENDARS.join(', ')})`);
+  }
+  if (col.aliases !== undefined && (!Array.isArray(col.aliases) || col.aliases.some(a => typeof a !== 'string'))) {
+    throw new ProfileError(`"aliases" in ${where} must be a list of header names`);
+  }
+  if (col.unique !== undefined && typeof col.unique !== 'boolean') {
+    throw new ProfileError(`"unique" in ${where} must be true or false`);
+  }
+  ['min', 'max', 'maxAgeMonths'].forEach(k => {
+    if (col[k] !== undefined && typeof col[k] !== 'number') {
+      throw new ProfileError(`"${k}" in ${where} must be a number`);
+    }
+  });
+}
+
+// Message wording is a string used for every language or { ar, en } (see ./messages)
+function isMessageText(text) {
+  if (typeof text === 'string') return true;
+  return !!text && typeof text === 'object' && !Array.isArray(text)
+    && Object.keys(text).length > 0 && Object.entries(text).every(([lang, t]) => LANGUAGES.includes(lang) && typeof t === 'string');
+}
+
+function checkMessages(messages, profileName) {
+  if (messages === undefined) return;
+  if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+    throw new ProfileError(`"messages" in profile "${profileName}" must map rule or message ids to their wording`);
+  }
+  Object.entries(messages).forEach(([id, text]) => {
+    if (!isMessageText(text)) {
+      throw new ProfileError(`Message "${id}" in profile "${profileName}" must be a string or { ${LANGUAGES.join(', ')} } strings`);
+    }
+  });
+}
+
+function checkSeverity(severity, where) {
+  if (severity !== undefined && !SEVERITIES.includes(severity)) {
+    throw new ProfileError(`Unknown severity "${severity}" in ${where} (expected one of ${SEVERITIES.join(', ')})`);
+  }
+}
+
+// { "rule id or column": severity }, overriding the severity of built-in checks and profile rules
+function checkSeverities(severity, profileName) {
+  if (severity === undefined) return {};
+  if (!severity || typeof severity !== 'object' || Array.isArray(severity)) {
+    throw new ProfileError(`"severity" in profile "${profileName}" must map rule ids or columns to one of ${SEVERITIES.join(', ')}`);
+  }
+  Object.entries(severity).forEach(([key, value]) => checkSeverity(value, `"severity.${key}" in profile "${profileName}"`));
+  return severity;
+}
+
+// { maxErrors, maxWarnings }: a sheet fails with more errors or warnings than these; a null maxWarnings
+// lets any number of warnings pass. Limits left out keep their value in `defaults`.
+function compilePolicy(policy, where, defaults = DEFAULT_POLICY) {
+  if (policy === undefined || policy === null) return defaults;
+  if (typeof policy !== 'object' || Array.isArray(policy)) throw new ProfileError(`${where} must be an object with "maxErrors" and "maxWarnings"`);
+  const unknown = Object.keys(policy).filter(k => !['maxErrors', 'maxWarnings'].includes(k));
+  if (unknown.length) throw new ProfileError(`Unknown key(s) ${unknown.join(', ')} in ${where} (expected maxErrors, maxWarnings)`);
+  ['maxErrors', 'maxWarnings'].forEach(k => {
+    if (policy[k] !== undefined && policy[k] !== null && (!Number.isInteger(policy[k]) || policy[k] < 0)) {
+      throw new ProfileError(`"${k}" in ${where} must be a whole number of at least 0`);
+    }
+  });
+  return {
+    maxErrors: policy.maxErrors === undefined ? defaults.maxErrors : policy.maxErrors,
+    maxWarnings: policy.maxWarnings === undefined ? defaults.maxWarnings : policy.maxWarnings,
+  };
+}
+
+// Compile each conditional rule up front so a typo, in the expression or in a column name, fails the
+// profile load rather than a random row or, for a misspelt column, every row silently
+function compileRules(rules, columns, profileName) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) throw new ProfileError(`"rules" in profile "${profileName}" must be a list`);
+  const names = columns.map(c => c.name);
+  const ids = new Set();
+  return rules.map((rule, i) => {
+    const id = rule.id || `rule_${i + 1}`;
+    if (ids.has(id)) throw new ProfileError(`Duplicate rule id "${id}" in profile "${profileName}"`);
+    ids.add(id);
+    if (typeof rule.rule !== 'string') throw new ProfileError(`Rule "${id}" in profile "${profileName}" has no "rule" expression`);
+    if (rule.message !== undefined && !isMessageText(rule.message)) {
+      throw new ProfileError(`The message of rule "${id}" in profile "${profileName}" must be a string or { ${LANGUAGES.join(', ')} } strings`);
+    }
+    checkSeverity(rule.severity, `rule "${id}" in profile "${profileName}"`);
+    let compiled, suggestion = null;
+    try {
+      compiled = compileRule(rule.rule);
+      if (rule.suggest !== undefined) suggestion = compileExpression(String(rule.suggest));
+    } catch (err) {
+      throw new ProfileError(`Rule "${id}" in profile "${profileName}": ${err.message}`);
+    }
+    const referenced = [...compiled.columns, ...(suggestion ? suggestion.columns : []), ...(rule.columns || [])];
+    const unknown = [...new Set(referenced.filter(col => !names.includes(col)))];
+    if (unknown.length) throw new ProfileError(`Unknown column(s) ${unknown.join(', ')} in rule "${id}" of profile "${profileName}"`);
+    return {
+      ...rule,
+      id,
+      compiled,
+      suggestion,
+      columns: rule.columns || compiled.targetColumns.slice(0, 1),
+    };
+  });
+}
+
+// Cross-row checks: { id, key, match, threshold, conflicts, severity }; every column they name must be a profile column
+function compileDuplicates(checks, columns, profileName) {
+  if (checks === undefined) return [];
+  if (!Array.isArray(checks)) throw new ProfileError(`"duplicates" in profile "${profileName}" must be a list`);
+  const names = columns.map(c => c.name);
+  const ids = new Set();
+  return checks.map((check, i) => {
+    const key = check && check.key;
+    if (!Array.isArray(key) || key.length === 0) {
+      throw new ProfileError(`Duplicate check ${i + 1} in profile "${profileName}" must list its "key" columns`);
+    }
+    const id = check.id || `${check.conflicts ? 'conflict' : 'duplicate'}_${key.join('_')}`;
+    const where = `duplicate check "${id}" in profile "${profileName}"`;
+    if (ids.has(id)) throw new ProfileError(`Duplicate check id "${id}" in profile "${profileName}"`);
+    ids.add(id);
+    const match = check.match || 'exact';
+    if (!MATCH_MODES.includes(match)) {
+      throw new ProfileError(`Unknown match "${match}" in ${where} (expected one of ${MATCH_MODES.join(', ')})`);
+    }
+    if (check.threshold !== undefined && (typeof check.threshold !== 'number' || check.threshold <= 0 || check.threshold > 1)) {
+      throw new ProfileError(`"threshold" in ${where} must be a number above 0 and at most 1`);
+    }
+    if (check.conflicts !== undefined && (!Array.isArray(check.conflicts) || check.conflicts.length === 0)) {
+      throw new ProfileError(`"conflicts" in ${where} must list columns`);
+    }
+    const unknown = [...key, ...(check.conflicts || [])].filter(col => !names.includes(col));
+    if (unknown.length) throw new ProfileError(`Unknown column(s) ${unknown.join(', ')} in ${where}`);
+    if (check.message !== undefined && !isMessageText(check.message)) {
+      throw new ProfileError(`The message of ${where} must be a string or { ${LANGUAGES.join(', ')} } strings`);
+    }
+    checkSeverity(check.severity, where);
+    return { ...check, id, match };
+  });
+}
+
+// { country, region, city, defaultCountry }: the profile columns holding each place name and the country
+// (a reference code) assumed when there is no country column or it is empty
+function compileGeography(geography, columns, profileName) {
+  if (geography === undefined || geography === null) return null;
+  const where = `"geography" in profile "${profileName}"`;
+  if (typeof geography !== 'object' || Array.isArray(geography)) {
+    throw new ProfileError(`${where} must map ${PLACE_KINDS.join(', ')} to profile columns`);
+  }
+  const names = columns.map(c => c.name);
+  const unknown = Object.keys(geography).filter(k => k !== 'defaultCountry' && !PLACE_KINDS.includes(k));
+  if (unknown.length) throw new ProfileError(`Unknown key(s) ${unknown.join(', ')} in ${where} (expected ${PLACE_KINDS.join(', ')}, defaultCountry)`);
+  if (!PLACE_KINDS.some(k => geography[k])) throw new ProfileError(`${where} must name at least one of the ${PLACE_KINDS.join(', ')} columns`);
+  PLACE_KINDS.filter(k => geography[k] !== undefined).forEach(k => {
+    if (!names.includes(geography[k])) throw new ProfileError(`Unknown ${k} column "${geography[k]}" in ${where}`);
+  });
+  const codes = GEOGRAPHY.countries.map(c => c.code);
+  if (geography.defaultCountry !== undefined && !codes.includes(geography.defaultCountry)) {
+    throw new ProfileError(`Unknown defaultCountry "${geography.defaultCountry}" in ${where} (expected one of ${codes.join(', ')})`);
+  }
+  return geography;
+}
+
+// Outlier checks: { id, column, groupBy, method, threshold, scale, minGroupSize, severity }; the columns must be
+// profile columns
+function compileOutliers(checks, columns, profileName) {
+  if (checks === undefined) return [];
+  if (!Array.isArray(checks)) throw new ProfileError(`"outliers" in profile "${profileName}" must be a list`);
+  const names = columns.map(c => c.name);
+  const ids = new Set();
+  return checks.map((check, i) => {
+    if (!check || typeof check.column !== 'string') {
+      throw new ProfileError(`Outlier check ${i + 1} in profile "${profileName}" must name its "column"`);
+    }
+    const id = check.id || `${check.column}_outlier`;
+    const where = `outlier check "${id}" in profile "${profileName}"`;
+    if (ids.has(id)) throw new ProfileError(`Duplicate outlier check id "${id}" in profile "${profileName}"`);
+    ids.add(id);
+    const groupBy = check.groupBy === undefined ? [] : check.groupBy;
+    if (!Array.isArray(groupBy) || groupBy.some(col => typeof col !== 'string')) {
+      throw new ProfileError(`"groupBy" in ${where} must list columns`);
+    }
+    const unknown = [check.column, ...groupBy].filter(col => !names.includes(col));
+    if (unknown.length) throw new ProfileError(`Unknown column(s) ${unknown.join(', ')} in ${where}`);
+    const method = check.method || 'mad';
+    if (!OUTLIER_METHODS.includes(method)) {
+      throw new ProfileError(`Unknown method "${method}" in ${where} (expected one of ${OUTLIER_METHODS.join(', ')})`);
+    }
+    if (check.scale !== undefined && !OUTLIER_SCALES.includes(check.scale)) {
+      throw new ProfileError(`Unknown scale "${check.scale}" in ${where} (expected one of ${OUTLIER_SCALES.join(', ')})`);
+    }
+    if (check.threshold !== undefined && (typeof check.threshold !== 'number' || check.threshold <= 0)) {
+      throw new ProfileError(`"threshold" in ${where} must be a positive number`);
+    }
+    if (check.minGroupSize !== undefined && (!Number.isInteger(check.minGroupSize) || check.minGroupSize < 3)) {
+      throw new ProfileError(`"minGroupSize" in ${where} must be a whole number of at least 3`);
+    }
+    checkSeverity(check.severity, where);
+    return { ...check, id, groupBy, method };
+  });
+}
+
+// { column, value, dimensions }: the unit column checked against the unit catalog, the capacity column
+// it measures, and per column (asset_type, product_type, ...) the unit dimensions each value allows
+function compileUnits(units, columns, profileName) {
+  if (units === undefined || units === null) return null;
+  const where = `"units" in profile "${profileName}"`;
+  if (typeof units !== 'object' || Array.isArray(units)) {
+    throw new ProfileError(`${where} must be an object with "column", "value" and "dimensions"`);
+  }
+  const names = columns.map(c => c.name);
+  if (typeof units.column !== 'string') throw new ProfileError(`${where} must name its unit "column"`);
+  if (!names.includes(units.column)) throw new ProfileError(`Unknown unit column "${units.column}" in ${where}`);
+  if (units.value !== undefined && !names.includes(units.value)) throw new ProfileError(`Unknown value column "${units.value}" in ${where}`);
+  const dimensions = units.dimensions === undefined ? {} : units.dimensions;
+  if (typeof dimensions !== 'object' || dimensions === null || Array.isArray(dimensions)) {
+    throw new ProfileError(`"dimensions" in ${where} must map columns to { value: [dimensions] }`);
+  }
+  const known = Object.keys(UNIT_CATALOG.dimensions);
+  Object.entries(dimensions).forEach(([column, byValue]) => {
+    if (!names.includes(column)) throw new ProfileError(`Unknown column "${column}" in "dimensions" of ${where}`);
+    if (typeof byValue !== 'object' || byValue === null || Array.isArray(byValue)) {
+      throw new ProfileError(`"dimensions.${column}" in ${where} must map values to lists of dimensions`);
+    }
+    Object.entries(byValue).forEach(([value, allowed]) => {
+      if (!Array.isArray(allowed) || allowed.length === 0) {
+        throw new ProfileError(`"dimensions.${column}" value "${value}" in ${where} must list at least one dimension`);
+      }
+      const unknown = allowed.filter(d => !known.includes(d));
+      if (unknown.length) {
+        throw new ProfileError(`Unknown dimension(s) ${unknown.join(', ')} for "${value}" in ${where} (expected ${known.join(', ')})`);
+      }
+    });
+  });
+  return { ...units, dimensions };
+}
+
+// { value, groupBy }: the column totalled in reports and the columns (or column lists) it is grouped by
+function compileAggregations(aggregations, columns, profileName) {
+  if (aggregations === undefined || aggregations === null) return null;
+  const where = `"aggregations" in profile "${profileName}"`;
+  if (typeof aggregations !== 'object' || Array.isArray(aggregations)) {
+    throw new ProfileError(`${where} must be an object with "value" and "groupBy"`);
+  }
+  const names = columns.map(c => c.name);
+  const { value = 'final_value', groupBy = [] } = aggregations;
+  if (!names.includes(value)) throw new ProfileError(`Unknown value column "${value}" in ${where}`);
+  if (!Array.isArray(groupBy)) throw new ProfileError(`"groupBy" in ${where} must list columns or lists of columns`);
+  const groups = groupBy.map(by => (Array.isArray(by) ? by : [by]));
+  groups.forEach(by => {
+    if (by.length === 0 || by.some(col => typeof col !== 'string')) {
+      throw new ProfileError(`"groupBy" in ${where} must list columns or lists of columns`);
+    }
+    const unknown = by.filter(col => !names.includes(col));
+    if (unknown.length) throw new ProfileError(`Unknown column(s) ${unknown.join(', ')} in "groupBy" of ${where}`);
+  });
+  return { value, groupBy: groups };
+}
+
+// { key }: the column or columns identifying a row, so that stored runs of the same dataset can be
+// compared row by row (see ./history)
+function compileHistory(history, columns, profileName) {
+  if (history === undefined || history === null) return null;
+  const where = `"history" in profile "${profileName}"`;
+  if (typeof history !== 'object' || Array.isArray(history)) throw new ProfileError(`${where} must be an object with a "key"`);
+  const key = typeof history.key === 'string' ? [history.key] : history.key;
+  if (!Array.isArray(key) || key.length === 0 || key.some(col => typeof col !== 'string')) {
+    throw new ProfileError(`"key" in ${where} must name a column or list columns`);
+  }
+  const names = columns.map(c => c.name);
+  const unknown = key.filter(col => !names.includes(col));
+  if (unknown.length) throw new ProfileError(`Unknown column(s) ${unknown.join(', ')} in "key" of ${where}`);
+  return { ...history, key };
+}
+
+// Check a profile definition ({ columns, rules, ... }) and compile its rules. Compiling an
+// already compiled profile again is harmless, so callers may pass either.
+function compileProfile(profile, name = (profile && profile.name) || 'custom') {
+  if (!profile || !Array.isArray(profile.columns) || profile.columns.length === 0) {
+    throw new ProfileError(`Profile "${name}" must define a non-empty "columns" list`);
+  }
+  profile.columns.forEach(col => checkColumnSpec(col, name));
+  checkMessages(profile.messages, name);
+  return {
+    ...profile,
+    name,
+    rules: compileRules(profile.rules, profile.columns, name),
+    duplicates: compileDuplicates(profile.duplicates, profile.columns, name),
+    geography: compileGeography(profile.geography, profile.columns, name),
+    aggregations: compileAggregations(profile.aggregations, profile.columns, name),
+    outliers: compileOutliers(profile.outliers, profile.columns, name),
+    units: compileUnits(profile.units, profile.columns, name),
+    history: compileHistory(profile.history, profile.columns, name),
+    severity: checkSeverities(profile.severity, name),
+    policy: compilePolicy(profile.policy, `"policy" in profile "${name}"`),
+  };
+}
+
+function expectedColumns(profile) {
+  return profile.columns.map(c => c.name);
+}
+
+function mandatoryFields(profile) {
+  return profile.columns.filter(c => c.mandatory).map(c => c.name);
+}
+
+function getColumnSpec(profile, name) {
+  return profile.columns.find(c => c.name === name) || null;
+}
+
+// Message language requested by a caller; undefined falls back to `fallback`
+function checkLanguage(lang, fallback) {
+  if (lang === undefined || lang === null || lang === '') return fallback;
+  if (!LANGUAGES.includes(lang)) throw new ProfileError(`Unknown language: ${lang} (available: ${LANGUAGES.join(', ')})`);
+  return lang;
+}
+
+// Severity of an issue raised by `rule` on `column`: the profile's `severity` entry for the rule, the
+// severity the rule or check sets itself (`own`), the profile's entry for the column, then `fallback`
+function severityOf(profile, rule, column, own, fallback = 'error') {
+  const overrides = profile.severity || {};
+  return overrides[rule] || own || overrides[column] || fallback;
+}
+
+// Rules tagged with a group run inside that check (e.g. group "market_approach"); untagged ones run on their own
+function rulesInGroup(profile, group) {
+  return profile.rules.filter(r => (r.group || null) === group);
+}
+
+module.exports = {
+  SEVERITIES,
+  ProfileError,
+  compileProfile,
+  compilePolicy,
+  expectedColumns,
+  mandatoryFields,
+  getColumnSpec,
+  rulesInGroup,
+  severityOf,
+  checkLanguage,
+};
@@ -0,0 +1,109 @@
+// Streaming reader for large xlsx files: rows are taken one at a time from the zip without building
+// the ExcelJS workbook model, which keeps 100k-row uploads within memory and time limits.
+
+const ExcelJS = require('exceljs');
+const { isDateFmt, excelToDate } = require('exceljs/lib/utils/utils');
+const { normalizeCellValue, cellSource } = require('./cells');
+const { unreadableFile } = require('./formats');
+const { LimitError } = require('./limits');
+
+const PROGRESS_EVERY = 1000;
+
+// ExcelJS decodes every inflated chunk of the zip on its own, so an Arabic letter split across two
+// chunks turns into two replacement characters. Its parser passes string chunks through unchanged,
+// so the XML is decoded here first, carrying incomplete characters over to the next chunk.
+async function* decodeChunks(chunks) {
+  const decoder = new TextDecoder('utf-8');
+  for await (const chunk of chunks) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+class WorkbookReader extends ExcelJS.stream.xlsx.WorkbookReader {
+  // Sheet names and shared strings come from zip entries, which are streams
+  _parseWorkbook(entry) {
+    entry.setEncoding('utf8');
+    return super._parseWorkbook(entry);
+  }
+
+  _parseSharedStrings(entry) {
+    entry.setEncoding('utf8');
+    return super._parseSharedStrings(entry);
+  }
+
+  // Worksheets arrive as chunk iterators, read once the rows are asked for
+  _parseWorksheet(iterator, sheetNo) {
+    return super._parseWorksheet(decodeChunks(iterator), sheetNo);
+  }
+}
+
+// The regular reader turns cached formula results in date-formatted cells into dates; the
+// streaming reader leaves the serial number
+function cellValue(cell) {
+  const { value } = cell;
+  if (value && typeof value === 'object' && typeof value.result === 'number' && isDateFmt(cell.numFmt)) {
+    return { ...value, result: excelToDate(value.result) };
+  }
+  return value;
+}
+
+// Worksheets are emitted as Sheet<n> in zip order; workbook.xml (often stored last) has the real
+// names and tab order
+function nameSheets(reader, sheets) {
+  const targets = {};
+  (reader.workbookRels || []).forEach(rel => { targets[rel.Id] = rel.Target; });
+  const order = ((reader.model && reader.model.sheets) || []).map(s => {
+    const match = /sheet(\d+)\.xml$/.exec(targets[s.rId] || '');
+    return { id: match && match[1], name: s.name };
+  });
+  sheets.forEach(sheet => {
+    const entry = order.find(o => o.id === sheet.id);
+    if (entry) sheet.name = entry.name;
+  });
+  const position = (sheet) => order.findIndex(o => o.id === sheet.id);
+  return sheets.sort((a, b) => position(a) - position(b)).map(({ id, ...sheet }) => sheet);
+}
+
+// Returns the same { name, header, rows, sources, rowNumbers } per sheet as readSheet.
+// onProgress({ sheet, rows }) is called every PROGRESS_EVERY rows and at the end of each sheet.
+// headerOnly skips collecting the data rows (the zip is still read through).
+async function readXlsxStream(stream, { onProgress = () => {}, headerOnly = false } = {}) {
+  const reader = new WorkbookReader(stream, {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    // Styles are needed to tell date cells from plain numbers
+    styles: 'cache',
+    worksheets: 'emit',
+    entries: 'ignore',
+  });
+  const sheets = [];
+  try {
+    for await (const worksheetReader of reader) {
+      const sheet = { id: String(worksheetReader.id), name: worksheetReader.name, header: [], rows: [], sources: [], rowNumbers: [] };
+      for await (const row of worksheetReader) {
+        if (row.number === 1) {
+          sheet.header = row.values.slice(1).map(normalizeCellValue);
+          continue;
+        }
+        // Same rows as worksheet.eachRow: rows holding only styling are skipped
+        if (headerOnly || !row.hasValues) continue;
+        const cells = sheet.header.map((_, j) => row.getCell(j + 1));
+        sheet.rows.push(cells.map(cell => normalizeCellValue(cellValue(cell))));
+        sheet.sources.push(cells.map(cell => (cell.formula ? { formula: cell.formula, result: cellValue(cell).result } : cellSource(cell))));
+        sheet.rowNumbers.push(row.number);
+        if (sheet.rows.length % PROGRESS_EVERY === 0) onProgress({ sheet: sheet.name, rows: sheet.rows.length });
+      }
+      onProgress({ sheet: sheet.name, rows: sheet.rows.length });
+      sheets.push(sheet);
+    }
+  } catch (err) {
+    // Limits checked in onProgress come through as they are
+    throw err instanceof LimitError ? err : unreadableFile(err, 'xlsx');
+  }
+  return nameSheets(reader, sheets);
+}
+
+module.exports = { readXlsxStream };
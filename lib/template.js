@@ -0,0 +1,154 @@
+// Blank input workbook for a profile: the profile's columns with Excel data validation matching the
+// server checks, mandatory columns marked, and an instructions sheet, in Arabic and English unless a
+// language is chosen. Errors that Excel can catch at data entry never reach the upload.
+
+const ExcelJS = require('exceljs');
+const { message, ruleMessage, formatMessage } = require('./messages');
+const { checkLanguage } = require('./schema');
+
+const DATA_SHEET = 'Data';
+// Skipped when a filled-in template is validated
+const INSTRUCTIONS_SHEET = 'التعليمات - Instructions';
+const LAST_ROW = 1048576;
+
+// Red header for mandatory columns, grey for optional ones
+const MANDATORY_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } };
+const OPTIONAL_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE7E6E6' } };
+
+// Template text in the chosen language, or "Arabic - English" when none is
+function translator(profile, lang) {
+  const render = (msg, l) => formatMessage(msg, l, profile);
+  return (msg) => (lang ? render(msg, lang) : `${render(msg, 'ar')} - ${render(msg, 'en')}`);
+}
+
+// Allowed values or limits of a column in words, as shown on the instructions sheet and in input prompts
+function describeLimits(spec, t) {
+  if (spec.type === 'enum') return spec.values.join(', ');
+  if (spec.type === 'date') {
+    const parts = [spec.calendar === 'hijri' ? `dd-mm-yyyy (${t(message('template_hijri'))})` : 'dd-mm-yyyy'];
+    if (spec.notInFuture) parts.push(t(message('template_not_in_future')));
+    if (spec.maxAgeMonths !== undefined) parts.push(t(message('template_within_months', { months: spec.maxAgeMonths })));
+    return parts.join('\n');
+  }
+  if (spec.min !== undefined && spec.max !== undefined) return `${spec.min} – ${spec.max}`;
+  if (spec.min !== undefined) return `≥ ${spec.min}`;
+  if (spec.max !== undefined) return `≤ ${spec.max}`;
+  return '';
+}
+
+// Excel data validation for a column whose first data cell is `firstCell`, or null when Excel has
+// nothing to enforce (text, Hijri dates)
+function columnValidation(spec, firstCell, t) {
+  let validation;
+  let errorStyle = 'stop';
+  if (spec.type === 'int' || spec.type === 'float') {
+    const type = spec.type === 'int' ? 'whole' : 'decimal';
+    if (spec.min !== undefined && spec.max !== undefined) validation = { type, operator: 'between', formulae: [spec.min, spec.max] };
+    else if (spec.min !== undefined) validation = { type, operator: 'greaterThanOrEqual', formulae: [spec.min] };
+    else if (spec.max !== undefined) validation = { type, operator: 'lessThanOrEqual', formulae: [spec.max] };
+    // Still rejects text and, for whole numbers, fractions
+    else validation = { type, operator: 'between', formulae: [-1e15, 1e15] };
+  } else if (spec.type === 'enum') {
+    validation = { type: 'list', formulae: [`"${spec.values.join(',')}"`] };
+  } else if (spec.type === 'date' && spec.calendar !== 'hijri') {
+    // ExcelJS writes "date" validation bounds as fixed dates; TODAY() needs a custom formula.
+    // ISNUMBER rejects dates typed as text, which Excel would not recognise as dates.
+    const checks = [`ISNUMBER(${firstCell})`];
+    if (spec.maxAgeMonths !== undefined) checks.push(`${firstCell}>=EDATE(TODAY(),-${spec.maxAgeMonths})`);
+    if (spec.notInFuture) checks.push(`${firstCell}<=TODAY()`);
+    validation = { type: 'custom', formulae: [`AND(${checks.join(',')})`] };
+    // Unless the column is Gregorian only, a Hijri date typed as text is valid input, so Excel warns
+    // about text instead of refusing it
+    if (spec.calendar !== 'gregorian') errorStyle = 'warning';
+  } else {
+    return null;
+  }
+  const limits = describeLimits(spec, t).replace(/\n/g, '، ');
+  const typeLabel = t(message(`type_label_${spec.type}`));
+  return {
+    ...validation,
+    allowBlank: true,
+    showInputMessage: true,
+    promptTitle: spec.name.slice(0, 32),
+    prompt: `${typeLabel}${limits ? `: ${limits}` : ''}`.slice(0, 255),
+    showErrorMessage: true,
+    errorStyle,
+    errorTitle: t(message('template_invalid_value')).slice(0, 32),
+    error: `${spec.name}: ${typeLabel}${limits ? ` (${limits})` : ''}`.slice(0, 255),
+  };
+}
+
+function addDataSheet(workbook, profile, t) {
+  const ws = workbook.addWorksheet(DATA_SHEET, { views: [{ state: 'frozen', ySplit: 1 }] });
+  ws.addRow(profile.columns.map(c => c.name));
+  profile.columns.forEach((spec, j) => {
+    const column = ws.getColumn(j + 1);
+    column.width = Math.max(spec.name.length + 4, 14);
+    // Typed dates are shown, and read back, as dd-mm-yyyy
+    if (spec.type === 'date' && spec.calendar !== 'hijri') column.numFmt = 'dd-mm-yyyy';
+    const cell = ws.getRow(1).getCell(j + 1);
+    cell.font = { bold: true };
+    cell.fill = spec.mandatory ? MANDATORY_FILL : OPTIONAL_FILL;
+    cell.note = t(message(spec.mandatory ? 'template_mandatory_note' : 'template_optional_note'));
+    const { letter } = column;
+    const validation = columnValidation(spec, `${letter}2`, t);
+    if (validation) ws.dataValidations.add(`${letter}2:${letter}${LAST_ROW}`, validation);
+  });
+  return ws;
+}
+
+function addInstructionsSheet(workbook, profile, t, lang) {
+  const ws = workbook.addWorksheet(INSTRUCTIONS_SHEET, { views: [{ rightToLeft: lang !== 'en' }] });
+  // Free text spans the whole table width
+  const addText = (text) => {
+    const row = ws.addRow([text]);
+    ws.mergeCells(row.number, 1, row.number, 4);
+    return row;
+  };
+  addText(t(message('template_title', { profile: profile.name }))).font = { bold: true, size: 14 };
+  if (profile.description) addText(profile.description);
+  ws.addRow([]);
+  [
+    message('template_enter_data', { sheet: DATA_SHEET }),
+    message('template_mandatory_columns'),
+    message('template_dates'),
+    message('template_limits'),
+  ].forEach(msg => addText(t(msg)));
+  ws.addRow([]);
+  const header = ws.addRow(['template_column', 'template_type', 'template_mandatory', 'template_allowed_values'].map(id => t(message(id))));
+  header.font = { bold: true };
+  profile.columns.forEach(spec => {
+    const row = ws.addRow([spec.name, t(message(`type_label_${spec.type}`)), t(message(spec.mandatory ? 'template_yes' : 'template_no')), describeLimits(spec, t)]);
+    row.getCell(1).fill = spec.mandatory ? MANDATORY_FILL : OPTIONAL_FILL;
+  });
+  if (profile.rules.length) {
+    ws.addRow([]);
+    ws.addRow([t(message('template_additional_rules'))]).font = { bold: true };
+    profile.rules.forEach(rule => {
+      const row = ws.addRow([rule.columns.join(', '), t(ruleMessage(rule))]);
+      ws.mergeCells(row.number, 2, row.number, 4);
+    });
+  }
+  ws.getColumn(1).width = 40;
+  ws.getColumn(2).width = 28;
+  ws.getColumn(3).width = 18;
+  ws.getColumn(4).width = 40;
+  ws.eachRow(row => { row.alignment = { wrapText: true, vertical: 'top' }; });
+  return ws;
+}
+
+// Returns an ExcelJS workbook; `profile` is a compiled profile and `lang` ("ar" or "en") limits the
+// text to one language
+function buildTemplate(profile, { lang } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  lang = checkLanguage(lang);
+  const t = translator(profile, lang);
+  addDataSheet(workbook, profile, t);
+  addInstructionsSheet(workbook, profile, t, lang);
+  return workbook;
+}
+
+module.exports = {
+  INSTRUCTIONS_SHEET,
+  buildTemplate,
+};
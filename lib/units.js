@@ -0,0 +1,127 @@
+// Units of production capacity checked against the bundled catalog in reference/units.json, where every
+// unit has Arabic and English names and synonyms ("ton/day", "طن يومياً" and "TPD" are one unit) and a
+// dimension (mass per time, power, ...) with a factor to that dimension's base unit. A profile turns the
+// check on with a `units` section naming the unit and value columns and, per asset_type or product_type
+// value, the dimensions its unit may have:
+//   "units": { "column": "production_capacity_measuring_unit", "value": "production_capacity",
+//              "dimensions": { "product_type": { "cement": ["mass_rate"] } } }
+// Unknown units are errors with the closest known unit suggested. The unit_names fix rewrites units in
+// the catalog spelling; convert_units, which is only applied when chosen, converts capacities to the
+// base unit of their dimension.
+
+const CATALOG = require('../reference/units.json');
+const { normalizeHeader, similarity } = require('./headers');
+const { readAmount } = require('./aggregate');
+const { message } = require('./messages');
+
+const SUGGESTION_THRESHOLD = 0.75;
+const ARABIC_LETTER = /[ء-ي]/;
+// Converted capacities keep this many decimals
+const CONVERTED_DECIMALS = 6;
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+// "Ton / Day", "ton per day" and "ton/day" share the key "ton/day"
+function unitKey(name) {
+  return normalizeHeader(name).replace(/_*\/_*/g, '/').replace(/_per_/g, '/');
+}
+
+const UNITS = new Map(CATALOG.units.map(unit => [unit.id, unit]));
+const UNIT_INDEX = new Map();
+CATALOG.units.forEach(unit => {
+  [unit.ar, unit.en, unit.id, ...(unit.aliases || [])].forEach(name => {
+    const key = unitKey(name);
+    if (key && !UNIT_INDEX.has(key)) UNIT_INDEX.set(key, unit);
+  });
+});
+
+// { unit, score } for a catalog unit (score 1) or the closest one above the suggestion threshold
+function lookupUnit(value) {
+  const key = unitKey(value);
+  if (!key) return null;
+  if (UNIT_INDEX.has(key)) return { unit: UNIT_INDEX.get(key), score: 1 };
+  let best = null;
+  UNIT_INDEX.forEach((unit, name) => {
+    const score = similarity(key, name);
+    if (score >= SUGGESTION_THRESHOLD && (!best || score > best.score)) best = { unit, score };
+  });
+  return best;
+}
+
+// The catalog name in the script the value was typed in
+function unitName(unit, value) {
+  return ARABIC_LETTER.test(String(value)) ? unit.ar : unit.en;
+}
+
+function dimensionName(id) {
+  const dimension = CATALOG.dimensions[id];
+  return { ar: dimension.ar, en: dimension.en };
+}
+
+// The dimension lists configured for the row's values of the dimension columns (asset_type,
+// product_type, ...); the unit has to suit each of them
+function allowedDimensions(row, header, units) {
+  return Object.entries(units.dimensions || {}).map(([column, byValue]) => {
+    const j = header.indexOf(column);
+    if (j === -1 || isBlank(row[j])) return null;
+    const key = normalizeHeader(row[j]);
+    const match = Object.entries(byValue).find(([value]) => normalizeHeader(value) === key);
+    return match ? match[1] : null;
+  }).filter(Boolean);
+}
+
+// Issues ({ rule, column, value, message, suggestion }) for the unit of one row
+function checkUnit(row, header, units) {
+  const j = header.indexOf(units.column);
+  if (j === -1 || isBlank(row[j])) return [];
+  const value = row[j];
+  const found = lookupUnit(value);
+  if (!found || found.score < 1) {
+    const suggestion = found ? unitName(found.unit, value) : undefined;
+    const id = suggestion ? 'unit_unknown_suggest' : 'unit_unknown';
+    return [{ rule: 'unit_unknown', column: units.column, value, message: message(id, { value, suggestion }), suggestion }];
+  }
+  const allowed = allowedDimensions(row, header, units).find(list => !list.includes(found.unit.dimension));
+  if (!allowed) return [];
+  const base = UNITS.get(CATALOG.dimensions[allowed[0]].base);
+  return [{
+    rule: 'unit_dimension',
+    column: units.column,
+    value,
+    message: message('unit_dimension', { value, dimension: dimensionName(found.unit.dimension), expected: allowed.map(dimensionName) }),
+    suggestion: unitName(base, value),
+  }];
+}
+
+// Catalog spelling ({ column, value }) of the row's unit when it differs from what was typed
+function normalizeUnit(row, header, units) {
+  const j = header.indexOf(units.column);
+  if (j === -1 || isBlank(row[j])) return [];
+  const found = lookupUnit(row[j]);
+  if (!found || found.score < 1) return [];
+  const name = unitName(found.unit, row[j]);
+  return name === row[j] ? [] : [{ column: units.column, value: name }];
+}
+
+// The row's capacity in the base unit of its dimension and that unit's name ({ column, value } each),
+// when the unit is known, not already the base unit and the capacity is a number
+function convertUnit(row, header, units) {
+  const j = header.indexOf(units.column);
+  const k = header.indexOf(units.value);
+  if (j === -1 || k === -1 || isBlank(row[j])) return [];
+  const found = lookupUnit(row[j]);
+  const { amount } = readAmount(row[k]);
+  if (!found || found.score < 1 || amount === undefined) return [];
+  const base = UNITS.get(CATALOG.dimensions[found.unit.dimension].base);
+  if (base === found.unit) return [];
+  const converted = Number((amount * found.unit.factor).toFixed(CONVERTED_DECIMALS));
+  return [{ column: units.value, value: converted }, { column: units.column, value: unitName(base, row[j]) }];
+}
+
+module.exports = {
+  checkUnit,
+  normalizeUnit,
+  convertUnit,
+};
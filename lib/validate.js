@@ -0,0 +1,428 @@
+// Validate a whole workbook: load it in any supported format, apply the accepted fixes and run the
+// selected check on every worksheet. Shared by the web routes and the command-line tool; nothing here
+// touches the filesystem, so the module can also be bundled for the browser.
+
+const { FormatError, loadWorkbook, workbookFromRows } = require('./formats');
+const { columnLetter, normalizeCellValue, cellSource } = require('./cells');
+const { DEFAULT_FIXES, availableFixes, applyFixes, fixSummary } = require('./fixes');
+const { SEVERITIES, ProfileError, compileProfile, compilePolicy, checkLanguage, getColumnSpec } = require('./schema');
+const { INSTRUCTIONS_SHEET } = require('./template');
+const { parseColumnMap, matchHeaders } = require('./headers');
+const { CHECKS, indexIssues, checkMissingColumns, runCheck } = require('./validators');
+const { aggregateSheet } = require('./aggregate');
+const { resolveLimits, checkSheetSize } = require('./limits');
+const { DEFAULT_LANG, message, formatMessage } = require('./messages');
+
+// Rows hold resolved plain values for the validators; `sources` keeps the raw cells for the output
+// and `rowNumbers` the Excel row each one came from (blank rows are skipped)
+function readSheet(worksheet) {
+  const header = worksheet.getRow(1).values.slice(1).map(normalizeCellValue); // ExcelJS is 1-based, values[0] is null
+  const rows = [];
+  const sources = [];
+  const rowNumbers = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const cells = header.map((_, j) => row.getCell(j + 1));
+    rows.push(cells.map(cell => normalizeCellValue(cell.value)));
+    sources.push(cells.map(cellSource));
+    rowNumbers.push(rowNumber);
+  });
+  return { header, rows, sources, rowNumbers };
+}
+
+// Fix mode applies every available fix but the opt-in ones unless `fixes` lists the accepted fix ids.
+// Outside fix mode only the date normalization runs, as it always has.
+function resolveFixes(profiles, { fix = false, fixes } = {}) {
+  const available = profiles.flatMap(p => availableFixes(p));
+  const known = [...new Set(available.map(f => f.id))];
+  if (!fix) return { enabled: false, accepted: new Set(DEFAULT_FIXES) };
+  if (fixes === undefined) return { enabled: true, accepted: new Set(available.filter(f => !f.optIn).map(f => f.id)) };
+  const accepted = fixes.filter(Boolean);
+  const unknown = accepted.filter(id => !known.includes(id));
+  if (unknown.length) throw new ProfileError(`Unknown fix: ${unknown.join(', ')} (available: ${known.join(', ')})`);
+  return { enabled: true, accepted: new Set(accepted) };
+}
+
+// In-memory input: an array of rows whose first row is the header, { header, rows }, or
+// { sheets: [{ name, header, rows }] } for several worksheets
+function rowSheets(input, sheetName = 'Sheet1') {
+  const withHeader = (sheet) => (sheet.header ? [sheet.header, ...sheet.rows] : sheet.rows);
+  if (Array.isArray(input)) return [{ name: sheetName, rows: input }];
+  if (input && Array.isArray(input.sheets)) {
+    return input.sheets.map((sheet, i) => ({ name: sheet.name || `Sheet${i + 1}`, rows: withHeader(sheet) }));
+  }
+  if (input && Array.isArray(input.rows)) return [{ name: input.name || sheetName, rows: withHeader(input) }];
+  throw new FormatError('Expected a file buffer, an array of rows, { header, rows } or { sheets: [...] }');
+}
+
+async function loadInput(input, options) {
+  if (input instanceof ArrayBuffer) input = new Uint8Array(input);
+  if (input instanceof Uint8Array) return loadWorkbook(input, options);
+  return { workbook: workbookFromRows(rowSheets(input, options.sheetName)), format: 'rows' };
+}
+
+// The instructions sheet of a filled-in input template holds no data
+function isDataSheet(name) {
+  return name !== INSTRUCTIONS_SHEET;
+}
+
+// Profiles (definitions or loaded profiles), fix selection, message language, pass/fail limits and
+// size limits shared by every sheet of one run
+function prepareOptions(options) {
+  if (!options.profile) throw new ProfileError('A validation profile is required');
+  const lang = checkLanguage(options.lang, DEFAULT_LANG);
+  const profile = compileProfile(options.profile);
+  const sheetProfiles = {};
+  Object.entries(options.sheetProfiles || {}).forEach(([name, p]) => { sheetProfiles[name] = compileProfile(p); });
+  const profiles = [profile, ...Object.values(sheetProfiles)];
+  const fixOptions = resolveFixes(profiles, options);
+  // Limits given for the run override those of each sheet's profile policy
+  const policy = options.policy === undefined ? null : options.policy;
+  compilePolicy(policy, 'the "policy" option');
+  // Sheet sizes are only limited when the caller asks (see ./limits)
+  const limits = options.limits ? resolveLimits(options.limits) : null;
+  return { type: options.type, lang, profile, sheetProfiles, fixOptions, policy, limits, columnMap: parseColumnMap(options.columnMap, profiles) };
+}
+
+// Validate one sheet read by readSheet (or the streaming reader); a sheet missing required columns
+// is returned with an `error` instead. Messages are rendered in `lang` with the sheet profile's wording.
+function validateSheet(data, { type, lang, profile, sheetProfiles, fixOptions, policy, limits, columnMap }) {
+  const { name, rows, sources, rowNumbers } = data;
+  if (limits) checkSheetSize({ name, rows: rows.length, columns: data.header.length }, limits);
+  const sheetProfile = sheetProfiles[name] || profile;
+  const text = (msg, ruleId) => formatMessage(msg, lang, sheetProfile, ruleId);
+  // Uploaded headers are renamed to the profile columns they match; `headerMatches` records how
+  const matched = matchHeaders(data.header, sheetProfile, columnMap);
+  const { header } = matched;
+  const sheet = { name, profile: sheetProfile.name, header, headerMatches: matched.columns, rows, sources, rowNumbers };
+  const missingCols = checkMissingColumns(header, sheetProfile);
+  if (missingCols.length > 0) {
+    sheet.missingColumns = missingCols;
+    // A sheet sharing no column with its profile (a cover page, notes, lookup lists) holds no data to
+    // check: it is skipped rather than failed
+    sheet.skipped = !matched.columns.some(c => c.column);
+    sheet.error = sheet.skipped
+      ? text(message('sheet_skipped', { profile: sheetProfile.name }))
+      : text(message('missing_columns_sheet', { columns: missingColumnHints(sheet, lang) }));
+    return sheet;
+  }
+  // The uploaded values stay as they were read, so the sheet can be checked again with edits (see revalidateSheet)
+  sheet.input = rows;
+  sheet.edits = [];
+  return checkSheet(sheet, sheetProfile, { type, lang, fixOptions, policy });
+}
+
+// Fix and check the uploaded values of a sheet (`input`) with its edits ({ index, column, fix: "edit",
+// before, after }) applied; edited values go through the fixes like uploaded ones
+function checkSheet(sheet, sheetProfile, { type, lang, fixOptions, policy }) {
+  const { header, rowNumbers } = sheet;
+  const text = (msg, ruleId) => formatMessage(msg, lang, sheetProfile, ruleId);
+  const fixed = applyFixes(sheet.input, header, sheetProfile, fixOptions.accepted);
+  sheet.rows = fixed.rows;
+  sheet.changes = sheetChanges(sheet, [...sheet.edits, ...fixed.changes]);
+  sheet.changedCells = indexIssues(fixed.changes);
+  sheet.editedCells = indexIssues(sheet.edits);
+  if (type === 'sum') {
+    sheet.aggregates = sheetAggregates(sheet, sheetProfile, text);
+    sheet.total = sheet.aggregates ? sheet.aggregates.total : null;
+    return sheet;
+  }
+  sheet.validated = runCheck(type, sheet.rows, header, sheetProfile);
+  sheet.validated.issues.forEach(issue => {
+    // Cross-row issues name the other rows of their group
+    if (issue.related) issue.message.params.rows = issue.related.map(i => rowNumbers[i]);
+    issue.message = text(issue.message, issue.rule);
+  });
+  sheet.validated.notes = { ...changeNotes(fixed, fixOptions.enabled, text), ...sheet.validated.notes };
+  sheet.edits.forEach(e => {
+    const key = `${e.index},${e.column}`;
+    const note = text(message('note_edited', { before: e.before }));
+    sheet.validated.notes[key] = sheet.validated.notes[key] ? `${note}\n${sheet.validated.notes[key]}` : note;
+  });
+  sheet.validated.summary = sheet.validated.summary.concat(fixSummary(fixed.changes, sheetProfile)).map(line => text(line));
+  sheet.issuesByCell = indexIssues(sheet.validated.issues);
+  sheet.issues = sheetIssues(sheet);
+  const outlierChecks = new Set(sheetProfile.outliers.map(check => check.id));
+  sheet.verdict = sheetVerdict(sheet.issues, compilePolicy(policy, 'the "policy" option', sheetProfile.policy), outlierChecks);
+  sheet.validated.summary.push(text(verdictLine(sheet.verdict, text)));
+  // Totals of final_value and its pivot groups for the full check's summary and Summary sheet
+  sheet.aggregates = CHECKS[type] ? null : sheetAggregates(sheet, sheetProfile, text);
+  sheet.total = sheet.aggregates ? sheet.aggregates.total : null;
+  return sheet;
+}
+
+// Text typed into the preview grid: blank text empties the cell, and numeric columns and cells that
+// held a number get a number
+function editValue(value, spec, before) {
+  if (value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (trimmed === '') return null;
+  const numeric = typeof before === 'number' || (spec && (spec.type === 'int' || spec.type === 'float'));
+  if (numeric && /^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  return value;
+}
+
+function sameValue(a, b) {
+  const blank = (v) => v === null || v === undefined || v === '';
+  return (blank(a) && blank(b)) || a === b;
+}
+
+// Edit cells ({ row: Excel row, column: profile column, value }) of a validated sheet of `result` and
+// check the sheet again with the run's `options`, so every check sees the new values, cross-field and
+// cross-row ones included. Edits replace the uploaded values and add up over calls; editing a cell back
+// to its uploaded value drops the edit. Returns a new result; `result` itself is not modified.
+function revalidateSheet(result, name, edits, options) {
+  const prepared = prepareOptions(options);
+  const current = result.sheets.find(s => s.name === name);
+  if (!current) throw new ProfileError(`Unknown sheet: ${name}`);
+  if (!current.validated) throw new ProfileError(current.error || `Sheet "${name}" was not validated`);
+  const sheetProfile = prepared.sheetProfiles[name] || prepared.profile;
+  const { header, rowNumbers } = current;
+  const rowIndex = new Map(rowNumbers.map((row, i) => [row, i]));
+  const input = current.input.slice();
+  const sheetEdits = current.edits.slice();
+  edits.forEach(({ row, column, value }) => {
+    const i = rowIndex.get(Number(row));
+    const j = header.indexOf(column);
+    if (i === undefined) throw new ProfileError(`Sheet "${name}" has no data row ${row}`);
+    if (j === -1) throw new ProfileError(`Unknown column ${column} in sheet "${name}"`);
+    const k = sheetEdits.findIndex(e => e.index === i && e.column === column);
+    const before = k === -1 ? input[i][j] : sheetEdits[k].before;
+    const after = editValue(value, getColumnSpec(sheetProfile, column), before);
+    if (k !== -1) sheetEdits.splice(k, 1);
+    if (!sameValue(before, after)) sheetEdits.push({ index: i, column, fix: 'edit', before, after });
+    input[i] = input[i].slice();
+    input[i][j] = after;
+  });
+  const sheet = checkSheet({ ...current, input, edits: sheetEdits }, sheetProfile, prepared);
+  return buildResult(result, result.sheets.map(s => (s === current ? sheet : s)), prepared);
+}
+
+// Check one row of a sheet on its own with an edit ({ row, column, value }) applied, for feedback while
+// a sheet is being edited (the page runs it in the browser). `row` is the row as previewRow gave it; its
+// uploaded values and earlier edits are checked again with the new edit, the way revalidateSheet would.
+// Cross-row checks see this row alone, so their findings wait for revalidateSheet on the whole sheet.
+function previewEdit({ name, header }, row, edit, options) {
+  const prepared = prepareOptions(options);
+  const cell = (col) => row[col] || { value: null };
+  const uploaded = header.map(col => ['uploaded', 'input', 'value'].map(k => cell(col)[k]).find(v => v !== undefined));
+  const sheet = validateSheet({ name, header, rows: [uploaded], sources: [uploaded], rowNumbers: [Number(edit.row)] }, prepared);
+  const edits = header.filter(col => cell(col).edited).map(column => ({ row: edit.row, column, value: cell(column).input }));
+  const [checked] = revalidateSheet(buildResult({ format: 'rows' }, [sheet], prepared), name, [...edits, edit], options).sheets;
+  return previewRow(checked, 0, prepared.fixOptions.enabled);
+}
+
+// Totals and pivot groups of the value column (see ./aggregate), with the rows left out of them as
+// Excel rows and the reason in words
+function sheetAggregates(sheet, profile, text) {
+  const aggregates = aggregateSheet(sheet.rows, sheet.header, profile);
+  if (!aggregates) return null;
+  aggregates.excluded = aggregates.excluded.map(({ reason, count, rows }) => ({
+    reason,
+    label: text(message(`aggregate_excluded_${reason}`, { column: aggregates.column })),
+    count,
+    rows: rows.map(i => sheet.rowNumbers[i]),
+  }));
+  return aggregates;
+}
+
+// { passed, errors, warnings, infos, policy } of one sheet: its issues counted per severity and whether
+// they stay within the policy's limits. Warnings of the `advisory` rules (outlier checks, which only ask
+// for a second look) are counted but never fail a sheet.
+function sheetVerdict(issues, policy, advisory = new Set()) {
+  const count = (severity) => issues.filter(issue => issue.severity === severity).length;
+  const errors = count('error');
+  const warnings = count('warning');
+  const limited = issues.filter(issue => issue.severity === 'warning' && !advisory.has(issue.rule)).length;
+  const passed = errors <= policy.maxErrors && (policy.maxWarnings === null || limited <= policy.maxWarnings);
+  return { passed, errors, warnings, infos: count('info'), policy };
+}
+
+// Last summary line of a sheet; a failed one says what the policy allows
+function verdictLine(verdict, text) {
+  const { passed, errors, warnings, infos, policy } = verdict;
+  if (passed) return message('summary_verdict_passed', { errors, warnings, infos }, { prefix: '✅' });
+  const limits = policy.maxWarnings === null ? message('policy_limits_any_warnings', policy) : message('policy_limits', policy);
+  return message('summary_verdict_failed', { errors, warnings, infos, policy: text(limits) }, { prefix: '❌' });
+}
+
+// Verdict of the whole run: it passes when every sheet was validated and passed, leaving out skipped
+// sheets. Null when no sheet was checked (type "sum", or no sheet had the required columns).
+function workbookVerdict(sheets) {
+  if (!sheets.some(s => s.verdict)) return null;
+  const checked = sheets.filter(s => s.verdict || (s.error && !s.skipped));
+  const sum = (key) => checked.reduce((n, s) => n + (s.verdict ? s.verdict[key] : 0), 0);
+  return {
+    passed: checked.every(s => s.verdict && s.verdict.passed),
+    errors: sum('errors'),
+    warnings: sum('warnings'),
+    infos: sum('infos'),
+    failedSheets: checked.filter(s => !(s.verdict && s.verdict.passed)).map(s => s.name),
+  };
+}
+
+function buildResult(loaded, sheets, { lang, profile, sheetProfiles, fixOptions }) {
+  const { workbook = null, format, csv } = loaded;
+  return {
+    workbook,
+    format,
+    csv,
+    lang,
+    sheets,
+    verdict: workbookVerdict(sheets),
+    fixMode: fixOptions.enabled,
+    fixes: fixList(sheets, fixOptions, profile, sheetProfiles, lang),
+  };
+}
+
+// Read and validate every worksheet; sheets missing required columns are reported but not validated.
+// `input` is file content (Buffer, Uint8Array or ArrayBuffer) or in-memory rows (see rowSheets) and is
+// never modified. `options`: profile and sheetProfiles (profile definitions or loaded profiles, the
+// latter keyed by sheet name), type, fix, fixes, columnMap ({ uploaded header: profile column or null }),
+// policy ({ maxErrors, maxWarnings } overriding the profiles' policies), limits ({ maxRows, maxColumns };
+// a larger sheet fails the run with a LimitError), lang ("ar", the default, or "en") plus the CSV options
+// of loadWorkbook. The result's `verdict` tells whether the run passed.
+async function validateWorkbook(input, options = {}) {
+  const prepared = prepareOptions(options);
+  const loaded = await loadInput(input, options);
+  const sheets = loaded.workbook.worksheets.filter(ws => isDataSheet(ws.name)).map(worksheet => validateSheet({ name: worksheet.name, ...readSheet(worksheet) }, prepared));
+  return buildResult(loaded, sheets, prepared);
+}
+
+// Like validateWorkbook for sheets that were already read (e.g. by readXlsxStream). `loaded` carries
+// { workbook, format, csv } as far as known. Yields between sheets so onProgress reports reach clients.
+async function validateSheets(loaded, sheetData, options, onProgress = () => {}) {
+  const prepared = prepareOptions(options);
+  const dataSheets = sheetData.filter(s => isDataSheet(s.name));
+  const sheets = [];
+  for (const data of dataSheets) {
+    sheets.push(validateSheet(data, prepared));
+    onProgress({ sheet: data.name, done: sheets.length, total: dataSheets.length });
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return buildResult(loaded, sheets, prepared);
+}
+
+// Fix mode notes every corrected cell with its previous value; otherwise only fixes' own notes (Hijri dates) show.
+// `text` renders a catalog message.
+function changeNotes({ changes, notes }, fixMode, text) {
+  if (!fixMode) return Object.fromEntries(Object.entries(notes).map(([key, note]) => [key, text(note)]));
+  const lines = {};
+  changes.forEach(c => {
+    const key = `${c.index},${c.column}`;
+    (lines[key] = lines[key] || []).push(text(message('note_fixed', { fix: c.fix, before: c.before })));
+  });
+  Object.entries(notes).forEach(([key, note]) => lines[key].push(text(note)));
+  return Object.fromEntries(Object.entries(lines).map(([key, l]) => [key, l.join('\n')]));
+}
+
+// Every fix offered for the uploaded sheets with whether it was applied and how many cells it changed
+function fixList(sheets, fixOptions, profile, sheetProfiles, lang) {
+  const fixes = new Map();
+  [profile, ...Object.values(sheetProfiles)].forEach(p => availableFixes(p, lang).forEach(f => fixes.set(f.id, f)));
+  return [...fixes.values()].map(f => ({
+    ...f,
+    accepted: fixOptions.accepted.has(f.id),
+    count: sheets.reduce((n, s) => n + (s.changes || []).filter(c => c.fix === f.id).length, 0),
+  }));
+}
+
+// Change records in the same shape as issues: Excel row and A1 cell of the uploaded sheet
+function sheetChanges(sheet, changes) {
+  const colIdx = (change) => sheet.header.indexOf(change.column);
+  return changes.slice().sort((a, b) => a.index - b.index || colIdx(a) - colIdx(b)).map(change => {
+    const row = sheet.rowNumbers[change.index];
+    return {
+      sheet: sheet.name,
+      row,
+      column: change.column,
+      cell: columnLetter(sheet.header.indexOf(change.column) + 1) + row,
+      fix: change.fix,
+      before: change.before === undefined ? null : change.before,
+      after: change.after,
+    };
+  });
+}
+
+// Public issue records: the data-row index becomes the sheet's Excel row and the cell gets its A1 address
+function sheetIssues(sheet) {
+  const colIdx = (issue) => sheet.header.indexOf(issue.column);
+  return sheet.validated.issues
+    .slice()
+    .sort((a, b) => a.index - b.index || colIdx(a) - colIdx(b))
+    .map(issue => {
+      const row = sheet.rowNumbers[issue.index];
+      const record = {
+        sheet: sheet.name,
+        row,
+        column: issue.column,
+        cell: columnLetter(colIdx(issue) + 1) + row,
+        rule: issue.rule,
+        severity: issue.severity,
+        value: issue.value,
+      };
+      if (issue.suggestion !== undefined) record.suggestion = issue.suggestion;
+      if (issue.related) record.related = issue.related.map(i => sheet.rowNumbers[i]);
+      record.message = issue.message;
+      return record;
+    });
+}
+
+// Messages of the issues raised on one cell of a validated sheet
+function cellMessages(sheet, i, col) {
+  return (sheet.issuesByCell[`${i},${col}`] || []).map(issue => issue.message);
+}
+
+// One preview row: every cell with its value, whether it is highlighted and why (`severity`, the most
+// serious of its issues, picks the colour), whether it was edited and in fix mode whether it was fixed.
+// Cells changed by fixes or edits also carry the value the fixes started from (`input`) and edited
+// ones the uploaded value, so previewEdit can check the row again from the upload.
+function previewRow(sheet, i, fixMode) {
+  const { header } = sheet;
+  const { rows: validatedRows, notes = {} } = sheet.validated;
+  const obj = {};
+  header.forEach((col, j) => {
+    const messages = cellMessages(sheet, i, col);
+    obj[col] = {
+      value: validatedRows[i][j],
+      highlight: messages.length > 0
+    };
+    if (messages.length) obj[col].messages = messages;
+    if (messages.length) obj[col].severity = SEVERITIES.find(severity => sheet.issuesByCell[`${i},${col}`].some(issue => issue.severity === severity));
+    if (fixMode && sheet.changedCells[`${i},${col}`]) obj[col].fixed = true;
+    if (sheet.editedCells[`${i},${col}`]) obj[col].edited = true;
+    if (notes[`${i},${col}`]) obj[col].note = notes[`${i},${col}`];
+    if (sheet.changedCells[`${i},${col}`] || sheet.editedCells[`${i},${col}`]) obj[col].input = sheet.input[i][j];
+    if (sheet.editedCells[`${i},${col}`]) obj[col].uploaded = sheet.editedCells[`${i},${col}`][0].before;
+  });
+  return obj;
+}
+
+// Missing columns, each with the uploaded header that most resembles it when there is one
+function missingColumnHints(sheet, lang) {
+  return sheet.missingColumns.map(column => {
+    const score = (entry) => ((entry.suggestions || []).find(s => s.column === column) || { score: 0 }).score;
+    const close = sheet.headerMatches.filter(entry => score(entry) > 0).sort((a, b) => score(b) - score(a))[0];
+    return close ? formatMessage(message('missing_column_hint', { column, header: close.header }), lang) : column;
+  });
+}
+
+function missingColumnsError(sheets, lang = DEFAULT_LANG) {
+  if (sheets.length === 1) return formatMessage(message('missing_columns_file', { columns: missingColumnHints(sheets[0], lang) }), lang);
+  const details = sheets.map(s => formatMessage(message('missing_columns_detail', { sheet: s.name, columns: missingColumnHints(s, lang) }), lang));
+  return formatMessage(message('missing_columns_workbook', { sheets: details.join(lang === 'ar' ? '؛ ' : '; ') }), lang);
+}
+
+module.exports = {
+  readSheet,
+  isDataSheet,
+  validateWorkbook,
+  validateSheets,
+  revalidateSheet,
+  previewEdit,
+  prepareOptions,
+  cellMessages,
+  previewRow,
+  missingColumnsError,
+};
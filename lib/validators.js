@@ -0,0 +1,531 @@
+// The validation checks, ported from the original Python scripts. Each validate*Only function takes the
+// resolved rows of one sheet, its header and the validation profile and returns { rows, issues, notes?, summary }.
+// Issue and summary texts are catalog messages (see ./messages), rendered in the run's language later.
+
+const { SEVERITIES, expectedColumns, mandatoryFields, getColumnSpec, rulesInGroup, severityOf } = require('./schema');
+const { parseDateValue, checkDateLimits, startOfToday } = require('./dates');
+const { message, ruleMessage } = require('./messages');
+const { appliesTo, findDuplicates, findConflicts } = require('./duplicates');
+const { checkPlaces } = require('./geography');
+const { findOutliers } = require('./outliers');
+const { checkUnit } = require('./units');
+
+// Utility functions ported from Python; column rules come from the validation profile
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string' && value.trim() === '') return true;
+  if (typeof value === 'string' && value.trim().toLowerCase() === 'n/a') return false;
+  if (value === '0') return false;
+  return false;
+}
+
+function toInt(value) {
+  if (isEmpty(value)) return [false, null];
+  let s = String(value).trim();
+  if (s.toLowerCase().endsWith('.0')) s = s.slice(0, -2);
+  if (s.includes('.')) return [false, null];
+  const n = parseInt(s, 10);
+  if (isNaN(n)) return [false, null];
+  return [true, n];
+}
+
+function toFloat(value) {
+  if (isEmpty(value)) return [false, null];
+  const n = parseFloat(String(value).trim());
+  if (isNaN(n)) return [false, null];
+  return [true, n];
+}
+
+// Validators report problems as structured issues on a data-row index; the sheet name, Excel row
+// and cell address are attached per sheet once validation is done (see sheetIssues). `message` is a
+// catalog message ({ id, params }, see ./messages), rendered in the requested language afterwards.
+// `severity` stays null unless the check sets its own; checkSummary settles it from the profile.
+function makeIssue(rule, index, column, value, message, suggestion) {
+  const issue = { rule, severity: null, index, column, value: value === undefined ? null : value, message };
+  if (suggestion !== undefined && suggestion !== null && suggestion !== '') issue.suggestion = suggestion;
+  return issue;
+}
+
+// Issues grouped by "index,column" for highlighting and notes
+function indexIssues(issues) {
+  const byCell = {};
+  issues.forEach(issue => {
+    const key = `${issue.index},${issue.column}`;
+    (byCell[key] = byCell[key] || []).push(issue);
+  });
+  return byCell;
+}
+
+function inRange(n, spec) {
+  if (spec.min !== undefined && n < spec.min) return false;
+  if (spec.max !== undefined && n > spec.max) return false;
+  return true;
+}
+
+function rangeMessage(spec) {
+  if (spec.min !== undefined && spec.max !== undefined) return message('range_between', { min: spec.min, max: spec.max });
+  if (spec.min === 0) return message('range_non_negative');
+  if (spec.min !== undefined) return message('range_min', { min: spec.min });
+  if (spec.max !== undefined) return message('range_max', { max: spec.max });
+  return message('type_number');
+}
+
+// Generic type/range check for profile columns without a dedicated validator; returns [ruleId, message] or null
+function checkValueAgainstSpec(value, spec) {
+  const s = String(value).trim();
+  switch (spec.type) {
+    case 'int': {
+      const [ok, n] = toInt(value);
+      if (!ok) return ['type_int', message('type_int')];
+      return inRange(n, spec) ? null : ['range', rangeMessage(spec)];
+    }
+    case 'float': {
+      const [ok, n] = toFloat(value);
+      if (!ok) return ['type_float', rangeMessage(spec)];
+      return inRange(n, spec) ? null : ['range', rangeMessage(spec)];
+    }
+    case 'enum':
+      return spec.values.some(v => String(v) === s) ? null : ['allowed_values', message('allowed_values', { values: spec.values })];
+    case 'date': {
+      const parsed = parseDateValue(value, spec.calendar);
+      if (parsed.error) return [`date_${parsed.error}`, message(`date_${parsed.error}`)];
+      const limit = checkDateLimits(parsed.date, spec, spec.relativeTo ? null : startOfToday());
+      return limit ? [`date_${limit}`, dateLimitMessage(limit, spec)] : null;
+    }
+    default:
+      if (Array.isArray(spec.values) && !spec.values.some(v => String(v) === s)) {
+        return ['allowed_values', message('allowed_values', { values: spec.values })];
+      }
+      return null;
+  }
+}
+
+// Summary lines keep their ✅ / ❌ / ⚠️ / ℹ️ / ↳ marks outside the translated text
+const passed = (id, params) => message(id, params, { prefix: '✅' });
+const failed = (id, params) => message(id, params, { prefix: '❌' });
+const hint = (id, params) => message(id, params, { prefix: '↳' });
+const SEVERITY_MARKS = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+
+// Summary lines of one check. The severity of each of its issues is settled first (see severityOf).
+// Then, with `count` (the number of issues unless given) at 0, the `ok` line; otherwise the `failed`
+// line marked by the most serious issue, and the `hint`. `params` go to every line.
+function checkSummary(issues, profile, { ok, failed: failedId, hint: hintId }, params = {}, count = issues.length) {
+  issues.forEach(issue => { issue.severity = severityOf(profile, issue.rule, issue.column, issue.severity); });
+  if (count === 0) return ok ? [passed(ok, params)] : [];
+  const worst = SEVERITIES.find(severity => issues.some(issue => issue.severity === severity)) || 'error';
+  const lines = [message(failedId, { ...params, count }, { prefix: SEVERITY_MARKS[worst] })];
+  if (hintId) lines.push(hint(hintId, params));
+  return lines;
+}
+
+function missingSpecSummary(col, profile) {
+  return [failed('summary_missing_spec', { column: col, profile: profile.name })];
+}
+
+// Validation logic (port of Python functions)
+function checkMissingColumns(header, profile) {
+  return expectedColumns(profile).filter(c => !header.includes(c));
+}
+
+function validateFinalValueOnly(rows, header, profile) {
+  const issues = [];
+  let summary = [];
+  const spec = getColumnSpec(profile, 'final_value');
+  if (!spec) return { rows, issues, summary: missingSpecSummary('final_value', profile) };
+  rows.forEach((row, idx) => {
+    const colIdx = header.indexOf('final_value');
+    if (colIdx === -1) return;
+    let val = row[colIdx];
+    if (isEmpty(val)) {
+      issues.push(makeIssue('final_value_empty', idx, 'final_value', val, message('final_value_empty')));
+      return;
+    }
+    const [ok, intval] = toInt(val);
+    if (!ok) {
+      issues.push(makeIssue('final_value_integer', idx, 'final_value', val, message('final_value_integer')));
+    } else if (!inRange(intval, spec)) {
+      issues.push(makeIssue('final_value_range', idx, 'final_value', val, rangeMessage(spec)));
+    }
+  });
+  summary = checkSummary(issues, profile, { ok: 'summary_final_value_ok', failed: 'summary_final_value_failed', hint: 'summary_final_value_hint' });
+  return { rows, issues, summary };
+}
+
+function validateMandatoryOnly(rows, header, profile) {
+  const issues = [];
+  const notices = [];
+  let summary = [];
+  const mandatory = mandatoryFields(profile);
+  rows.forEach((row, idx) => {
+    mandatory.forEach(col => {
+      const colIdx = header.indexOf(col);
+      if (colIdx === -1) return;
+      let val = row[colIdx];
+      if (isEmpty(val)) {
+        // An empty market approach counts as 0 (not used); it is only pointed out
+        if (col === 'market_approach') {
+          const issue = makeIssue('market_approach_empty', idx, col, val, message('market_approach_empty'));
+          issue.severity = 'info';
+          notices.push(issue);
+          return;
+        }
+        if (col === 'market_approach_value') {
+          const approachIdx = header.indexOf('market_approach');
+          let approachRaw = approachIdx !== -1 ? row[approachIdx] : '';
+          let approach = 0;
+          if (!isEmpty(approachRaw)) {
+            try { approach = parseInt(parseFloat(String(approachRaw).trim())); } catch { approach = null; }
+          }
+          if (approach === 0 || approach === null) return;
+        }
+        issues.push(makeIssue('mandatory_empty', idx, col, val, message('mandatory_empty')));
+      }
+    });
+  });
+  summary = checkSummary(issues, profile, { ok: 'summary_mandatory_ok', failed: 'summary_mandatory_failed', hint: 'summary_mandatory_hint' })
+    .concat(checkSummary(notices, profile, { failed: 'summary_market_approach_empty' }));
+  return { rows, issues: issues.concat(notices), summary };
+}
+
+function dateLimitMessage(error, spec) {
+  if (error === 'too_old' && spec.relativeTo) return message('date_too_old_relative', { months: spec.maxAgeMonths, reference: spec.relativeTo });
+  if (error === 'too_old') return message('date_too_old', { months: spec.maxAgeMonths });
+  return message(`date_${error}`);
+}
+
+// The reference for `maxAgeMonths` is the row's `relativeTo` column (e.g. report_date) or today
+function dateReference(row, header, spec) {
+  if (!spec.relativeTo) return startOfToday();
+  const refIdx = header.indexOf(spec.relativeTo);
+  if (refIdx === -1 || isEmpty(row[refIdx])) return null;
+  const parsed = parseDateValue(row[refIdx], spec.calendar);
+  return parsed.error ? null : parsed.date;
+}
+
+// Rewriting to dd-mm-yyyy and converting Hijri dates are done beforehand by the date fixes (lib/fixes.js)
+function validateDatesOnly(rows, header, profile) {
+  const issues = [];
+  const colIdx = header.indexOf('inspection_date');
+  let summary = [];
+  const spec = getColumnSpec(profile, 'inspection_date');
+  if (!spec) return { rows, issues, summary: missingSpecSummary('inspection_date', profile) };
+  if (colIdx === -1) return { rows, issues, summary: [failed('summary_column_missing', { column: 'inspection_date' })] };
+  rows.forEach((row, idx) => {
+    let val = row[colIdx];
+    if (isEmpty(val)) {
+      issues.push(makeIssue('date_format', idx, 'inspection_date', val, message('date_format')));
+      return;
+    }
+    // Parse against the real calendar
+    const parsed = parseDateValue(val, spec.calendar);
+    if (parsed.error) {
+      issues.push(makeIssue(`date_${parsed.error}`, idx, 'inspection_date', val, message(`date_${parsed.error}`)));
+      return;
+    }
+    const limit = checkDateLimits(parsed.date, spec, dateReference(row, header, spec));
+    if (limit) issues.push(makeIssue(`date_${limit}`, idx, 'inspection_date', val, dateLimitMessage(limit, spec)));
+  });
+  summary = checkSummary(issues, profile, { ok: 'summary_dates_ok', failed: 'summary_dates_failed', hint: 'summary_dates_hint' }, { column: 'inspection_date' });
+  return { rows, issues, summary };
+}
+
+// Shared by the integer range columns (asset_usage_id, value_base); bounds come from the profile
+function validateIntRangeOnly(rows, header, profile, col) {
+  const issues = [];
+  const colIdx = header.indexOf(col);
+  let summary = [];
+  const spec = getColumnSpec(profile, col);
+  if (!spec) return { rows, issues, summary: missingSpecSummary(col, profile) };
+  if (colIdx === -1) {
+    summary.push(failed('summary_column_missing', { column: col }));
+    return { rows, issues, summary };
+  }
+  rows.forEach((row, idx) => {
+    let val = row[colIdx];
+    if (isEmpty(val)) return;
+    const [ok, intval] = toInt(val);
+    if (!ok || intval === null || !inRange(intval, spec)) {
+      issues.push(makeIssue(`${col}_range`, idx, col, val, message('column_range', { column: col, min: spec.min, max: spec.max })));
+    }
+  });
+  summary = checkSummary(issues, profile, { ok: 'summary_range_ok', failed: 'summary_range_failed', hint: 'summary_range_hint' }, { column: col, min: spec.min, max: spec.max });
+  return { rows, issues, summary };
+}
+
+function validateAssetUsageIdOnly(rows, header, profile) {
+  return validateIntRangeOnly(rows, header, profile, 'asset_usage_id');
+}
+
+function validateValueBaseOnly(rows, header, profile) {
+  return validateIntRangeOnly(rows, header, profile, 'value_base');
+}
+
+// Evaluate conditional profile rules row by row; rules referencing columns absent from the file are skipped.
+// `violations` counts failing rows per rule, while a rule listing several columns yields an issue for each.
+function applyRules(rows, header, rules) {
+  let violations = 0;
+  const issues = [];
+  const applicable = rules.filter(rule => rule.compiled.columns.every(c => header.includes(c)));
+  rows.forEach((row, idx) => {
+    const resolve = (name) => row[header.indexOf(name)];
+    applicable.forEach(rule => {
+      if (rule.compiled.test(resolve)) return;
+      violations++;
+      const suggestion = rule.suggestion ? rule.suggestion.evaluate(resolve) : undefined;
+      rule.columns.forEach(col => {
+        const colIdx = header.indexOf(col);
+        if (colIdx === -1) return;
+        const issue = makeIssue(rule.id, idx, col, row[colIdx], ruleMessage(rule), suggestion);
+        if (rule.severity) issue.severity = rule.severity;
+        issues.push(issue);
+      });
+    });
+  });
+  return { violations, issues };
+}
+
+function validateMarketApproachOnly(rows, header, profile) {
+  let issues = [];
+  const spec = getColumnSpec(profile, 'market_approach');
+  if (!spec) return { rows, issues, summary: missingSpecSummary('market_approach', profile) };
+  const allowed = (spec.values || []).map(Number);
+  const idxMarketApproach = header.indexOf('market_approach');
+  let summary = [];
+  if (idxMarketApproach === -1) {
+    summary.push(failed('summary_column_missing', { column: 'market_approach' }));
+    return { rows, issues, summary };
+  }
+  rows.forEach((row, idx) => {
+    let val = row[idxMarketApproach];
+    if (isEmpty(val)) return;
+    const [ok, intval] = toInt(val);
+    if (!ok || intval === null || !allowed.includes(intval)) {
+      issues.push(makeIssue('market_approach_allowed', idx, 'market_approach', val, message('market_approach_allowed', { values: allowed })));
+    }
+  });
+  let count = issues.length;
+  // Cross-field consistency (e.g. market_approach_value == final_value) comes from the profile rules
+  const ruled = applyRules(rows, header, rulesInGroup(profile, 'market_approach'));
+  issues = issues.concat(ruled.issues);
+  count += ruled.violations;
+  summary = checkSummary(issues, profile, { ok: 'summary_market_approach_ok', failed: 'summary_market_approach_failed', hint: 'summary_market_approach_hint' }, {}, count);
+  return { rows, issues, summary };
+}
+
+function validateCostApproachOnly(rows, header, profile) {
+  if (!getColumnSpec(profile, 'cost_approach')) return { rows, issues: [], summary: missingSpecSummary('cost_approach', profile) };
+  let summary = [];
+  if (header.indexOf('market_approach') === -1 || header.indexOf('cost_approach') === -1) {
+    summary.push(failed('summary_columns_missing', { columns: ['market_approach', 'cost_approach'] }));
+    return { rows, issues: [], summary };
+  }
+  // The cost approach conditions are expressed entirely as profile rules
+  const ruled = applyRules(rows, header, rulesInGroup(profile, 'cost_approach'));
+  summary = checkSummary(ruled.issues, profile, { ok: 'summary_cost_approach_ok', failed: 'summary_cost_approach_failed', hint: 'summary_cost_approach_hint' }, {}, ruled.violations);
+  return { rows, issues: ruled.issues, summary };
+}
+
+// Profile rules without a group, e.g. value reconciliation checks added by rule authors
+function validateRulesOnly(rows, header, profile) {
+  const rules = rulesInGroup(profile, null);
+  let summary = [];
+  const { violations, issues } = applyRules(rows, header, rules);
+  summary = checkSummary(issues, profile, { ok: 'summary_rules_ok', failed: 'summary_rules_failed', hint: 'summary_rules_hint' }, {}, violations);
+  return { rows, issues, summary };
+}
+
+// Cross-row checks from the profile's `duplicates` section and its `unique` columns. Each flagged cell
+// gets `related`, the other rows of its group, which the message lists as Excel rows.
+function validateDuplicatesOnly(rows, header, profile) {
+  const issues = [];
+  let summary = [];
+  const flag = (rule, found, describe, severity = null) => found.forEach(({ index, column, related }) => {
+    const issue = makeIssue(rule, index, column, rows[index][header.indexOf(column)], describe(column));
+    issue.severity = severity;
+    issue.related = related;
+    issues.push(issue);
+  });
+  profile.duplicates.filter(check => appliesTo(header, check)).forEach(check => {
+    if (check.conflicts) {
+      flag(check.id, findConflicts(rows, header, check), column => message('conflicting_values', { column, key: check.key }, { text: check.message }), check.severity);
+    } else {
+      flag(check.id, findDuplicates(rows, header, check), () => message('duplicate_rows', { key: check.key }, { text: check.message }), check.severity);
+    }
+  });
+  profile.columns.filter(spec => spec.unique && header.includes(spec.name)).forEach(spec => {
+    flag(`${spec.name}_unique`, findDuplicates(rows, header, { key: [spec.name], match: 'exact' }), () => message('unique_value'));
+  });
+  const count = new Set(issues.map(i => i.index)).size;
+  summary = checkSummary(issues, profile, { ok: 'summary_duplicates_ok', failed: 'summary_duplicates_failed', hint: 'summary_duplicates_hint' }, {}, count);
+  return { rows, issues, summary };
+}
+
+// Country, region and city names against the geography reference, for profiles with a `geography` section
+function validateGeographyOnly(rows, header, profile) {
+  const issues = [];
+  let summary = [];
+  if (!profile.geography) return { rows, issues, summary: [failed('summary_geography_missing', { profile: profile.name })] };
+  rows.forEach((row, idx) => {
+    checkPlaces(row, header, profile.geography).forEach(place => {
+      issues.push(makeIssue(place.rule, idx, place.column, place.value, place.message, place.suggestion));
+    });
+  });
+  summary = checkSummary(issues, profile, { ok: 'summary_geography_ok', failed: 'summary_geography_failed', hint: 'summary_geography_hint' });
+  return { rows, issues, summary };
+}
+
+// Capacity units against the unit catalog and the dimensions allowed for the row's asset or product
+// type, for profiles with a `units` section
+function validateUnitsOnly(rows, header, profile) {
+  const issues = [];
+  let summary = [];
+  if (!profile.units) return { rows, issues, summary: [failed('summary_units_missing', { profile: profile.name })] };
+  rows.forEach((row, idx) => {
+    checkUnit(row, header, profile.units).forEach(unit => {
+      issues.push(makeIssue(unit.rule, idx, unit.column, unit.value, unit.message, unit.suggestion));
+    });
+  });
+  summary = checkSummary(issues, profile, { ok: 'summary_units_ok', failed: 'summary_units_failed', hint: 'summary_units_hint' });
+  return { rows, issues, summary };
+}
+
+// Values far outside their peer group, from the profile's `outliers` section. They are reported
+// as warnings unless the check says otherwise: worth a second look, but not errors.
+function validateOutliersOnly(rows, header, profile) {
+  const issues = [];
+  let summary = [];
+  const applicable = profile.outliers.filter(check => [check.column, ...check.groupBy].every(col => header.includes(col)));
+  applicable.forEach(check => {
+    findOutliers(rows, header, check).forEach(({ index, column, direction, median, count, group }) => {
+      const value = rows[index][header.indexOf(column)];
+      const issue = makeIssue(check.id, index, column, value, message(`outlier_${direction}`, { value, median, count, group, groupBy: check.groupBy }));
+      issue.severity = check.severity || 'warning';
+      issues.push(issue);
+    });
+  });
+  summary = checkSummary(issues, profile, { ok: 'summary_outliers_ok', failed: 'summary_outliers_found', hint: 'summary_outliers_hint' });
+  return { rows, issues, summary };
+}
+
+function hasCrossRowChecks(profile) {
+  return profile.duplicates.length > 0 || profile.columns.some(spec => spec.unique);
+}
+
+// Columns checked by their own validate*Only function; everything else goes through the generic spec check
+const DEDICATED_COLUMNS = {
+  final_value: validateFinalValueOnly,
+  inspection_date: validateDatesOnly,
+  asset_usage_id: validateAssetUsageIdOnly,
+  value_base: validateValueBaseOnly,
+  market_approach: validateMarketApproachOnly,
+  cost_approach: validateCostApproachOnly,
+};
+
+function validateAll(rows, header, profile) {
+  let issues = [];
+  let notes = {};
+  let summary = [];
+  // 1) Mandatory non-empty
+  let mand = validateMandatoryOnly(rows, header, profile);
+  issues = issues.concat(mand.issues);
+  summary = summary.concat(mand.summary);
+  // 2-7) final_value, dates, asset usage id, value base, market approach, cost approach
+  Object.entries(DEDICATED_COLUMNS).forEach(([col, validator]) => {
+    if (!getColumnSpec(profile, col)) return;
+    const result = validator(rows, header, profile);
+    issues = issues.concat(result.issues);
+    notes = { ...notes, ...result.notes };
+    summary = summary.concat(result.summary);
+  });
+  // 8) Ungrouped conditional rules from the profile
+  if (rulesInGroup(profile, null).length > 0) {
+    const ruled = validateRulesOnly(rows, header, profile);
+    issues = issues.concat(ruled.issues);
+    summary = summary.concat(ruled.summary);
+  }
+  // 9) Duplicate rows and conflicting values across rows
+  if (hasCrossRowChecks(profile)) {
+    const dup = validateDuplicatesOnly(rows, header, profile);
+    issues = issues.concat(dup.issues);
+    summary = summary.concat(dup.summary);
+  }
+  // 10) Country, region and city names
+  if (profile.geography) {
+    const geo = validateGeographyOnly(rows, header, profile);
+    issues = issues.concat(geo.issues);
+    summary = summary.concat(geo.summary);
+  }
+  // 11) Capacity units
+  if (profile.units) {
+    const units = validateUnitsOnly(rows, header, profile);
+    issues = issues.concat(units.issues);
+    summary = summary.concat(units.summary);
+  }
+  // 12) Values far outside their peer group (warnings)
+  if (profile.outliers.length > 0) {
+    const outliers = validateOutliersOnly(rows, header, profile);
+    issues = issues.concat(outliers.issues);
+    summary = summary.concat(outliers.summary);
+  }
+  // 13) Additional type/range checks for the remaining profile columns, summed up per column
+  let extraIssues = 0;
+  profile.columns.forEach(spec => {
+    if (DEDICATED_COLUMNS[spec.name]) return;
+    if (spec.type === 'text' && !Array.isArray(spec.values)) return;
+    const colIdx = header.indexOf(spec.name);
+    if (colIdx === -1) return;
+    const columnIssues = [];
+    rows.forEach((row, idx) => {
+      let val = row[colIdx];
+      if (isEmpty(val)) return;
+      const failed = checkValueAgainstSpec(val, spec);
+      if (failed) columnIssues.push(makeIssue(`${spec.name}_${failed[0]}`, idx, spec.name, val, failed[1]));
+    });
+    issues = issues.concat(columnIssues);
+    summary = summary.concat(checkSummary(columnIssues, profile, { failed: 'summary_column_failed' }, { column: spec.name }));
+    extraIssues += columnIssues.length;
+  });
+  if (extraIssues > 0) summary.push(message('summary_additional', { count: extraIssues }));
+  if (summary.length === 0 || summary.every(s => s.params.count === 0)) {
+    summary.push(passed('summary_all_ok'));
+  }
+  return { rows, issues, notes, summary };
+}
+
+// Checks selectable through the `type` parameter; anything else runs validateAll
+const CHECKS = {
+  date: validateDatesOnly,
+  mandatory: validateMandatoryOnly,
+  final: validateFinalValueOnly,
+  asset_usage: validateAssetUsageIdOnly,
+  value_base: validateValueBaseOnly,
+  market_approach: validateMarketApproachOnly,
+  cost_approach: validateCostApproachOnly,
+  rules: validateRulesOnly,
+  duplicates: validateDuplicatesOnly,
+  geography: validateGeographyOnly,
+  units: validateUnitsOnly,
+  outliers: validateOutliersOnly,
+};
+
+// Run the check selected by the `type` parameter against one sheet
+function runCheck(type, rows, header, profile) {
+  const validator = CHECKS[type] || validateAll;
+  const validated = validator(rows, header, profile);
+  // Only show the main summary message for this check
+  if (type === 'asset_usage' && validated.summary.length > 1) {
+    validated.summary = [validated.summary[0]];
+  }
+  return validated;
+}
+
+module.exports = {
+  CHECKS,
+  isEmpty,
+  toInt,
+  toFloat,
+  indexIssues,
+  checkMissingColumns,
+  validateAll,
+  runCheck,
+};
@@ -1,609 +1,730 @@
 const express = require('express');
 const multer = require('multer');
-const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs');
+const { DEFAULT_PROFILE, ProfileError, listProfiles, readProfileDefinition, loadProfile, loadSheetProfiles } = require('./lib/profiles');
+const { loadSenderMapping, saveSenderMapping, resolveColumnMap } = require('./lib/mappings');
+const { FormatError, detectFormat, loadWorkbook } = require('./lib/formats');
+const { DEFAULT_LIMITS, LimitError, formatSize, checkArchive, checkSheetSize } = require('./lib/limits');
+const { parseColumnMap, matchHeaders } = require('./lib/headers');
+const { readSheet, isDataSheet, validateWorkbook, validateSheets, revalidateSheet, prepareOptions, previewRow, missingColumnsError } = require('./lib/validate');
+const { readXlsxStream } = require('./lib/stream');
+const { createJob, getJob, listJobs, removeJob, sweepJobs } = require('./lib/jobs');
+const { writeValidatedWorkbook, issueReport, issueReportCsv } = require('./lib/output');
+const { buildTemplate } = require('./lib/template');
+const { checkDataset, saveRun, listRuns, loadRun, loadRunSheets, previousRun, runFile, removeRun, diffRuns } = require('./lib/history');
 
 const app = express();
-const upload = multer({ dest: 'uploads/' });
+const MB = 1024 * 1024;
+// Uploads are kept in UPLOAD_DIR only while their request (or job) needs them
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads';
+// Size limits of uploads: MAX_UPLOAD_MB for the file, MAX_UNCOMPRESSED_MB for what an xlsx/ods archive
+// unpacks to, MAX_ROWS and MAX_COLUMNS per sheet
+const UPLOAD_LIMITS = {
+  ...DEFAULT_LIMITS,
+  fileSize: Math.floor(Number(process.env.MAX_UPLOAD_MB || 20) * MB),
+  maxUncompressedSize: Math.floor(Number(process.env.MAX_UNCOMPRESSED_MB || DEFAULT_LIMITS.maxUncompressedSize / MB) * MB),
+  maxRows: Number(process.env.MAX_ROWS || DEFAULT_LIMITS.maxRows),
+  maxColumns: Number(process.env.MAX_COLUMNS || DEFAULT_LIMITS.maxColumns),
+};
+const upload = multer({ dest: UPLOAD_DIR, limits: { fileSize: UPLOAD_LIMITS.fileSize, files: 1, fields: 50, fieldSize: MB } });
 
 app.use(express.static('public'));
 
-// Utility functions and constants ported from Python
-const EXPECTED_COLUMNS = [
-  "asset_type", "asset_name", "final_value", "asset_usage_id", "value_base", "inspection_date", "production_capacity", "production_capacity_measuring_unit", "owner_name", "product_type", "market_approach", "market_approach_value", "cost_approach", "cost_approach_value", "country", "region", "city"
-];
-const MANDATORY_FIELDS = [
-  "asset_type", "asset_name", "asset_usage_id", "value_base", "inspection_date", "final_value", "production_capacity", "production_capacity_measuring_unit", "owner_name", "product_type", "market_approach", "market_approach_value", "country", "region", "city"
-];
-const ASSET_USAGE_MIN = 38, ASSET_USAGE_MAX = 56;
-const VALUE_BASE_MIN = 1, VALUE_BASE_MAX = 9;
-const MARKET_APPROACH_ALLOWED = new Set([0, 1, 2]);
-
-function isEmpty(value) {
-  if (value === null || value === undefined) return true;
-  if (typeof value === 'string' && value.trim() === '') return true;
-  if (typeof value === 'string' && value.trim().toLowerCase() === 'n/a') return false;
-  if (value === '0') return false;
-  return false;
+// JSON errors carry a stable `code` next to the message for clients to act on: file_missing,
+// file_too_large, unexpected_file, invalid_upload, unsupported_format, invalid_file, archive_too_large,
+// archive_suspicious, too_many_rows, too_many_columns, missing_columns, invalid_options,
+// invalid_parameter, invalid_request, invalid_edit, job_not_found, job_not_finished, job_failed,
+// sheet_not_found, sheet_not_validated, run_not_found and internal_error
+function sendError(res, status, code, message) {
+  return res.status(status).json({ error: message, code });
 }
 
-function toInt(value) {
-  if (isEmpty(value)) return [false, null];
-  let s = String(value).trim();
-  if (s.toLowerCase().endsWith('.0')) s = s.slice(0, -2);
-  if (s.includes('.')) return [false, null];
-  const n = parseInt(s, 10);
-  if (isNaN(n)) return [false, null];
-  return [true, n];
+// HTTP status and code of an error thrown while handling a request
+function errorStatus(err) {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') return [413, 'file_too_large'];
+    return ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(err.code) ? [400, 'unexpected_file'] : [400, 'invalid_upload'];
+  }
+  if (err instanceof LimitError) return [413, err.code];
+  if (err instanceof FormatError) return [err.code === 'unsupported_format' ? 415 : 400, err.code];
+  if (err instanceof ProfileError) return [400, 'invalid_options'];
+  // Malformed request bodies (express.json)
+  if (err.status >= 400 && err.status < 500) return [err.status, 'invalid_request'];
+  return [500, 'internal_error'];
 }
 
-function toFloat(value) {
-  if (isEmpty(value)) return [false, null];
-  const n = parseFloat(String(value).trim());
-  if (isNaN(n)) return [false, null];
-  return [true, n];
+// Answer with the error's status and code; unexpected errors get `prefix` before their message
+function sendFailure(res, err, prefix = '') {
+  const [status, code] = errorStatus(err);
+  const text = code === 'file_too_large' ? `The uploaded file is larger than ${formatSize(UPLOAD_LIMITS.fileSize)}` : err.message;
+  return sendError(res, status, code, status === 500 ? prefix + text : text);
 }
 
-function appendMessage(existing, newMsg) {
-  const s = String(existing).trim();
-  if (!s || s.toLowerCase() === 'nan') return newMsg;
-  return `${s} | ${newMsg}`;
+// The upload of a route taking one spreadsheet in the "file" field. It is deleted once the response
+// is done unless the route sets req.keepUpload, and refused before any work when it is missing, not a
+// spreadsheet, or an archive that would unpack beyond the limits.
+function checkUpload(req, res, next) {
+  if (!req.file) return sendError(res, 400, 'file_missing', 'No file was uploaded (expected a "file" form field)');
+  res.on('close', () => {
+    if (!req.keepUpload) fs.unlink(req.file.path, () => {});
+  });
+  const buffer = fs.readFileSync(req.file.path);
+  if (['xlsx', 'ods'].includes(detectFormat(buffer))) checkArchive(buffer, UPLOAD_LIMITS);
+  next();
 }
+const acceptUpload = [upload.single('file'), checkUpload];
 
-// Validation logic (port of Python functions)
-function checkMissingColumns(header) {
-  return EXPECTED_COLUMNS.filter(c => !header.includes(c));
+// The profile can come from the query string or a multipart form field
+function resolveProfile(req) {
+  const name = req.query.profile || (req.body && req.body.profile) || DEFAULT_PROFILE;
+  return loadProfile(name);
 }
 
-function validateFinalValueOnly(rows, header) {
-  let issues = 0;
-  const highlights = {};
-  let summary = [];
-  rows.forEach((row, idx) => {
-    const colIdx = header.indexOf('final_value');
-    if (colIdx === -1) return;
-    let val = row[colIdx];
-    let message = null;
-    if (isEmpty(val)) {
-      message = 'final_value is mandatory and cannot be empty';
-    } else {
-      const [ok, _intval] = toInt(val);
-      if (!ok) message = 'Final value must be a non-decimal integer';
-    }
-    if (message) {
-      issues++;
-      highlights[`${idx},final_value`] = 'yellow';
-      row[colIdx] = appendMessage(row[colIdx], message);
-    }
-  });
-  if (issues === 0) {
-    summary.push('✅ جميع القيم في final_value مكتملة وصحيحة.\nتم التحقق من أن جميع القيم أرقام صحيحة وغير عشرية.');
-  } else {
-    summary.push(`❌ عدد القيم غير الصحيحة في final_value: ${issues}`);
-    summary.push('↳ يجب أن تكون القيم في final_value أرقامًا صحيحة وغير عشرية.');
+// CSV input settings; `delimiter` accepts "tab" for tab-separated files
+function resolveCsvOptions(req) {
+  const param = (name) => req.query[name] || (req.body && req.body[name]) || undefined;
+  const delimiter = param('delimiter');
+  return {
+    encoding: param('encoding'),
+    delimiter: delimiter === 'tab' ? '\t' : delimiter,
+    // Worksheet names cannot contain []*?/\: and are capped at 31 characters
+    sheetName: path.basename(req.file.originalname || '', path.extname(req.file.originalname || ''))
+      .replace(/[[\]*?/\\:]/g, '_').slice(0, 31) || 'Sheet1',
+  };
+}
+
+// Validation options from the request: the profile, per-sheet profiles (`sheet_profiles`), fix mode
+// (fix=1, optionally limited to the comma-separated `fixes`), the column map (the `sender`'s saved
+// one plus `column_map`), the message language (`lang`: ar or en) and CSV options
+function validationOptions(req, type) {
+  const param = (name) => req.query[name] || (req.body && req.body[name]) || undefined;
+  return {
+    ...resolveCsvOptions(req),
+    profile: resolveProfile(req),
+    sheetProfiles: loadSheetProfiles(param('sheet_profiles')),
+    columnMap: resolveColumnMap(param('sender'), param('column_map')),
+    lang: param('lang'),
+    type,
+    fix: ['1', 'true', 'yes'].includes(String(param('fix')).toLowerCase()),
+    fixes: param('fixes') === undefined ? undefined : String(param('fixes')).split(',').map(id => id.trim()),
+    limits: UPLOAD_LIMITS,
+  };
+}
+
+async function validateWorkbookFile(req, options) {
+  return validateWorkbook(fs.readFileSync(req.file.path), options);
+}
+
+// The validated workbook of a result with the output options of /validate. Annotating marks up the
+// uploaded workbook, so it starts from a fresh copy of the file.
+async function validatedWorkbook(result, filePath, options, { outputFormat = 'xlsx', outputMode = 'clean', errorColumn = false } = {}) {
+  if (outputMode === 'annotate' && (outputFormat === 'xlsx' || result.format === 'xlsx')) {
+    const { workbook } = await loadWorkbook(fs.readFileSync(filePath), options);
+    result = { ...result, workbook };
   }
-  return { rows, highlights, summary };
+  return writeValidatedWorkbook(result, { outputFormat, outputMode, errorColumn });
 }
 
-function validateMandatoryOnly(rows, header) {
-  let missingCount = 0;
-  const highlights = {};
-  let summary = [];
-  rows.forEach((row, idx) => {
-    MANDATORY_FIELDS.forEach(col => {
-      const colIdx = header.indexOf(col);
-      if (colIdx === -1) return;
-      let val = row[colIdx];
-      if (isEmpty(val)) {
-        if (col === 'market_approach') return;
-        if (col === 'market_approach_value') {
-          const approachIdx = header.indexOf('market_approach');
-          let approachRaw = approachIdx !== -1 ? row[approachIdx] : '';
-          let approach = 0;
-          if (!isEmpty(approachRaw)) {
-            try { approach = parseInt(parseFloat(String(approachRaw).trim())); } catch { approach = null; }
-          }
-          if (approach === 0 || approach === null) return;
-        }
-        missingCount++;
-        highlights[`${idx},${col}`] = 'yellow';
-        row[colIdx] = appendMessage(row[colIdx], 'This mandatory field is empty');
-      }
-    });
+// A run is kept in the history when the request asks for it (save=1), under its `dataset` name or
+// else the uploaded file's name; null otherwise
+function historyOptions(req) {
+  const param = (name) => req.query[name] || (req.body && req.body[name]) || undefined;
+  if (!['1', 'true', 'yes'].includes(String(param('save')).toLowerCase())) return null;
+  return { dataset: checkDataset(param('dataset') || req.file.originalname), fileName: req.file.originalname };
+}
+
+// Store the run (see ./lib/history) with the uploaded file and its validated workbook, by default the
+// clean xlsx; returns its listing entry, or null when the run is not kept
+async function keepRun(result, filePath, history, options, output) {
+  if (!history) return null;
+  return saveRun(result, {
+    ...history,
+    upload: fs.readFileSync(filePath),
+    output: output || await validatedWorkbook(result, filePath, options),
+    profile: options.profile,
+    sheetProfiles: options.sheetProfiles,
+    type: options.type || 'all',
   });
-  if (missingCount === 0) {
-    summary.push('✅ جميع الحقول الإلزامية مكتملة وصحيحة.\nتم التحقق من عدم وجود أي قيم فارغة في الحقول الإلزامية.');
-  } else {
-    summary.push(`❌ عدد الحقول الإلزامية الفارغة: ${missingCount}`);
-    summary.push('↳ يجب تعبئة جميع الحقول الإلزامية وعدم تركها فارغة.');
+}
+
+// Sum of final_value over the sheets that have one
+function workbookTotal(sheets) {
+  const sheetTotals = sheets.map(s => s.total).filter(t => t !== null && t !== undefined);
+  return sheetTotals.length ? sheetTotals.reduce((a, b) => a + b, 0) : null;
+}
+
+// Serve main HTML page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// List the available validation profiles
+app.get('/profiles', (req, res) => {
+  res.json({ profiles: listProfiles(), default: DEFAULT_PROFILE });
+});
+
+// One profile's definition, for the browser engine to check edited rows with (see public/index.html)
+app.get('/profiles/:name', (req, res) => {
+  try {
+    res.json({ name: req.params.name, definition: readProfileDefinition(req.params.name) });
+  } catch (err) {
+    sendFailure(res, err);
+  }
+});
+
+// Blank input workbook for the profile with Excel data validation and an instructions sheet, in Arabic
+// and English or only in `lang`
+app.get('/template', async (req, res) => {
+  try {
+    const profile = resolveProfile(req);
+    const buffer = await buildTemplate(profile, { lang: req.query.lang }).xlsx.writeBuffer();
+    res.attachment(`${profile.name}-template.xlsx`).send(Buffer.from(buffer));
+  } catch (err) {
+    sendFailure(res, err, 'Error creating template: ');
   }
-  return { rows, highlights, summary };
+});
+
+// Header row of every data sheet; xlsx files are streamed so large uploads stay cheap
+async function readHeaders(filePath, options) {
+  const buffer = fs.readFileSync(filePath);
+  const sheets = detectFormat(buffer) === 'xlsx'
+    ? await readXlsxStream(fs.createReadStream(filePath), { headerOnly: true })
+    : (await loadWorkbook(buffer, options)).workbook.worksheets.map(ws => ({ name: ws.name, header: readSheet(ws).header }));
+  const dataSheets = sheets.filter(s => isDataSheet(s.name));
+  dataSheets.forEach(s => checkSheetSize({ name: s.name, rows: 0, columns: s.header.length }, UPLOAD_LIMITS));
+  return dataSheets;
 }
 
-function validateDatesOnly(rows, header) {
-  let invalidCount = 0, autoFixed = 0;
-  const highlights = {};
-  const colIdx = header.indexOf('inspection_date');
-  let summary = [];
-  if (colIdx === -1) return { rows, highlights, summary: ["❌ العمود inspection_date غير موجود في الملف."] };
-  rows.forEach((row, idx) => {
-    let val = row[colIdx];
-    if (isEmpty(val)) {
-      highlights[`${idx},inspection_date`] = 'yellow';
-      row[colIdx] = appendMessage(row[colIdx], 'Date must be in dd-mm-YYYY format');
-      invalidCount++;
-      return;
+// How the uploaded headers match the profile columns, for the page's mapping step: per sheet, every
+// uploaded column with its match or suggestions, and the profile columns nothing matched
+app.post('/headers', acceptUpload, async (req, res) => {
+  const filePath = req.file.path;
+  try {
+    const param = (name) => req.query[name] || (req.body && req.body[name]) || undefined;
+    const options = validationOptions(req);
+    const map = parseColumnMap(options.columnMap, [options.profile, ...Object.values(options.sheetProfiles)]);
+    const sheets = (await readHeaders(filePath, options)).map(({ name, header }) => {
+      const profile = options.sheetProfiles[name] || options.profile;
+      const { columns, missing } = matchHeaders(header, profile, map);
+      return { name, profile: profile.name, columns, missing, profileColumns: profile.columns.map(c => ({ name: c.name, mandatory: !!c.mandatory })) };
+    });
+    res.json({ sender: param('sender') || null, mapping: options.columnMap, sheets });
+  } catch (err) {
+    sendFailure(res, err, 'Error processing file: ');
+  }
+});
+
+// Column maps saved per sender: { mapping: { "uploaded header": "profile_column" or null } }
+app.get('/mappings/:sender', (req, res) => {
+  try {
+    res.json({ sender: req.params.sender, mapping: loadSenderMapping(req.params.sender) });
+  } catch (err) {
+    sendFailure(res, err);
+  }
+});
+
+app.put('/mappings/:sender', express.json(), (req, res) => {
+  try {
+    const mapping = req.body && req.body.mapping;
+    // Targets are checked against the profile the mapping was confirmed with
+    parseColumnMap(mapping, [resolveProfile(req)]);
+    res.json({ sender: req.params.sender, mapping: saveSenderMapping(req.params.sender, mapping) });
+  } catch (err) {
+    sendFailure(res, err);
+  }
+});
+
+// Handle Excel file upload and validation; the X-Validation-Result header says whether the file passed
+// and X-Run-Id names the stored run when it was kept (save=1)
+app.post('/validate', acceptUpload, async (req, res) => {
+  try {
+    const filePath = req.file.path;
+    const param = (name) => req.query[name] || (req.body && req.body[name]) || undefined;
+    // output_format=original returns csv/xls/ods input in its own format; the default is xlsx
+    const outputFormat = param('output_format') || 'xlsx';
+    if (!['xlsx', 'original'].includes(outputFormat)) {
+      return sendError(res, 400, 'invalid_parameter', 'output_format must be "xlsx" or "original"');
     }
-    // Try to parse date (simple dd-mm-yyyy or yyyy-mm-dd)
-    let s = String(val).trim();
-    let dt = null;
-    let formatted = null;
-    // Try dd-mm-yyyy
-    let m = s.match(/^\d{2}-\d{2}-\d{4}$/);
-    if (m) {
-      formatted = s;
-      dt = true;
-    } else {
-      // Try yyyy-mm-dd
-      m = s.match(/^\d{4}-\d{2}-\d{2}$/);
-      if (m) {
-        formatted = `${m[0].slice(8,10)}-${m[0].slice(5,7)}-${m[0].slice(0,4)}`;
-        dt = true;
-      }
+    // output_mode=annotate keeps the uploaded workbook and only marks it up; clean (the default) rebuilds
+    // every sheet
+    const outputMode = param('output_mode') || 'clean';
+    if (!['annotate', 'clean'].includes(outputMode)) {
+      return sendError(res, 400, 'invalid_parameter', 'output_mode must be "annotate" or "clean"');
     }
-    if (dt && formatted) {
-      row[colIdx] = formatted;
-      autoFixed++;
-    } else {
-      highlights[`${idx},inspection_date`] = 'yellow';
-      row[colIdx] = appendMessage(row[colIdx], 'Date must be in dd-mm-YYYY format');
-      invalidCount++;
+    const history = historyOptions(req);
+    const options = validationOptions(req, 'all');
+    const result = await validateWorkbookFile(req, options);
+    if (result.sheets.every(s => s.error)) {
+      return sendError(res, 400, 'missing_columns', missingColumnsError(result.sheets, result.lang));
     }
-  });
-  if (invalidCount === 0) {
-    summary.push('✅ جميع التواريخ في inspection_date مكتملة وصحيحة.\nتم التحقق من أن جميع القيم بالتنسيق dd-mm-YYYY.');
-  } else {
-    summary.push(`❌ عدد التواريخ غير الصحيحة في inspection_date: ${invalidCount}`);
-    summary.push('↳ يجب أن يكون تنسيق التاريخ dd-mm-YYYY.');
+    const errorColumn = ['1', 'true', 'yes'].includes(String(param('error_column')).toLowerCase());
+    const { ext: outExt, buffer } = await writeValidatedWorkbook(result, { outputFormat, outputMode, errorColumn });
+    const outPath = filePath + '_validated.' + outExt;
+    fs.writeFileSync(outPath, buffer);
+    // Deleted with the upload however the response ends, also when keeping the run fails
+    res.on('close', () => fs.unlink(outPath, () => {}));
+    res.set('X-Validation-Result', result.verdict.passed ? 'passed' : 'failed');
+    const run = await keepRun(result, filePath, history, options, { ext: outExt, buffer });
+    if (run) res.set('X-Run-Id', run.id);
+
+    // Send file
+    res.download(outPath, 'validated.' + outExt);
+  } catch (err) {
+    sendFailure(res, err, 'Error processing file: ');
   }
-  if (autoFixed) summary.push(`تم تصحيح تنسيق ${autoFixed} تاريخ تلقائيًا.`);
-  return { rows, highlights, summary };
-}
+});
 
-function validateAssetUsageIdOnly(rows, header) {
-  let issues = 0;
-  const highlights = {};
-  const colIdx = header.indexOf('asset_usage_id');
-  let summary = [];
-  if (colIdx === -1) {
-    summary.push("❌ العمود asset_usage_id غير موجود في الملف.");
-    return { rows, highlights, summary };
+// Add endpoint to return summary and preview data as JSON, one entry per worksheet; with save=1 the run
+// is kept in the history and `run` is its listing entry
+app.post('/validate-preview', acceptUpload, async (req, res) => {
+  try {
+    const filePath = req.file.path;
+    const type = req.query.type;
+    const history = historyOptions(req);
+    const options = validationOptions(req, type);
+    const validated = await validateWorkbookFile(req, options);
+    const { format, lang, sheets, verdict, fixMode, fixes } = validated;
+    if (sheets.every(s => s.error)) {
+      return sendError(res, 400, 'missing_columns', missingColumnsError(sheets, lang));
+    }
+    const total = workbookTotal(sheets);
+    if (type === 'sum') {
+      // Only the totals of final_value, overall and grouped, with the rows left out of them
+      return res.json({ format, total, sheets: sheets.map(s => ({ name: s.name, total: s.total, aggregates: s.aggregates, error: s.error })) });
+    }
+    const result = sheets.map(sheet => {
+      if (sheet.error) return { name: sheet.name, profile: sheet.profile, error: sheet.error, ...(sheet.skipped ? { skipped: true } : {}) };
+      const { header } = sheet;
+      const preview = sheet.validated.rows.map((row, i) => previewRow(sheet, i, fixMode));
+      const entry = { name: sheet.name, profile: sheet.profile, header, preview, summary: sheet.validated.summary, issues: sheet.issues, verdict: sheet.verdict, total: sheet.total };
+      if (sheet.aggregates) entry.aggregates = sheet.aggregates;
+      if (fixMode) entry.changes = sheet.changes;
+      return entry;
+    });
+    const run = await keepRun(validated, filePath, history, options);
+    // In fix mode the page lists every fix so each can be accepted or rejected before downloading
+    const body = fixMode ? { format, verdict, sheets: result, total, fixes } : { format, verdict, sheets: result, total };
+    res.json(run ? { ...body, run } : body);
+  } catch (err) {
+    sendFailure(res, err, 'Error processing file: ');
   }
-  rows.forEach((row, idx) => {
-    let val = row[colIdx];
-    if (isEmpty(val)) return;
-    const [ok, intval] = toInt(val);
-    if (!ok || intval === null || intval < 38 || intval > 56) {
-      highlights[`${idx},asset_usage_id`] = 'yellow';
-      row[colIdx] = appendMessage(row[colIdx], 'asset_usage_id يجب أن يكون بين 38 و 56');
-      issues++;
+});
+
+// Machine-readable issue list for every worksheet: format=json (default) or csv
+app.post('/validate-report', acceptUpload, async (req, res) => {
+  try {
+    const format = req.query.format || (req.body && req.body.format) || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return sendError(res, 400, 'invalid_parameter', 'format must be "json" or "csv"');
     }
-  });
-  if (issues === 0) {
-    summary.push('✅ جميع البيانات في حقل asset_usage_id مكتملة وصحيحة.\nتم التحقق من أن جميع القيم تقع بين 38 و 56.');
+    const result = await validateWorkbookFile(req, validationOptions(req, req.query.type));
+    if (result.sheets.every(s => s.error)) {
+      return sendError(res, 400, 'missing_columns', missingColumnsError(result.sheets, result.lang));
+    }
+    if (format === 'csv') {
+      res.attachment('validation-report.csv');
+      return res.type('text/csv').send(issueReportCsv(result));
+    }
+    res.json(issueReport(result));
+  } catch (err) {
+    sendFailure(res, err, 'Error processing file: ');
+  }
+});
+
+// Finished jobs and their uploads are kept for JOB_TTL_MINUTES (default 60) after they finish
+const JOB_TTL = Number(process.env.JOB_TTL_MINUTES || 60) * 60 * 1000;
+const PREVIEW_PAGE_SIZE = 100;
+const PREVIEW_MAX_PAGE_SIZE = 1000;
+
+// Read the uploaded file and validate it, reporting progress. xlsx files are read with ExcelJS's
+// streaming reader, other formats are small enough to load whole. The row count of a sheet is only
+// known once it has been read, so the reading phase reports rows read and only validation has a percent.
+async function runValidationJob(filePath, options, report) {
+  const format = detectFormat(fs.readFileSync(filePath));
+  let loaded;
+  let sheetData;
+  report({ phase: 'reading', rows: 0 });
+  if (format === 'xlsx') {
+    const stream = fs.createReadStream(filePath);
+    try {
+      sheetData = await readXlsxStream(stream, {
+        onProgress: ({ sheet, rows }) => {
+          // Too long a sheet is given up while it is being read rather than after
+          checkSheetSize({ name: sheet, rows, columns: 0 }, options.limits);
+          report({ phase: 'reading', sheet, rows });
+        },
+      });
+    } finally {
+      stream.destroy();
+    }
+    loaded = { format };
   } else {
-    summary.push(`❌ عدد القيم غير الصحيحة في asset_usage_id: ${issues}`);
-    summary.push('↳ يجب أن تكون جميع القيم في هذا الحقل بين 38 و 56.');
+    loaded = await loadWorkbook(fs.readFileSync(filePath), options);
+    sheetData = loaded.workbook.worksheets.map(worksheet => ({ name: worksheet.name, ...readSheet(worksheet) }));
   }
-  return { rows, highlights, summary };
+  const rows = sheetData.reduce((n, s) => n + s.rows.length, 0);
+  report({ phase: 'validating', percent: 0, rows });
+  const result = await validateSheets(loaded, sheetData, options, ({ sheet, done, total }) => {
+    report({ phase: 'validating', percent: Math.floor((done / total) * 100), sheet, rows });
+  });
+  if (result.sheets.every(s => s.error)) throw new FormatError(missingColumnsError(result.sheets, result.lang), 'missing_columns');
+  return result;
 }
 
-function validateValueBaseOnly(rows, header) {
-  let issues = 0;
-  const highlights = {};
-  const colIdx = header.indexOf('value_base');
-  let summary = [];
-  if (colIdx === -1) {
-    summary.push("❌ العمود value_base غير موجود في الملف.");
-    return { rows, highlights, summary };
+function jobError(err) {
+  if (err instanceof ProfileError || err instanceof FormatError || err instanceof LimitError) return err.message;
+  return 'Error processing file: ' + err.message;
+}
+
+// Job state without the rows: the run's verdict, per-sheet counts, summaries, verdicts and totals, plus
+// the fix list in fix mode and the stored run when it was kept
+function jobStatus(job) {
+  const status = { id: job.id, status: job.status, progress: job.progress };
+  if (job.status === 'failed') {
+    status.error = jobError(job.error);
+    status.code = errorStatus(job.error)[1];
   }
-  rows.forEach((row, idx) => {
-    let val = row[colIdx];
-    if (isEmpty(val)) return;
-    const [ok, intval] = toInt(val);
-    if (!ok || intval === null || intval < 1 || intval > 9) {
-      highlights[`${idx},value_base`] = 'yellow';
-      row[colIdx] = appendMessage(row[colIdx], 'value_base يجب أن يكون بين 1 و 9');
-      issues++;
+  if (job.status !== 'done') return status;
+  if (job.run) status.run = job.run;
+  const { format, sheets, verdict, fixMode, fixes } = job.result;
+  status.format = format;
+  status.lang = job.result.lang;
+  status.verdict = verdict;
+  status.total = workbookTotal(sheets);
+  status.sheets = sheets.map(sheet => {
+    if (sheet.error) return { name: sheet.name, profile: sheet.profile, error: sheet.error, ...(sheet.skipped ? { skipped: true } : {}) };
+    const entry = { name: sheet.name, profile: sheet.profile, header: sheet.header, rows: sheet.rows.length, total: sheet.total };
+    if (sheet.aggregates) entry.aggregates = sheet.aggregates;
+    if (sheet.validated) {
+      entry.issues = sheet.issues.length;
+      entry.summary = sheet.validated.summary;
+      entry.verdict = sheet.verdict;
+      entry.edits = sheet.edits.length;
     }
+    if (fixMode) entry.changes = sheet.changes.length;
+    return entry;
   });
-  if (issues === 0) {
-    summary.push('✅ جميع البيانات في حقل value_base مكتملة وصحيحة.\nتم التحقق من أن جميع القيم تقع بين 1 و 9.');
-  } else {
-    summary.push(`❌ عدد القيم غير الصحيحة في value_base: ${issues}`);
-    summary.push('↳ يجب أن تكون جميع القيم في هذا الحقل بين 1 و 9.');
+  if (fixMode) status.fixes = fixes;
+  // What the browser needs to check an edited row the way the job did
+  const { type, fix, fixes: accepted } = job.options;
+  status.options = { type, fix, fixes: accepted };
+  return status;
+}
+
+// Look up the job named in the URL; answers 404 itself when there is none
+function findJob(req, res, { finished = false } = {}) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    sendError(res, 404, 'job_not_found', 'Unknown or expired job');
+    return null;
+  }
+  if (finished && job.status !== 'done') {
+    const failed = job.status === 'failed';
+    res.status(409).json({ error: failed ? jobError(job.error) : 'The job has not finished yet', code: failed ? 'job_failed' : 'job_not_finished', status: job.status });
+    return null;
   }
-  return { rows, highlights, summary };
+  return job;
 }
 
-function validateMarketApproachOnly(rows, header) {
-  let issues = 0;
-  const highlights = {};
-  const idxMarketApproach = header.indexOf('market_approach');
-  const idxMarketApproachValue = header.indexOf('market_approach_value');
-  const idxFinalValue = header.indexOf('final_value');
-  let summary = [];
-  if (idxMarketApproach === -1) {
-    summary.push("❌ العمود market_approach غير موجود في الملف.");
-    return { rows, highlights, summary };
+// Start validating the upload in the background; takes the same parameters as /validate-preview. The
+// job keeps the upload until it is removed.
+app.post('/jobs', acceptUpload, (req, res) => {
+  const filePath = req.file.path;
+  let options;
+  let history;
+  try {
+    options = validationOptions(req, req.query.type || (req.body && req.body.type));
+    prepareOptions(options); // unknown fixes are rejected now rather than when the job runs
+    history = historyOptions(req);
+  } catch (err) {
+    return sendFailure(res, err, 'Error processing file: ');
   }
-  rows.forEach((row, idx) => {
-    let val = row[idxMarketApproach];
-    if (isEmpty(val)) return;
-    const [ok, intval] = toInt(val);
-    if (!ok || intval === null || ![0, 1, 2].includes(intval)) {
-      highlights[`${idx},market_approach`] = 'yellow';
-      row[idxMarketApproach] = appendMessage(row[idxMarketApproach], 'market_approach يجب أن يكون 0 أو 1 أو 2');
-      issues++;
-    } else if ((intval === 1 || intval === 2) && idxMarketApproachValue !== -1 && idxFinalValue !== -1) {
-      let v1 = row[idxMarketApproachValue];
-      let v2 = row[idxFinalValue];
-      if (String(v1).split('|')[0].trim() !== String(v2).split('|')[0].trim()) {
-        highlights[`${idx},market_approach_value`] = 'yellow';
-        row[idxMarketApproachValue] = appendMessage(row[idxMarketApproachValue], 'market_approach_value يجب أن يساوي final_value عندما يكون market_approach = 1 أو 2');
-        issues++;
-      }
-    }
+  req.keepUpload = true;
+  const job = createJob(async report => {
+    const result = await runValidationJob(filePath, options, report);
+    job.run = await keepRun(result, filePath, history, options);
+    return result;
+  }, {
+    onRemove: () => fs.unlink(filePath, () => {}),
   });
-  if (issues === 0) {
-    summary.push('✅ جميع البيانات في حقل market_approach مكتملة وصحيحة.\nتم التحقق من أن القيم هي 0 أو 1 أو 2، وإذا كانت 1 أو 2 فإن market_approach_value يساوي final_value.');
-  } else {
-    summary.push(`❌ عدد القيم غير الصحيحة في market_approach: ${issues}`);
-    summary.push('↳ يجب أن تكون القيم في هذا الحقل 0 أو 1 أو 2، وإذا كانت 1 أو 2 يجب أن يكون market_approach_value مساويًا لـ final_value.');
+  job.filePath = filePath;
+  job.options = options;
+  res.status(202).location(`/jobs/${job.id}`).json({ id: job.id, status: job.status });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) res.json(jobStatus(job));
+});
+
+// Server-sent events: "progress" while the job runs, then one "done" (with the job status) or "failed"
+app.get('/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const finish = () => {
+    if (job.status === 'done') send('done', jobStatus(job));
+    else send('failed', { error: jobError(job.error), code: errorStatus(job.error)[1] });
+    res.end();
+  };
+  send('progress', job.progress);
+  if (job.finishedAt !== null) return finish();
+  const onProgress = (progress) => send('progress', progress);
+  // Comment lines keep proxies from closing an idle stream while a large sheet validates
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.events.off('progress', onProgress);
+    job.events.off('end', onEnd);
+  };
+  const onEnd = () => {
+    cleanup();
+    finish();
+  };
+  job.events.on('progress', onProgress);
+  job.events.on('end', onEnd);
+  req.on('close', cleanup);
+});
+
+// The validated sheet of a finished job named by `name` (the first validated one when not given);
+// answers itself when there is none
+function findJobSheet(res, job, name) {
+  const { sheets } = job.result;
+  const sheet = name === undefined ? sheets.find(s => s.validated) : sheets.find(s => s.name === name);
+  if (!sheet && name === undefined) {
+    sendError(res, 400, 'sheet_not_validated', 'No sheet of this job was validated');
+    return null;
+  }
+  if (!sheet) {
+    sendError(res, 404, 'sheet_not_found', `Unknown sheet: ${name}`);
+    return null;
+  }
+  if (!sheet.validated) {
+    sendError(res, 400, 'sheet_not_validated', sheet.error || `Sheet "${sheet.name}" was not validated`);
+    return null;
   }
-  return { rows, highlights, summary };
+  return sheet;
 }
 
-function validateCostApproachOnly(rows, header) {
-  let issues = 0;
-  const highlights = {};
-  const idxMarketApproach = header.indexOf('market_approach');
-  const idxCostApproach = header.indexOf('cost_approach');
-  const idxCostApproachValue = header.indexOf('cost_approach_value');
-  const idxFinalValue = header.indexOf('final_value');
-  let summary = [];
-  if (idxMarketApproach === -1 || idxCostApproach === -1) {
-    summary.push("❌ الأعمدة المطلوبة غير موجودة (market_approach أو cost_approach)");
-    return { rows, highlights, summary };
+// One page of a validated sheet. filter=errors keeps rows with issues (optionally only on `column`
+// and/or for `rule`), filter=fixed keeps rows changed by fixes (optionally only in `column`) and
+// filter=edited rows edited in the preview
+app.get('/jobs/:id/preview', (req, res) => {
+  const job = findJob(req, res, { finished: true });
+  if (!job) return;
+  const { fixMode } = job.result;
+  const sheet = findJobSheet(res, job, req.query.sheet);
+  if (!sheet) return;
+  const filter = req.query.filter || 'all';
+  if (!['all', 'errors', 'fixed', 'edited'].includes(filter)) {
+    return sendError(res, 400, 'invalid_parameter', 'filter must be "all", "errors", "fixed" or "edited"');
   }
-  rows.forEach((row, idx) => {
-    let marketVal = row[idxMarketApproach];
-    if (isEmpty(marketVal)) return;
-    const [ok, intval] = toInt(marketVal);
-    if (!ok || intval !== 0) return;
-    if (idxCostApproach === -1) return;
-    let costVal = row[idxCostApproach];
-    const [ok2, costInt] = toInt(costVal);
-    if (!ok2 || ![1, 2].includes(costInt)) {
-      highlights[`${idx},cost_approach`] = 'yellow';
-      row[idxCostApproach] = appendMessage(row[idxCostApproach], 'cost_approach يجب أن يكون 1 أو 2 عندما يكون market_approach = 0');
-      issues++;
-    } else if ((costInt === 1 || 2) && idxCostApproachValue !== -1 && idxFinalValue !== -1) {
-      let v1 = row[idxCostApproachValue];
-      let v2 = row[idxFinalValue];
-      if (String(v1).split('|')[0].trim() !== String(v2).split('|')[0].trim()) {
-        highlights[`${idx},cost_approach_value`] = 'yellow';
-        row[idxCostApproachValue] = appendMessage(row[idxCostApproachValue], 'cost_approach_value يجب أن يساوي final_value عندما يكون cost_approach = 1 أو 2');
-        issues++;
-      }
-    }
-  });
-  if (issues === 0) {
-    summary.push('✅ جميع البيانات في حقل cost_approach مكتملة وصحيحة.\nتم التحقق من أن القيم مطابقة للشروط المطلوبة.');
+  const page = Number(req.query.page || 1);
+  const pageSize = Number(req.query.page_size || PREVIEW_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1) return sendError(res, 400, 'invalid_parameter', 'page must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > PREVIEW_MAX_PAGE_SIZE) {
+    return sendError(res, 400, 'invalid_parameter', `page_size must be between 1 and ${PREVIEW_MAX_PAGE_SIZE}`);
+  }
+  const { column, rule } = req.query;
+  let indexes;
+  if (filter === 'errors') {
+    const matching = sheet.validated.issues.filter(i => (!column || i.column === column) && (!rule || i.rule === rule));
+    indexes = [...new Set(matching.map(i => i.index))].sort((a, b) => a - b);
+  } else if (filter === 'fixed' || filter === 'edited') {
+    const cells = filter === 'fixed' ? sheet.changedCells : sheet.editedCells;
+    const indexesOf = Object.keys(cells).map(key => key.split(',')).filter(([, col]) => !column || col === column);
+    indexes = [...new Set(indexesOf.map(([i]) => Number(i)))].sort((a, b) => a - b);
   } else {
-    summary.push(`❌ عدد القيم غير الصحيحة في cost_approach: ${issues}`);
-    summary.push('↳ إذا كان market_approach = 0 يجب أن يكون cost_approach = 1 أو 2، وإذا كان 1 أو 2 يجب أن يكون cost_approach_value مساويًا لـ final_value.');
+    indexes = sheet.validated.rows.map((row, i) => i);
   }
-  return { rows, highlights, summary };
-}
+  const pageIndexes = indexes.slice((page - 1) * pageSize, page * pageSize);
+  res.json({
+    name: sheet.name,
+    header: sheet.header,
+    filter,
+    page,
+    pageSize,
+    totalRows: indexes.length,
+    pages: Math.ceil(indexes.length / pageSize),
+    rowNumbers: pageIndexes.map(i => sheet.rowNumbers[i]),
+    preview: pageIndexes.map(i => previewRow(sheet, i, fixMode)),
+  });
+});
 
-function validateAll(rows, header) {
-  let highlights = {};
-  let summary = [];
-  // 1) Mandatory non-empty
-  let mand = validateMandatoryOnly(rows, header);
-  highlights = { ...highlights, ...mand.highlights };
-  summary = summary.concat(mand.summary);
-  // 2) Final value integer
-  let finalVal = validateFinalValueOnly(rows, header);
-  highlights = { ...highlights, ...finalVal.highlights };
-  summary = summary.concat(finalVal.summary);
-  // 3) Dates
-  let dates = validateDatesOnly(rows, header);
-  highlights = { ...highlights, ...dates.highlights };
-  summary = summary.concat(dates.summary);
-  // 4) Asset usage id
-  let assetUsage = validateAssetUsageIdOnly(rows, header);
-  highlights = { ...highlights, ...assetUsage.highlights };
-  summary = summary.concat(assetUsage.summary);
-  // 5) Value base
-  let valueBase = validateValueBaseOnly(rows, header);
-  highlights = { ...highlights, ...valueBase.highlights };
-  summary = summary.concat(valueBase.summary);
-  // 6) Market approach
-  let marketApproach = validateMarketApproachOnly(rows, header);
-  highlights = { ...highlights, ...marketApproach.highlights };
-  summary = summary.concat(marketApproach.summary);
-  // 7) Cost approach
-  let costApproach = validateCostApproachOnly(rows, header);
-  highlights = { ...highlights, ...costApproach.highlights };
-  summary = summary.concat(costApproach.summary);
-  // 8) Additional numeric/range checks
-  let extraIssues = 0;
-  // production_capacity: if provided, must be non-negative number
-  let idxProdCap = header.indexOf('production_capacity');
-  if (idxProdCap !== -1) {
-    rows.forEach((row, idx) => {
-      let val = row[idxProdCap];
-      if (isEmpty(val)) return;
-      const [ok, fval] = toFloat(val);
-      if (!ok || fval === null || fval < 0) {
-        highlights[`${idx},production_capacity`] = 'yellow';
-        row[idxProdCap] = appendMessage(row[idxProdCap], 'Must be a non-negative number');
-        extraIssues++;
-      }
-    });
+// Most cells one request may edit
+const MAX_EDITS = 1000;
+
+// Edit cells of a validated sheet from the preview grid: { sheet, edits: [{ row, column, value }] } with
+// the Excel row and profile column of each cell. The sheet is validated again with the job's options,
+// so cross-field and cross-row checks see the new values, and the download then holds the edited data.
+// Answers with the job status; the edited rows and their neighbours are read again through /preview.
+app.post('/jobs/:id/edits', express.json({ limit: '1mb' }), (req, res) => {
+  const job = findJob(req, res, { finished: true });
+  if (!job) return;
+  const { sheet: name, edits } = req.body || {};
+  const sheet = findJobSheet(res, job, name);
+  if (!sheet) return;
+  if (!Array.isArray(edits) || !edits.length || edits.length > MAX_EDITS) {
+    return sendError(res, 400, 'invalid_edit', `edits must list between 1 and ${MAX_EDITS} cells`);
   }
-  summary.push(`Additional rule violations: ${extraIssues}`);
-  if (summary.length === 0 || summary.every(s => s.match(/: 0$/))) {
-    summary.push('✅ جميع البيانات في هذا الفحص صحيحة.');
+  const isValue = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+  const bad = edits.find(e => !e || typeof e.column !== 'string' || !Number.isInteger(Number(e.row)) || !isValue(e.value));
+  if (bad) return sendError(res, 400, 'invalid_edit', 'Every edit needs a row number, a column name and a text, number or null value');
+  try {
+    job.result = revalidateSheet(job.result, sheet.name, edits, job.options);
+  } catch (err) {
+    if (err instanceof ProfileError) return sendError(res, 400, 'invalid_edit', err.message);
+    throw err;
   }
-  return { rows, highlights, summary };
-}
+  res.json(jobStatus(job));
+});
 
-// Serve main HTML page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Issue report of a finished job: format=json (default) or csv
+app.get('/jobs/:id/report', (req, res) => {
+  const job = findJob(req, res, { finished: true });
+  if (!job) return;
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) return sendError(res, 400, 'invalid_parameter', 'format must be "json" or "csv"');
+  if (format === 'csv') {
+    res.attachment('validation-report.csv');
+    return res.type('text/csv').send(issueReportCsv(job.result));
+  }
+  res.json(issueReport(job.result));
 });
 
-// Handle Excel file upload and validation
-app.post('/validate', upload.single('file'), async (req, res) => {
+// The validated workbook of a finished job, with the output options of /validate
+app.get('/jobs/:id/download', async (req, res) => {
+  const job = findJob(req, res, { finished: true });
+  if (!job) return;
+  const outputFormat = req.query.output_format || 'xlsx';
+  if (!['xlsx', 'original'].includes(outputFormat)) return sendError(res, 400, 'invalid_parameter', 'output_format must be "xlsx" or "original"');
+  const outputMode = req.query.output_mode || 'clean';
+  if (!['annotate', 'clean'].includes(outputMode)) return sendError(res, 400, 'invalid_parameter', 'output_mode must be "annotate" or "clean"');
+  // A sum check only totals the values, so like the CLI it writes no workbook
+  if (job.options.type === 'sum') {
+    return sendError(res, 400, 'sheet_not_validated', 'A sum check has no validated workbook to download; its totals are in the job status');
+  }
   try {
-    const filePath = req.file.path;
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(filePath);
-    const worksheet = workbook.worksheets[0];
-    // Read header and rows
-    const header = worksheet.getRow(1).values.slice(1); // ExcelJS is 1-based, values[0] is null
-    const rows = [];
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return;
-      rows.push(row.values.slice(1));
-    });
-    // Validation
-    const missingCols = checkMissingColumns(header);
-    if (missingCols.length > 0) {
-      return res.status(400).send('The uploaded file is missing required columns: ' + missingCols.join(', '));
-    }
-    // Run all validations
-    const { rows: validatedRows, highlights } = validateAll(rows, header);
-
-    // Build a brand-new workbook to strip ALL formatting
-    const outWb = new ExcelJS.Workbook();
-    const outWs = outWb.addWorksheet(worksheet.name || 'Sheet1');
-
-    // Helper: force black text; no background fill at all
-    function applyBaseStyle(cell, fontSize = 11) {
-      cell.fill = null; // no fill to prevent any background color
-      cell.font = { name: 'Calibri', color: { argb: 'FF000000' }, size: fontSize };
-      cell.border = undefined;
-      cell.alignment = undefined;
-      cell.numFmt = undefined;
-    }
+    const result = job.result;
+    const errorColumn = ['1', 'true', 'yes'].includes(String(req.query.error_column).toLowerCase());
+    const { ext, buffer } = await validatedWorkbook(result, job.filePath, job.options, { outputFormat, outputMode, errorColumn });
+    if (result.verdict) res.set('X-Validation-Result', result.verdict.passed ? 'passed' : 'failed');
+    res.attachment('validated.' + ext).send(buffer);
+  } catch (err) {
+    sendFailure(res, err, 'Error processing file: ');
+  }
+});
 
-    // Write header as plain values (white background, black text)
-    const headerRow = outWs.addRow(header);
-    header.forEach((_, idx) => {
-      const c = headerRow.getCell(idx + 1);
-      applyBaseStyle(c, 11);
-    });
+app.delete('/jobs/:id', (req, res) => {
+  if (!removeJob(req.params.id)) return sendError(res, 404, 'job_not_found', 'Unknown or expired job');
+  res.status(204).end();
+});
 
-    // أضف جميع الصفوف أولاً
-    for (let i = 0; i < validatedRows.length; i++) {
-      const rowArr = [];
-      for (let j = 0; j < header.length; j++) {
-        let value = validatedRows[i][j];
-        let cellValue = value;
-        // استرجع القيمة الأصلية فقط (قبل '|')
-        if (typeof value === 'string' && value.includes('|')) {
-          const [oldVal] = value.split('|');
-          cellValue = oldVal.trim();
-        }
-        rowArr.push(cellValue);
-      }
-      outWs.addRow(rowArr);
-    }
-    // بعد إضافة جميع الصفوف، طبق التلوين والملاحظات بشكل صحيح
-    for (let i = 0; i < validatedRows.length; i++) {
-      const outRow = outWs.getRow(i + 2);
-      for (let j = 0; j < header.length; j++) {
-        const cell = outRow.getCell(j + 1);
-        let value = validatedRows[i][j];
-        // استخدم highlights فقط لتلوين الخلايا التي بها مشاكل
-        if (highlights[`${i},${header[j]}`]) {
-          cell.style = {};
-          cell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFFFFF00' }, // أصفر Excel
-            bgColor: { argb: 'FFFFFF00' }
-          };
-          cell.font = { name: 'Arial', color: { argb: 'FF000000' }, bold: true, size: 13 };
-          // أضف الرسالة كملاحظة
-          if (typeof value === 'string' && value.includes('|')) {
-            const [, ...msgParts] = value.split('|');
-            const msg = msgParts.join('|').trim();
-            if (msg) cell.note = msg;
-          }
-        } else {
-          cell.style = {};
-          cell.fill = undefined;
-          cell.font = { name: 'Arial', color: { argb: 'FF218838' }, bold: true, size: 13 };
-        }
-      }
-    }
+// Stored runs (see ./lib/history), newest first; `dataset` lists the runs of one dataset only
+app.get('/runs', (req, res) => {
+  res.json({ runs: listRuns({ dataset: req.query.dataset }) });
+});
 
-    // تزيين رؤوس الأعمدة
-    const headerRowDecorated = outWs.getRow(1);
-    headerRowDecorated.eachCell(cell => {
-      cell.fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: 'FF21A366' } // أخضر مايكروسوفت
-      };
-      cell.font = { name: 'Cairo', color: { argb: 'FFFFFFFF' }, bold: true, size: 15 };
-      cell.alignment = { vertical: 'middle', horizontal: 'center' };
-      cell.border = {
-        top: { style: 'medium', color: { argb: 'FF21A366' } },
-        left: { style: 'medium', color: { argb: 'FF21A366' } },
-        bottom: { style: 'medium', color: { argb: 'FF21A366' } },
-        right: { style: 'medium', color: { argb: 'FF21A366' } }
-      };
-    });
-    outWs.views = [{ state: 'frozen', ySplit: 1 }];
-
-    // Final sweep: ensure no fills remain and enforce black text
-    outWs.eachRow((row) => {
-      row.eachCell((cell) => {
-        // فقط أزل التلوين من رؤوس الأعمدة، واترك التلوين الأصفر للأخطاء
-        if (cell.row === 1) {
-          cell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FF21A366' }
-          };
-        } else if (cell.fill && cell.fill.fgColor && cell.fill.fgColor.argb === 'FFFFFF00') {
-          // اترك التلوين الأصفر كما هو
-        } else {
-          cell.fill = null;
-        }
-        // Ensure text is black; if font exists, keep size, else set default 11
-        const size = (cell.font && cell.font.size) ? cell.font.size : 11;
-        cell.font = { name: 'Calibri', color: { argb: 'FF000000' }, size };
-      });
-    });
+// Look up the stored run named in the URL; answers 404 itself when there is none
+function findRun(req, res) {
+  const run = loadRun(req.params.id);
+  if (!run) sendError(res, 404, 'run_not_found', 'Unknown run');
+  return run;
+}
 
-    // Save and send file
-    const outPath = filePath + '_validated.xlsx';
-    await outWb.xlsx.writeFile(outPath);
-    res.download(outPath, 'validated.xlsx', () => {
-      fs.unlinkSync(filePath);
-      fs.unlinkSync(outPath);
-    });
-  } catch (err) {
-    res.status(500).send('Error processing file: ' + err.message);
+// A stored run with every sheet's summary and issues
+app.get('/runs/:id', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+  const sheets = loadRunSheets(run);
+  res.json({
+    ...run,
+    sheets: run.sheets.map((entry, i) => (entry.error ? entry : { ...entry, summary: sheets[i].summary, issues: sheets[i].issues })),
+  });
+});
+
+// Issue report of a stored run: format=json (default) or csv
+app.get('/runs/:id/report', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) return sendError(res, 400, 'invalid_parameter', 'format must be "json" or "csv"');
+  const result = { verdict: run.verdict, sheets: loadRunSheets(run) };
+  if (format === 'csv') {
+    res.attachment('validation-report.csv');
+    return res.type('text/csv').send(issueReportCsv(result));
   }
+  res.json(issueReport(result));
 });
 
-// Add endpoint to return summary and preview data as JSON
-app.post('/validate-preview', upload.single('file'), async (req, res) => {
+// The validated workbook (file=validated, the default) or the uploaded file (file=upload) of a stored run
+app.get('/runs/:id/download', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+  const which = req.query.file || 'validated';
+  if (!['validated', 'upload'].includes(which)) return sendError(res, 400, 'invalid_parameter', 'file must be "validated" or "upload"');
+  const file = runFile(run, which);
+  res.download(file.path, file.name);
+});
+
+// What changed since an earlier run of the same dataset (`against`, by default the one before): rows
+// added and removed, issues resolved, new and unchanged, and changed values. Rows are matched on the
+// profile's history key or the comma-separated `key` columns, without one on their Excel row.
+app.get('/runs/:id/diff', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
   try {
-    const filePath = req.file.path;
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.readFile(filePath);
-    const worksheet = workbook.worksheets[0];
-    const header = worksheet.getRow(1).values.slice(1);
-    const rows = [];
-    worksheet.eachRow((row, rowNumber) => {
-      if (rowNumber === 1) return;
-      rows.push(row.values.slice(1));
-    });
-    const missingCols = checkMissingColumns(header);
-    if (missingCols.length > 0) {
-      return res.status(400).json({ error: 'The uploaded file is missing required columns: ' + missingCols.join(', ') });
-    }
-    let validated, total = null;
-    const type = req.query.type;
-    if (type === 'date') {
-      validated = validateDatesOnly(rows, header);
-    } else if (type === 'mandatory') {
-      validated = validateMandatoryOnly(rows, header);
-    } else if (type === 'final') {
-      validated = validateFinalValueOnly(rows, header);
-    } else if (type === 'asset_usage') {
-      validated = validateAssetUsageIdOnly(rows, header);
-      // Only show the main summary message for this check
-      if (validated.summary.length > 1) {
-        validated.summary = [validated.summary[0]];
-      }
-    } else if (type === 'value_base') {
-      validated = validateValueBaseOnly(rows, header);
-      validated.summary = validated.summary.slice(0);
-    } else if (type === 'market_approach') {
-      validated = validateMarketApproachOnly(rows, header);
-      validated.summary = validated.summary.slice(0);
-    } else if (type === 'cost_approach') {
-      validated = validateCostApproachOnly(rows, header);
-      validated.summary = validated.summary.slice(0);
-    } else if (type === 'sum') {
-      // Only sum final_value
-      let idx = header.indexOf('final_value');
-      if (idx === -1) return res.status(400).json({ error: 'No final_value column' });
-      total = rows.reduce((acc, row) => {
-        let v = row[idx];
-        // Remove appended messages if present
-        if (typeof v === 'string') {
-          v = v.split('|')[0];
-          v = v.trim();
-          v = v.replace(/,/g, '');
-        }
-        // If empty string or null, treat as 0
-        if (v === '' || null || v === undefined) v = 0;
-        let num = parseFloat(v);
-        if (isNaN(num)) num = 0;
-        return acc + num;
-      }, 0);
-      fs.unlinkSync(filePath);
-      return res.json({ total });
-    } else {
-      validated = validateAll(rows, header);
-      // Calculate sum of final_value for summary
-      let idx = header.indexOf('final_value');
-      if (idx !== -1) {
-        total = rows.reduce((acc, row) => {
-          let v = row[idx];
-          if (typeof v === 'string') {
-            v = v.split('|')[0];
-            v = v.trim();
-            v = v.replace(/,/g, '');
-          }
-          if (v === '' || v === null || v === undefined) v = 0;
-          let num = parseFloat(v);
-          if (isNaN(num)) num = 0;
-          return acc + num;
-        }, 0);
-      }
+    const base = req.query.against ? loadRun(req.query.against) : previousRun(run);
+    if (!base) {
+      return sendError(res, 404, 'run_not_found', req.query.against ? `Unknown run: ${req.query.against}` : 'There is no earlier run of this dataset');
     }
-    const { rows: validatedRows, highlights, summary } = validated;
-    const preview = validatedRows.map((row, i) => {
-      const obj = {};
-      header.forEach((col, j) => {
-        obj[col] = {
-          value: row[j],
-          highlight: !!highlights[`${i},${col}`]
-        };
-      });
-      return obj;
-    });
-    fs.unlinkSync(filePath);
-    res.json({ header, preview, summary, total });
+    const key = req.query.key ? String(req.query.key).split(',').map(col => col.trim()).filter(Boolean) : undefined;
+    res.json(diffRuns(base, run, { key }));
   } catch (err) {
-    res.status(500).json({ error: 'Error processing file: ' + err.message });
+    sendFailure(res, err);
   }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+app.delete('/runs/:id', (req, res) => {
+  if (!removeRun(req.params.id)) return sendError(res, 404, 'run_not_found', 'Unknown run');
+  res.status(204).end();
 });
+
+// Upload errors and anything else a route did not answer itself
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  sendFailure(res, err, 'Error processing file: ');
+});
+
+// Uploads left behind (a crash mid-request, jobs lost in a restart) are deleted once they are older than
+// the job TTL and no job holds them
+function sweepUploads(maxAge, now = Date.now()) {
+  const held = new Set(listJobs().map(job => path.resolve(job.filePath)));
+  fs.readdir(UPLOAD_DIR, (err, names) => {
+    if (err) return;
+    names.map(name => path.resolve(UPLOAD_DIR, name)).filter(file => !held.has(file)).forEach(file => {
+      fs.stat(file, (statErr, stat) => {
+        if (!statErr && stat.isFile() && now - stat.mtimeMs > maxAge) fs.unlink(file, () => {});
+      });
+    });
+  });
+}
+
+setInterval(() => {
+  sweepJobs(JOB_TTL);
+  sweepUploads(JOB_TTL);
+}, 60 * 1000).unref();
+sweepUploads(JOB_TTL);
+
+// Listens when started directly; tests require the app and listen on a port of their own
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { readAmount, aggregateSheet } = require('../lib/aggregate');
+const { ProfileError, compileProfile } = require('../lib/schema');
+const { validateWorkbook, writeValidatedWorkbook } = require('../lib');
+
+const profile = {
+  columns: [
+    { name: 'asset_type', type: 'text' },
+    { name: 'region', type: 'text' },
+    { name: 'final_value', type: 'float' },
+  ],
+  aggregations: { groupBy: ['asset_type', ['region', 'asset_type']] },
+};
+const rows = [
+  ['asset_type', 'region', 'final_value'],
+  ['أرض', 'الرياض', '1,000'],
+  ['مبنى', 'الرياض', 2500.5],
+  ['أرض', 'مكة', ''],
+  ['أرض', '', ' 500 '],
+  ['أرض', 'مكة', 'غير معروف'],
+];
+
+test('amounts are numbers or numeric text; anything else is left out with its reason', () => {
+  assert.deepEqual(readAmount(2500.5), { amount: 2500.5 });
+  assert.deepEqual(readAmount(' 1,250,000.75 '), { amount: 1250000.75 });
+  assert.deepEqual(readAmount('  '), { reason: 'empty' });
+  assert.deepEqual(readAmount('1.250.000'), { reason: 'not_number' });
+  assert.deepEqual(readAmount(Infinity), { reason: 'not_number' });
+});
+
+test('totals group by single columns and column pairs, counting what each group left out', () => {
+  const aggregates = aggregateSheet(rows.slice(1), rows[0], compileProfile(profile, 'sums'));
+  assert.equal(aggregates.total, 4000.5);
+  assert.equal(aggregates.count, 3);
+  assert.deepEqual(aggregates.excluded, [{ reason: 'empty', count: 1, rows: [2] }, { reason: 'not_number', count: 1, rows: [4] }]);
+  assert.deepEqual(aggregates.groups[0], { by: ['asset_type'], rows: [
+    { key: ['أرض'], count: 4, total: 1500, excluded: 2 },
+    { key: ['مبنى'], count: 1, total: 2500.5, excluded: 0 },
+  ] });
+  // Blank group values come last
+  assert.deepEqual(aggregates.groups[1].rows.map(r => [r.key, r.total]), [
+    [['الرياض', 'أرض'], 1000], [['الرياض', 'مبنى'], 2500.5], [['مكة', 'أرض'], 0], [[null, 'أرض'], 500],
+  ]);
+  assert.equal(aggregateSheet([[1]], ['price'], compileProfile(profile, 'sums')), null);
+});
+
+test('a sum check reports the total with the excluded Excel rows and no verdict', async () => {
+  const result = await validateWorkbook(rows, { profile, type: 'sum', lang: 'en' });
+  const [sheet] = result.sheets;
+  assert.equal(sheet.total, 4000.5);
+  assert.deepEqual(sheet.aggregates.excluded.map(({ label, rows: excelRows }) => [label, excelRows]), [['final_value is empty', [4]], ['final_value is not a number', [6]]]);
+  assert.equal(result.verdict, null);
+});
+
+test('a full check adds the totals as a Summary sheet', async () => {
+  const { buffer } = await writeValidatedWorkbook(await validateWorkbook(rows, { profile, lang: 'en' }));
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const values = [];
+  workbook.getWorksheet('Summary').eachRow(row => values.push(...row.values.slice(1)));
+  assert.ok(values.includes(4000.5));
+  assert.ok(values.includes('مبنى'));
+});
+
+test('aggregations must name profile columns', () => {
+  assert.throws(() => compileProfile({ ...profile, aggregations: { value: 'price' } }, 'sums'), ProfileError);
+  assert.throws(() => compileProfile({ ...profile, aggregations: { groupBy: ['city'] } }, 'sums'), ProfileError);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const vm = require('node:vm');
+const esbuild = require('esbuild');
+const ExcelJS = require('exceljs');
+const iconv = require('iconv-lite');
+
+// The engine bundled as in `npm run build` and loaded into a context with only what browsers offer:
+// no Buffer, process or require
+function loadBundle() {
+  const { outputFiles } = esbuild.buildSync({
+    entryPoints: [path.join(__dirname, '../lib/index.js')],
+    bundle: true,
+    platform: 'browser',
+    format: 'iife',
+    globalName: 'ExcelValidation',
+    write: false,
+    logLevel: 'silent',
+  });
+  const context = vm.createContext({ TextDecoder, TextEncoder, setTimeout, clearTimeout, queueMicrotask });
+  vm.runInContext(`${outputFiles[0].text}\nglobalThis.ExcelValidation = ExcelValidation;`, context);
+  return context;
+}
+
+// Copy file content into an array of the bundle's own realm, as a FileReader would hand it over
+function run(context, source, input) {
+  context.input = input;
+  return vm.runInContext(`(async () => {
+    const input = globalThis.input && new Uint8Array(globalThis.input);
+    ${source}
+  })()`, context);
+}
+
+const profile = {
+  name: 'bundle',
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true },
+    { name: 'valuation_date', type: 'date' },
+    { name: 'final_value', type: 'float', mandatory: true },
+  ],
+};
+
+async function xlsxFile(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Assets');
+  rows.forEach(row => ws.addRow(row));
+  return Array.from(new Uint8Array(await workbook.xlsx.writeBuffer()));
+}
+
+test('the browser bundle validates in-memory rows', async () => {
+  const context = loadBundle();
+  assert.equal(typeof context.Buffer, 'undefined');
+  context.profile = profile;
+  const result = await run(context, `
+    const result = await ExcelValidation.validateWorkbook([
+      ['asset_name', 'valuation_date', 'final_value'],
+      ['أرض', '1445-06-10', 1000],
+      ['', '23-12-2023', 'x'],
+    ], { profile, lang: 'en' });
+    return JSON.parse(JSON.stringify({ verdict: result.verdict, rows: result.sheets[0].validated.rows }));
+  `);
+  assert.equal(result.verdict.passed, false);
+  assert.equal(result.verdict.errors, 2);
+  assert.equal(result.rows[0][1], '23-12-2023');
+});
+
+test('the browser bundle reads and writes xlsx files as Uint8Array', async () => {
+  const context = loadBundle();
+  context.profile = profile;
+  const result = await run(context, `
+    const result = await ExcelValidation.validateWorkbook(input, { profile, lang: 'en' });
+    const { ext, buffer } = await ExcelValidation.writeValidatedWorkbook(result);
+    const again = await ExcelValidation.validateWorkbook(buffer, { profile, lang: 'en' });
+    return { format: result.format, passed: result.verdict.passed, ext, plain: buffer.constructor === Uint8Array, rows: again.sheets[0].rows.length };
+  `, await xlsxFile([['asset_name', 'valuation_date', 'final_value'], ['أرض', '23-12-2023', 1000], ['مبنى', '1445-06-10', 2500]]));
+  assert.deepEqual({ ...result }, { format: 'xlsx', passed: true, ext: 'xlsx', plain: true, rows: 2 });
+});
+
+test('the browser bundle decodes Arabic CSV in the legacy code page', async () => {
+  const context = loadBundle();
+  context.profile = profile;
+  const csv = iconv.encode('asset_name;valuation_date;final_value\r\nأرض;23-12-2023;1000\r\n', 'windows-1256');
+  const result = await run(context, `
+    const result = await ExcelValidation.validateWorkbook(input, { profile, lang: 'en' });
+    return { csv: result.csv, name: result.sheets[0].rows[0][0] };
+  `, Array.from(csv));
+  assert.deepEqual(JSON.parse(JSON.stringify(result)), { csv: { delimiter: ';', encoding: 'windows-1256' }, name: 'أرض' });
+});
+
+test('the browser bundle checks an edited preview row', async () => {
+  const context = loadBundle();
+  context.profile = profile;
+  const row = await run(context, `
+    const header = ['asset_name', 'valuation_date', 'final_value'];
+    const result = await ExcelValidation.validateWorkbook([header, ['أرض', '1445-06-10', 1000]], { profile, lang: 'en' });
+    const row = ExcelValidation.previewRow(result.sheets[0], 0, result.fixMode);
+    const edited = ExcelValidation.previewEdit({ name: 'Sheet1', header }, row, { row: 2, column: 'final_value', value: 'x' }, { profile, lang: 'en' });
+    return JSON.parse(JSON.stringify(edited));
+  `);
+  assert.equal(row.valuation_date.value, '23-12-2023');
+  assert.equal(row.final_value.edited, true);
+  assert.equal(row.final_value.severity, 'error');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { normalizeCellValue, cellSource, restoreCellValue } = require('../lib/cells');
+
+// One row of cells in each shape ExcelJS reads back, as an uploaded workbook would hold them
+async function uploadedCells() {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Assets');
+  ws.addRow([
+    new Date(Date.UTC(2024, 2, 5)),
+    { formula: 'B2*2', result: 2500 },
+    { richText: [{ text: 'أرض ', font: { bold: true } }, { text: 'سكنية' }] },
+    { text: 'الصك', hyperlink: 'https://example.com/deed' },
+    { error: '#DIV/0!' },
+    '  نص  ',
+    1250000,
+  ]);
+  const loaded = new ExcelJS.Workbook();
+  await loaded.xlsx.load(await workbook.xlsx.writeBuffer());
+  const row = loaded.getWorksheet('Assets').getRow(1);
+  return Array.from({ length: 7 }, (_, j) => row.getCell(j + 1));
+}
+
+test('dates, formulas, rich text, links and errors resolve to the plain value shown in Excel', async () => {
+  const values = (await uploadedCells()).map(cell => normalizeCellValue(cell.value));
+  assert.deepEqual(values, ['05-03-2024', 2500, 'أرض سكنية', 'الصك', '#DIV/0!', '  نص  ', 1250000]);
+  assert.equal(normalizeCellValue(null), null);
+  assert.equal(normalizeCellValue(new Date(NaN)), null);
+  assert.equal(normalizeCellValue({ formula: 'A1', result: new Date(Date.UTC(2023, 11, 23)) }), '23-12-2023');
+});
+
+test('cells left as validated get their formula, date or link back; corrected ones take the new value', async () => {
+  const [date, formula, , link] = (await uploadedCells()).map(cellSource);
+  assert.deepEqual(formula, { formula: 'B2*2', result: 2500 });
+  assert.equal(restoreCellValue(date, '05-03-2024'), date);
+  assert.equal(restoreCellValue(date, '06-03-2024'), '06-03-2024');
+  assert.deepEqual(restoreCellValue(formula, 2500), { formula: 'B2*2', result: 2500 });
+  // A corrected formula result is kept as the cached value; Excel recalculates it on open
+  assert.deepEqual(restoreCellValue(formula, 2600), { formula: 'B2*2', result: 2600 });
+  assert.equal(restoreCellValue(link, 'الصك'), link);
+  assert.equal(restoreCellValue('x', 'y'), 'y');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const ExcelJS = require('exceljs');
+
+const CLI = path.join(__dirname, '../bin/excel-validate.js');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+const profiles = path.join(tmp, 'profiles');
+fs.mkdirSync(profiles);
+fs.writeFileSync(path.join(profiles, 'assets.json'), JSON.stringify({
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true },
+    { name: 'final_value', type: 'float', mandatory: true },
+  ],
+}));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function cli(...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, '--profile', 'assets', '--lang', 'en', ...args], {
+    env: { ...process.env, PROFILES_DIR: profiles },
+    encoding: 'utf8',
+  });
+  return { status, stdout, stderr };
+}
+
+async function writeXlsx(file, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Assets');
+  rows.forEach(row => ws.addRow(row));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  await workbook.xlsx.writeFile(file);
+}
+
+// A fresh directory of inputs for one test
+function inputs(name) {
+  const dir = path.join(tmp, name);
+  fs.mkdirSync(dir);
+  return dir;
+}
+
+test('files that pass exit 0 and get their workbook and report next to them', async () => {
+  const dir = inputs('pass');
+  await writeXlsx(path.join(dir, 'assets.xlsx'), [['asset_name', 'final_value'], ['أرض', 1000]]);
+  const { status, stdout } = cli(path.join(dir, 'assets.xlsx'));
+  assert.equal(status, 0);
+  assert.match(stdout, /assets\.xlsx\s+Assets\s+assets\s+1\s+0\s.*passed$/m);
+  assert.ok(fs.existsSync(path.join(dir, 'assets.validated.xlsx')));
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'assets.report.json'), 'utf8')).verdict.passed, true);
+});
+
+test('directories are scanned for spreadsheets, leaving out the outputs of earlier runs', async () => {
+  const dir = inputs('scan');
+  await writeXlsx(path.join(dir, 'b.xlsx'), [['asset_name', 'final_value'], ['أرض', 1000]]);
+  fs.mkdirSync(path.join(dir, 'sub'));
+  fs.writeFileSync(path.join(dir, 'sub', 'a.csv'), 'asset_name,final_value\r\nمبنى,2500\r\n');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a spreadsheet');
+  const first = cli(dir);
+  assert.equal(first.status, 0);
+  assert.match(first.stdout, /2 file\(s\), 0 error\(s\)/);
+  assert.ok(fs.existsSync(path.join(dir, 'sub', 'a.validated.xlsx')));
+  // The .validated and .report files written next to the inputs are not validated in turn
+  const again = cli(dir, '--report', 'csv');
+  assert.match(again.stdout, /2 file\(s\)/);
+  assert.doesNotMatch(again.stdout, /validated\.xlsx|report\.(json|csv)/);
+});
+
+test('a failed sheet or an unreadable file exits 1 and the batch carries on', async () => {
+  const dir = inputs('fail');
+  await writeXlsx(path.join(dir, 'a.xlsx'), [['asset_name', 'final_value'], ['أرض', 'x']]);
+  const good = fs.readFileSync(path.join(dir, 'a.xlsx'));
+  // A zip cut short and a package whose parts are not XML
+  fs.writeFileSync(path.join(dir, 'b.xlsx'), good.subarray(0, good.length - 200));
+  fs.writeFileSync(path.join(dir, 'c.xlsx'), Buffer.concat([Buffer.from('PK\x03\x04'), Buffer.from('[Content_Types].xml garbage')]));
+  await writeXlsx(path.join(dir, 'd.xlsx'), [['asset_name', 'final_value'], ['مبنى', 2500]]);
+  const { status, stdout, stderr } = cli(dir);
+  assert.equal(status, 1);
+  assert.equal(stderr, '');
+  assert.match(stdout, /a\.xlsx\s+Assets\s+assets\s+1\s+1\s.*failed$/m);
+  assert.match(stdout, /b\.xlsx.*damaged/);
+  assert.match(stdout, /c\.xlsx.*damaged/);
+  assert.match(stdout, /d\.xlsx\s+Assets\s+assets\s+1\s+0\s.*passed$/m);
+  assert.match(stdout, /4 file\(s\), 1 error\(s\), 1 sheet\(s\) failed, 2 file\(s\) not validated/);
+});
+
+test('invalid arguments, unknown profiles and missing inputs exit 2', () => {
+  const dir = inputs('usage');
+  assert.equal(cli('--type', 'nope', dir).status, 2);
+  assert.match(cli('--type', 'nope', dir).stderr, /--type must be one of/);
+  assert.match(cli(path.join(dir, 'missing.xlsx')).stderr, /No such file or directory/);
+  assert.match(cli(dir).stderr, /No spreadsheet files found/);
+  const unknown = cli('--profile', 'nope', dir);
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /Unknown validation profile: nope/);
+  assert.equal(cli('--help').status, 0);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateValue, hijriToGregorian, toHijriParts, checkDateLimits } = require('../lib/dates');
+const { DEFAULT_FIXES, applyFixes } = require('../lib/fixes');
+const { compileProfile } = require('../lib/schema');
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+test('Umm al-Qura dates convert to the Gregorian day and back', () => {
+  assert.deepEqual(hijriToGregorian(1445, 6, 10), utc(2023, 12, 23));
+  assert.deepEqual(toHijriParts(utc(2023, 12, 23)), { year: 1445, month: 6, day: 10 });
+  assert.equal(hijriToGregorian(1445, 13, 1), null);
+  assert.equal(hijriToGregorian(1445, 6, 31), null);
+});
+
+test('a Hijri year or era marker is read as Umm al-Qura and keeps the original text', () => {
+  assert.deepEqual(parseDateValue('1445-06-10'), { date: utc(2023, 12, 23), formatted: '23-12-2023', hijri: '1445-06-10' });
+  assert.equal(parseDateValue('10/06/1445 هـ').formatted, '23-12-2023');
+  assert.equal(parseDateValue('10-06-1445 AH').hijri, '10-06-1445 AH');
+  assert.deepEqual(parseDateValue('2023/12/23'), { date: utc(2023, 12, 23), formatted: '23-12-2023', hijri: null });
+});
+
+test('bad dates and the wrong calendar are named', () => {
+  assert.deepEqual(parseDateValue('31-02-2023'), { error: 'calendar' });
+  assert.deepEqual(parseDateValue('23.12.2023'), { error: 'format' });
+  assert.deepEqual(parseDateValue('1445-06-10', 'gregorian'), { error: 'hijri_not_allowed' });
+  assert.deepEqual(parseDateValue('23-12-2023', 'hijri'), { error: 'gregorian_not_allowed' });
+});
+
+test('relative limits measure whole months back from the reference date', () => {
+  const reference = utc(2020, 3, 31);
+  assert.equal(checkDateLimits(utc(2020, 2, 29), { maxAgeMonths: 1 }, reference), null);
+  assert.equal(checkDateLimits(utc(2020, 1, 31), { maxAgeMonths: 1 }, reference), 'too_old');
+  assert.equal(checkDateLimits(utc(2999, 1, 1), { notInFuture: true }), 'future');
+});
+
+test('the default fixes rewrite Gregorian dates and convert Hijri ones with a note', () => {
+  const profile = compileProfile({ columns: [{ name: 'valuation_date', type: 'date' }] }, 'dates');
+  const rows = [['1445-06-10'], ['2023/12/23'], ['23-12-2023'], ['not a date']];
+  const fixed = applyFixes(rows, ['valuation_date'], profile, new Set(DEFAULT_FIXES));
+  assert.deepEqual(fixed.rows, [['23-12-2023'], ['23-12-2023'], ['23-12-2023'], ['not a date']]);
+  assert.deepEqual(fixed.changes.map(c => [c.index, c.fix]).sort(), [[0, 'hijri_dates'], [1, 'date_format']]);
+  assert.deepEqual(fixed.notes['0,valuation_date'], { id: 'note_hijri', params: { date: '1445-06-10' } });
+  assert.equal(rows[0][0], '1445-06-10');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDuplicates, findConflicts } = require('../lib/duplicates');
+const { ProfileError, compileProfile } = require('../lib/schema');
+const { validateWorkbook } = require('../lib');
+
+const header = ['asset_name', 'owner_name', 'final_value'];
+const rows = [
+  ['أرض سكنية', 'شركة الريان', 1000],
+  ['ارض  سكنيه', 'شركة الريان', 1200],
+  ['مبنى', 'شركة الريان', 5000],
+  ['أرض سكنية', '', 1000],
+  ['مبنا', 'شركة الريان', 5000],
+];
+
+// The flagged cells as [row index, column, related rows]
+const cells = (found) => found.map(({ index, column, related }) => [index, column, related]);
+
+test('rows sharing a key are flagged on every key cell, exactly or after normalization', () => {
+  const key = ['asset_name', 'owner_name'];
+  assert.deepEqual(cells(findDuplicates(rows, header, { key, match: 'exact' })), []);
+  assert.deepEqual(cells(findDuplicates(rows, header, { key, match: 'normalized' })), [
+    [0, 'asset_name', [1]], [0, 'owner_name', [1]],
+    [1, 'asset_name', [0]], [1, 'owner_name', [0]],
+  ]);
+  // The row with an empty owner takes no part
+  assert.deepEqual(cells(findDuplicates(rows, header, { key: ['asset_name'], match: 'exact' })), [[0, 'asset_name', [3]], [3, 'asset_name', [0]]]);
+});
+
+test('fuzzy keys group near spellings at the threshold', () => {
+  assert.deepEqual(cells(findDuplicates(rows, header, { key: ['asset_name'], match: 'fuzzy', threshold: 0.75 })).filter(([i]) => i === 2), [[2, 'asset_name', [4]]]);
+  assert.deepEqual(cells(findDuplicates(rows, header, { key: ['asset_name'], match: 'fuzzy', threshold: 0.9 })).filter(([i]) => i === 2), []);
+});
+
+test('conflicts flag only the rows of a group that disagree, pointing at the rows that differ', () => {
+  assert.deepEqual(cells(findConflicts(rows, header, { key: ['asset_name'], match: 'normalized', conflicts: ['final_value'] })), [
+    [0, 'final_value', [1]],
+    [1, 'final_value', [0, 3]],
+    [3, 'final_value', [1]],
+  ]);
+});
+
+test('duplicate checks and unique columns report the related Excel rows', async () => {
+  const profile = {
+    columns: [
+      { name: 'asset_name', type: 'text' },
+      { name: 'owner_name', type: 'text' },
+      { name: 'final_value', type: 'float' },
+      { name: 'deed_no', type: 'text', unique: true },
+    ],
+    duplicates: [{ id: 'duplicate_asset', key: ['asset_name', 'owner_name'], match: 'normalized' }],
+  };
+  const result = await validateWorkbook([[...header, 'deed_no'], ...rows.map((row, i) => [...row, i === 4 ? '7' : String(i)]).concat([['x', 'y', 1, '7']])], { profile, lang: 'en' });
+  const issues = result.sheets[0].issues.map(({ row, column, rule, related, message }) => ({ row, column, rule, related, message }));
+  assert.deepEqual(issues.filter(i => i.column === 'asset_name'), [
+    { row: 2, column: 'asset_name', rule: 'duplicate_asset', related: [3], message: 'Duplicate (by asset_name, owner_name) of row(s) 3' },
+    { row: 3, column: 'asset_name', rule: 'duplicate_asset', related: [2], message: 'Duplicate (by asset_name, owner_name) of row(s) 2' },
+  ]);
+  assert.deepEqual(issues.filter(i => i.column === 'deed_no').map(i => [i.row, i.rule, i.related]), [[6, 'deed_no_unique', [7]], [7, 'deed_no_unique', [6]]]);
+});
+
+test('duplicate checks naming unknown columns or settings are rejected', () => {
+  const columns = [{ name: 'asset_name', type: 'text' }];
+  const reject = (duplicates, pattern) => assert.throws(() => compileProfile({ columns, duplicates }, 'dups'), err => err instanceof ProfileError && pattern.test(err.message));
+  reject([{ key: ['asset'] }], /Unknown column\(s\) asset in duplicate check "duplicate_asset"/);
+  reject([{ key: ['asset_name'], match: 'similar' }], /Unknown match "similar"/);
+  reject([{ key: ['asset_name'], match: 'fuzzy', threshold: 2 }], /"threshold" .* must be a number above 0 and at most 1/);
+  reject([{ key: [] }], /must list its "key" columns/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FIXES, availableFixes, applyFixes, fixSummary } = require('../lib/fixes');
+const { compileProfile } = require('../lib/schema');
+
+const profile = compileProfile({
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true },
+    { name: 'final_value', type: 'int', mandatory: true },
+    { name: 'market_approach', type: 'enum', values: [0, 1, 2] },
+    { name: 'market_approach_value', type: 'text' },
+    { name: 'inspection_date', type: 'date' },
+  ],
+  rules: [{ id: 'market_value_matches', rule: 'when market_approach in (1, 2) then market_approach_value == final_value', columns: ['market_approach_value'], suggest: 'final_value' }],
+}, 'fixes');
+
+const header = ['asset_name', 'final_value', 'market_approach', 'market_approach_value', 'inspection_date'];
+const rows = [
+  ['  أرض سكنية\u200f', '١٢٣٤', 1, null, '2024/03/05'],
+  ['مبنى', '1,250,000.00', 2, 900, '05-03-2024'],
+];
+const allFixes = new Set(availableFixes(profile).map(f => f.id));
+
+test('every fix the profile offers is listed, rule suggestions included', () => {
+  assert.deepEqual([...allFixes], ['trim_whitespace', 'arabic_digits', 'number_format', 'date_format', 'hijri_dates', 'market_value_matches']);
+  assert.ok(availableFixes(profile, 'en').every(f => typeof f.description === 'string' && f.description));
+});
+
+test('accepted fixes change a copy of the rows and record each change', () => {
+  const { rows: fixed, changes } = applyFixes(rows, header, profile, allFixes);
+  assert.deepEqual(fixed, [
+    ['أرض سكنية', 1234, 1, 1234, '05-03-2024'],
+    ['مبنى', 1250000, 2, 900, '05-03-2024'],
+  ]);
+  assert.deepEqual(changes.map(({ index, column, fix, before, after }) => [index, column, fix, before, after]), [
+    [0, 'asset_name', 'trim_whitespace', '  أرض سكنية\u200f', 'أرض سكنية'],
+    [0, 'final_value', 'arabic_digits', '١٢٣٤', 1234],
+    [1, 'final_value', 'number_format', '1,250,000.00', 1250000],
+    [0, 'inspection_date', 'date_format', '2024/03/05', '05-03-2024'],
+    // A suggestion only fills an empty cell; the 900 that breaks the rule is left for the user
+    [0, 'market_approach_value', 'market_value_matches', null, 1234],
+  ]);
+  assert.equal(rows[0][0], '  أرض سكنية\u200f');
+  assert.equal(fixSummary(changes, profile).length, 5);
+});
+
+test('rejected fixes leave their values alone, and only the date fixes run by default', () => {
+  const { rows: fixed, changes } = applyFixes(rows, header, profile, new Set(DEFAULT_FIXES));
+  assert.deepEqual(changes.map(c => c.fix), ['date_format']);
+  assert.deepEqual(fixed[0].slice(0, 4), rows[0].slice(0, 4));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormat, loadWorkbook, writeSheets } = require('../lib/formats');
+const { validateWorkbook, writeValidatedWorkbook } = require('../lib');
+
+const profile = {
+  name: 'assets',
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true },
+    { name: 'land_area', type: 'float', mandatory: true },
+  ],
+};
+
+const rows = [['asset_name', 'land_area'], ['أرض سكنية', 1250000.5], ['مبنى', 'غير معروف']];
+
+// The sheet's rows as plain values, header first
+function sheetValues(ws) {
+  return ws.getSheetValues().filter(Boolean).map(row => row.slice(1));
+}
+
+for (const format of ['xls', 'ods']) {
+  test(`${format} files read back with their sheet names, Arabic text and numbers`, async () => {
+    const buffer = writeSheets([{ name: 'الأصول', rows }, { name: 'Second', rows: [['a'], [1]] }], format);
+    assert.equal(detectFormat(buffer), format);
+    const { workbook, format: detected } = await loadWorkbook(buffer);
+    assert.equal(detected, format);
+    assert.deepEqual(workbook.worksheets.map(ws => ws.name), ['الأصول', 'Second']);
+    assert.deepEqual(sheetValues(workbook.getWorksheet('الأصول')), rows);
+  });
+
+  test(`a validated ${format} upload is written back as ${format} with its messages`, async () => {
+    const result = await validateWorkbook(writeSheets([{ name: 'Assets', rows }], format), { profile, lang: 'en' });
+    assert.equal(result.format, format);
+    const { ext, buffer } = await writeValidatedWorkbook(result, { outputFormat: 'original' });
+    assert.equal(ext, format);
+    assert.equal(detectFormat(buffer), format);
+    const { workbook } = await loadWorkbook(buffer);
+    const [header, first, second] = sheetValues(workbook.getWorksheet('Assets'));
+    assert.deepEqual(header, ['asset_name', 'land_area', 'validation_messages']);
+    assert.deepEqual(first, ['أرض سكنية', 1250000.5, '']);
+    assert.equal(second[0], 'مبنى');
+    assert.match(second[2], /^land_area: /);
+  });
+}
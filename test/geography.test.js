@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPlaces, normalizePlaces } = require('../lib/geography');
+const { formatMessage } = require('../lib/messages');
+const { ProfileError, compileProfile } = require('../lib/schema');
+
+const geography = { country: 'country', region: 'region', city: 'city', defaultCountry: 'SA' };
+const header = ['country', 'region', 'city'];
+
+// The issues of one row as [rule, column, suggestion, English message]
+const check = (row, geo = geography) => checkPlaces(row, header, geo).map(i => [i.rule, i.column, i.suggestion, formatMessage(i.message, 'en')]);
+
+test('known names pass in either language, with or without the article or "region"', () => {
+  assert.deepEqual(check(['السعودية', 'منطقة الرياض', 'الرياض']), []);
+  assert.deepEqual(check(['Saudi Arabia', 'Ar Riyadh Province', 'riyadh']), []);
+  assert.deepEqual(check(['SA', 'مكة المكرمة', 'جدة']), []);
+});
+
+test('unknown names are reported with the closest reference name as the suggestion', () => {
+  assert.deepEqual(check(['SA', 'الريض', 'الرياض']), [['geo_region_unknown', 'region', 'الرياض', '"الريض" is not a region of Saudi Arabia; did you mean "الرياض"?']]);
+  assert.deepEqual(check(['Saudia', 'Riyadh', 'Atlantis']), [
+    ['geo_country_unknown', 'country', 'Saudi Arabia', 'Unknown country "Saudia"; did you mean "Saudi Arabia"?'],
+    ['geo_city_unknown', 'city', undefined, '"Atlantis" is not a known city of Riyadh'],
+  ]);
+});
+
+test('a city in another region than the row names is flagged on the region', () => {
+  assert.deepEqual(check(['Saudi Arabia', 'Riyadh Region', 'Jeddah']), [['geo_city_region_mismatch', 'region', 'Makkah', 'Jeddah is in the Makkah region, not Riyadh Region']]);
+});
+
+test('countries without regions in the reference are taken as typed, and the default country applies to empty ones', () => {
+  assert.deepEqual(check(['Egypt', 'Cairo', 'Nowhere']), []);
+  assert.equal(check(['', 'Nowhere', '']).length, 1);
+  assert.deepEqual(check(['', 'Nowhere', ''], { ...geography, defaultCountry: undefined }), []);
+});
+
+test('the spelling fix rewrites close names to the reference in the script they were typed in', () => {
+  assert.deepEqual(normalizePlaces(['السعودية', 'منطقة الرياض', 'الرياض'], header, geography), [
+    { column: 'country', value: 'المملكة العربية السعودية' },
+    { column: 'region', value: 'الرياض' },
+  ]);
+  assert.deepEqual(normalizePlaces(['SA', 'Makkah', 'جده'], header, geography), [{ column: 'country', value: 'Saudi Arabia' }, { column: 'city', value: 'جدة' }]);
+  // Too far from any name to be rewritten without asking
+  assert.deepEqual(normalizePlaces(['Saudi Arabia', 'الريض', 'Riyadh'], header, geography), []);
+});
+
+test('a geography section must name profile columns and a known country', () => {
+  const columns = [{ name: 'region', type: 'text' }, { name: 'city', type: 'text' }];
+  assert.throws(() => compileProfile({ columns, geography: { region: 'province', city: 'city' } }, 'geo'), ProfileError);
+  assert.throws(() => compileProfile({ columns, geography: { region: 'region', city: 'city', defaultCountry: 'XX' } }, 'geo'), ProfileError);
+  assert.equal(compileProfile({ columns, geography: { region: 'region', city: 'city', defaultCountry: 'SA' } }, 'geo').geography.city, 'city');
+});
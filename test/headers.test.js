@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mappings-'));
+process.env.MAPPINGS_DIR = dir;
+const { normalizeHeader, parseColumnMap, matchHeaders } = require('../lib/headers');
+const { loadSenderMapping, saveSenderMapping, resolveColumnMap } = require('../lib/mappings');
+const { ProfileError, compileProfile } = require('../lib/schema');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const profile = compileProfile({
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true, aliases: ['اسم الأصل'] },
+    { name: 'final_value', type: 'int', mandatory: true, aliases: ['القيمة النهائية'] },
+    { name: 'inspection_date', type: 'date', aliases: ['تاريخ المعاينة'] },
+    { name: 'owner_name', type: 'text' },
+  ],
+}, 'headers');
+
+const matches = (result) => result.columns.map(c => [c.header, c.column, c.match]);
+
+test('headers compare without case, spacing, direction marks or Arabic letter variants', () => {
+  assert.equal(normalizeHeader(' Asset Name '), 'asset_name');
+  assert.equal(normalizeHeader('assetName'), 'asset_name');
+  assert.equal(normalizeHeader('final-value.'), 'final_value');
+  assert.equal(normalizeHeader('\u200fإسم الأصـــل'), normalizeHeader('اسم الاصل'));
+  assert.equal(normalizeHeader('القيمة النهائيّة'), normalizeHeader('القيمه النهائيه'));
+});
+
+test('headers match by name, normalized name or alias and missing columns are named', () => {
+  const result = matchHeaders(['asset_name', 'Final Value', 'تاريخ المعاينة', 'notes'], profile);
+  assert.deepEqual(matches(result), [
+    ['asset_name', 'asset_name', 'exact'],
+    ['Final Value', 'final_value', 'normalized'],
+    ['تاريخ المعاينة', 'inspection_date', 'alias'],
+    ['notes', null, null],
+  ]);
+  assert.deepEqual(result.header, ['asset_name', 'final_value', 'inspection_date', 'notes']);
+  assert.deepEqual(result.missing, ['owner_name']);
+});
+
+test('near misses are suggested but not applied, and a second header for a column is set aside', () => {
+  const result = matchHeaders(['asset_name', 'owner nmae', 'asset_name'], profile);
+  assert.equal(result.columns[1].column, null);
+  assert.equal(result.columns[1].suggestions[0].column, 'owner_name');
+  assert.deepEqual(result.header, ['asset_name', 'owner nmae', 'asset_name (unmatched)']);
+});
+
+test('a column map comes before the other matches and can ignore a header', () => {
+  const map = parseColumnMap({ ' Value ': 'final_value', 'asset_name': null, 'الأصل': 'asset_name' }, [profile]);
+  const result = matchHeaders(['asset_name', 'value', 'الأصل'], profile, map);
+  assert.deepEqual(matches(result), [
+    ['asset_name', null, 'ignored'],
+    ['value', 'final_value', 'mapped'],
+    ['الأصل', 'asset_name', 'mapped'],
+  ]);
+  assert.deepEqual(result.header, ['asset_name (unmatched)', 'final_value', 'asset_name']);
+  assert.throws(() => parseColumnMap({ value: 'price' }, [profile]), err => err instanceof ProfileError && /"price", which is not a profile column/.test(err.message));
+  assert.throws(() => parseColumnMap(['value'], [profile]), ProfileError);
+});
+
+test('column maps are saved per sender and an upload\'s own map goes on top', () => {
+  assert.deepEqual(loadSenderMapping('Valuer@Example.com'), {});
+  saveSenderMapping(' valuer@example.com ', { 'القيمة': 'final_value', 'Notes': null });
+  assert.deepEqual(loadSenderMapping('VALUER@example.com'), { 'القيمة': 'final_value', 'Notes': null });
+  assert.deepEqual(resolveColumnMap('valuer@example.com', '{"Notes": "owner_name"}'), { 'القيمة': 'final_value', 'Notes': 'owner_name' });
+  assert.equal(fs.readdirSync(dir).length, 1);
+  assert.throws(() => resolveColumnMap(null, '{not json'), ProfileError);
+  assert.throws(() => saveSenderMapping('', {}), ProfileError);
+});
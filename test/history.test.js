@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Runs are stored in a directory of their own, named before the module reads it
+process.env.HISTORY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-'));
+const { saveRun, listRuns, previousRun, diffRuns, removeRun } = require('../lib/history');
+const { validateWorkbook } = require('../lib');
+const { ProfileError, compileProfile } = require('../lib/schema');
+
+test.after(() => fs.rmSync(process.env.HISTORY_DIR, { recursive: true, force: true }));
+
+const profile = compileProfile({
+  name: 'history',
+  columns: [
+    { name: 'asset_id', type: 'text', mandatory: true },
+    { name: 'final_value', type: 'float', mandatory: true },
+  ],
+  history: { key: 'asset_id' },
+}, 'history');
+
+async function keep(rows, dataset = 'assets') {
+  const result = await validateWorkbook([['asset_id', 'final_value'], ...rows], { profile, lang: 'en' });
+  // Run ids sort to the millisecond
+  await new Promise(resolve => setTimeout(resolve, 5));
+  return saveRun(result, { dataset, fileName: `${dataset}.xlsx`, upload: Buffer.from('upload'), output: { ext: 'xlsx', buffer: Buffer.from('out') }, profile });
+}
+
+test('a resubmission is compared with the previous run row by row on the history key', async () => {
+  const first = await keep([['A-1', 1000], ['A-2', 'x'], ['A-3', '']]);
+  // Rows reordered, one fixed, one left broken, one removed and one added
+  const second = await keep([['A-2', 2500], ['A-3', ''], ['A-4', 'y']]);
+  assert.deepEqual(listRuns({ dataset: 'assets' }).map(r => r.id), [second.id, first.id]);
+  assert.equal(previousRun(second).id, first.id);
+
+  const diff = diffRuns(first, second);
+  assert.deepEqual(diff.counts, { resolved: 1, new: 1, unchanged: 2, changedValues: 1, addedRows: 1, removedRows: 1 });
+  const [sheet] = diff.sheets;
+  assert.deepEqual(sheet.rows, { matched: 2, added: [4], removed: [2] });
+  assert.deepEqual(sheet.changes.map(c => [c.key, c.column, c.before, c.after]), [['A-2', 'final_value', 'x', 2500]]);
+  assert.deepEqual(sheet.issues.resolved.map(i => [i.key, i.row]), [['A-2', 3]]);
+  // The empty final_value of A-3 breaks two checks, both still open
+  assert.deepEqual(sheet.issues.unchanged.map(i => [i.key, i.row, i.previousRow]), [['A-3', 3, 4], ['A-3', 3, 4]]);
+  assert.deepEqual(sheet.issues.new.map(i => i.key), ['A-4']);
+});
+
+test('without a key rows are matched on their Excel row', async () => {
+  const first = await keep([['A-1', 1000], ['A-2', 2000]], 'by-row');
+  const second = await keep([['A-2', 2000], ['A-1', 1000]], 'by-row');
+  const diff = diffRuns(first, second, { key: [] });
+  assert.equal(diff.counts.changedValues, 4);
+  assert.throws(() => diffRuns(first, second, { key: ['city'] }), /Unknown key column\(s\) city/);
+});
+
+test('runs of different datasets are not compared', async () => {
+  const a = await keep([['A-1', 1000]], 'one');
+  const b = await keep([['A-1', 1000]], 'two');
+  assert.throws(() => diffRuns(a, b), ProfileError);
+  assert.equal(removeRun(a.id), true);
+  assert.deepEqual(listRuns({ dataset: 'one' }), []);
+  assert.equal(removeRun('../etc'), false);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJob, getJob, listJobs, removeJob, sweepJobs } = require('../lib/jobs');
+
+const settled = (job) => new Promise(resolve => job.events.once('end', resolve));
+
+test('a job reports progress and keeps its result until removed', async () => {
+  const progress = [];
+  const released = [];
+  const job = createJob(async report => {
+    report({ phase: 'validating', percent: 50 });
+    return { sheets: [] };
+  }, { onRemove: j => released.push(j.id) });
+  job.events.on('progress', p => progress.push(p.phase));
+  assert.equal(job.status, 'queued');
+  await settled(job);
+  assert.equal(job.status, 'done');
+  assert.deepEqual(progress, ['validating', 'done']);
+  assert.deepEqual(getJob(job.id).result, { sheets: [] });
+  assert.equal(removeJob(job.id), true);
+  assert.deepEqual(released, [job.id]);
+  assert.equal(getJob(job.id), null);
+  assert.equal(removeJob(job.id), false);
+});
+
+test('a failed job keeps its error', async () => {
+  const job = createJob(async () => { throw new Error('unreadable'); });
+  await settled(job);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error.message, 'unreadable');
+  removeJob(job.id);
+});
+
+test('a job removed while it runs releases its upload only once it settles', async () => {
+  let finish;
+  const released = [];
+  const job = createJob(() => new Promise(resolve => { finish = resolve; }), { onRemove: () => released.push('upload') });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(job.status, 'running');
+  assert.equal(removeJob(job.id), true);
+  assert.equal(getJob(job.id), null);
+  assert.deepEqual(released, []);
+  finish({ sheets: [] });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(released, ['upload']);
+});
+
+test('sweeping drops finished jobs older than the limit and leaves running ones', async () => {
+  let finish;
+  const running = createJob(() => new Promise(resolve => { finish = resolve; }));
+  const done = createJob(async () => ({}));
+  await settled(done);
+  sweepJobs(60000, Date.now() + 120000);
+  assert.deepEqual(listJobs().map(j => j.id), [running.id]);
+  finish({});
+  await settled(running);
+  removeJob(running.id);
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { PassThrough } = require('node:stream');
+const ExcelJS = require('exceljs');
+const { LimitError, formatSize, checkArchive, checkSheetSize } = require('../lib/limits');
+const { FormatError, loadWorkbook } = require('../lib/formats');
+const { readXlsxStream } = require('../lib/stream');
+const { validateWorkbook } = require('../lib');
+
+const MB = 1024 * 1024;
+
+// A deflated zip of { name, data } entries, declaring `size` as the unpacked size when given. CRCs are
+// left out: neither the checks nor the parsers verify them.
+function zip(entries) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  entries.forEach(({ name, data, size = data.length }) => {
+    const fileName = Buffer.from(name);
+    const packed = zlib.deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    parts.push(local, fileName, packed);
+    directory.push(central, fileName);
+    offset += local.length + fileName.length + packed.length;
+  });
+  const dir = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, dir, end]);
+}
+
+// The smallest xlsx package around one sheet's XML
+function xlsx(sheetXml) {
+  const rels = (target, type) => `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${type}" Target="${target}"/></Relationships>`;
+  const part = (name, xml) => ({ name, data: Buffer.from(xml) });
+  return zip([
+    part('[Content_Types].xml', '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>'),
+    part('_rels/.rels', rels('xl/workbook.xml', 'officeDocument')),
+    part('xl/workbook.xml', '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Assets" sheetId="1" r:id="rId1"/></sheets></workbook>'),
+    part('xl/_rels/workbook.xml.rels', rels('worksheets/sheet1.xml', 'worksheet')),
+    part('xl/worksheets/sheet1.xml', sheetXml),
+  ]);
+}
+
+const SHEET = '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>asset_name</t></is></c></row></sheetData></worksheet>';
+
+function streamOf(buffer) {
+  const stream = new PassThrough();
+  stream.end(buffer);
+  return stream;
+}
+
+const rejects = (fn, code) => assert.throws(fn, err => err instanceof LimitError && err.code === code);
+
+test('a real workbook passes the archive checks', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Assets').addRow(['asset_name', 'final_value']);
+  const entries = checkArchive(Buffer.from(await workbook.xlsx.writeBuffer()));
+  assert.ok(entries.some(e => e.name === '[Content_Types].xml'));
+});
+
+test('an entry compressed far beyond spreadsheet XML is rejected as a zip bomb', () => {
+  const bomb = zip([{ name: '[Content_Types].xml', data: Buffer.from('<Types/>') }, { name: 'xl/bomb.xml', data: Buffer.alloc(4 * MB, 32) }]);
+  assert.throws(() => checkArchive(bomb), err => err instanceof LimitError && err.code === 'archive_suspicious' && /xl\/bomb\.xml/.test(err.message));
+  // Small entries are never judged by their ratio, and a ratio limit of 0 is not checked
+  checkArchive(zip([{ name: 'xl/small.xml', data: Buffer.alloc(MB / 2, 32) }]));
+  checkArchive(bomb, { maxCompressionRatio: 0 });
+});
+
+test('archives unpacking beyond the size or entry limits are rejected', () => {
+  const archive = zip([{ name: 'a.xml', data: Buffer.alloc(2 * MB, 32) }, { name: 'b.xml', data: Buffer.from('b') }, { name: 'c.xml', data: Buffer.from('c') }]);
+  rejects(() => checkArchive(archive, { maxUncompressedSize: MB, maxCompressionRatio: 0 }), 'archive_too_large');
+  rejects(() => checkArchive(archive, { maxEntries: 2, maxCompressionRatio: 0 }), 'archive_too_large');
+});
+
+test('an archive declaring false sizes is rejected once it unpacks beyond them', () => {
+  // 4 MB of spaces declared as 4 KB passes the declared-size checks but not the inflating
+  const archive = zip([{ name: 'xl/bomb.xml', data: Buffer.alloc(4 * MB, 32), size: 4096 }]);
+  assert.throws(() => checkArchive(archive), err => err instanceof FormatError && err.code === 'invalid_file' && /xl\/bomb\.xml unpacks beyond/.test(err.message));
+  checkArchive(zip([{ name: 'xl/bomb.xml', data: Buffer.alloc(4 * MB, 32), size: 4 * MB }]), { maxCompressionRatio: 0 });
+});
+
+test('a truncated archive is reported as a damaged file', () => {
+  const archive = zip([{ name: 'a.xml', data: Buffer.from('<a/>') }]);
+  for (const damaged of [archive.subarray(0, archive.length - 30), archive.subarray(40)]) {
+    assert.throws(() => checkArchive(damaged), err => err instanceof FormatError && err.code === 'invalid_file');
+  }
+});
+
+test('a package with a corrupt sheet part is reported as a damaged file by both readers', async () => {
+  const { workbook } = await loadWorkbook(xlsx(SHEET));
+  assert.equal(workbook.getWorksheet('Assets').getCell('A1').value, 'asset_name');
+  const damaged = (err) => err instanceof FormatError && err.code === 'invalid_file' && /damaged/.test(err.message);
+  for (const sheetXml of ['not xml at all <<<', SHEET.slice(0, SHEET.indexOf('</t>'))]) {
+    await assert.rejects(loadWorkbook(xlsx(sheetXml)), damaged);
+  }
+  await assert.rejects(readXlsxStream(streamOf(xlsx('not xml at all <<<'))), damaged);
+});
+
+test('sheets with too many rows or columns are rejected by name', async () => {
+  rejects(() => checkSheetSize({ name: 'Assets', rows: 11, columns: 3 }, { maxRows: 10 }), 'too_many_rows');
+  rejects(() => checkSheetSize({ name: 'Assets', rows: 1, columns: 4 }, { maxColumns: 3 }), 'too_many_columns');
+  checkSheetSize({ name: 'Assets', rows: 1000000, columns: 3 }, { maxRows: null });
+  const profile = { columns: [{ name: 'a', type: 'int' }] };
+  await assert.rejects(validateWorkbook([['a'], [1], [2], [3]], { profile, limits: { maxRows: 2 } }), /Sheet "Sheet1" has more than 2 data rows/);
+});
+
+test('sizes read in KB below a megabyte and MB above', () => {
+  assert.equal(formatSize(1500), '2 KB');
+  assert.equal(formatSize(20 * MB), '20 MB');
+  assert.equal(formatSize(1.5 * MB), '1.5 MB');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { LANGUAGES, message, ruleMessage, formatMessage, directional } = require('../lib/messages');
+const { ProfileError } = require('../lib/schema');
+const { validateWorkbook } = require('../lib');
+
+const profile = {
+  name: 'messages',
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true },
+    { name: 'final_value', type: 'float', mandatory: true },
+    { name: 'cost_approach_value', type: 'float' },
+  ],
+  rules: [{ id: 'cost_matches', rule: 'cost_approach_value == final_value', message: { ar: 'قيمة التكلفة لا تساوي القيمة النهائية', en: 'The cost value differs from the final value' } }],
+};
+
+test('every message the engine names has an Arabic and an English text', () => {
+  const lib = path.join(__dirname, '../lib');
+  const ids = new Set();
+  fs.readdirSync(lib).forEach(file => {
+    for (const [, id] of fs.readFileSync(path.join(lib, file), 'utf8').matchAll(/\bmessage\('(\w+)'/g)) ids.add(id);
+  });
+  assert.ok(ids.size > 20);
+  ids.forEach(id => LANGUAGES.forEach(lang => assert.notEqual(formatMessage(message(id), lang), id, `${id} (${lang})`)));
+});
+
+test('parameters fill in per language, lists and place names included', () => {
+  const msg = message('column_range', { column: 'value_base', min: 1, max: 9 });
+  assert.equal(formatMessage(msg, 'en'), 'value_base must be between 1 and 9');
+  assert.equal(formatMessage(msg, 'ar'), 'value_base يجب أن يكون بين 1 و 9');
+  assert.equal(formatMessage(message('unknown_id'), 'en'), 'unknown_id');
+  assert.equal(formatMessage({ id: 'x', text: '{places}', params: { places: [{ ar: 'الرياض', en: 'Riyadh' }, 'جدة'] } }, 'ar'), 'الرياض، جدة');
+  assert.equal(formatMessage({ id: 'x', text: '{places}', params: { places: [{ ar: 'الرياض', en: 'Riyadh' }, 'جدة'] } }, 'en'), 'Riyadh, جدة');
+});
+
+test('a profile rewords rules and catalog messages, in one language or both', () => {
+  const overriding = { messages: { cost_matches: 'Cost and final value differ', mandatory_empty: { ar: 'مطلوب', en: 'Required' } } };
+  assert.equal(formatMessage(ruleMessage(profile.rules[0]), 'en'), 'The cost value differs from the final value');
+  assert.equal(formatMessage(ruleMessage(profile.rules[0]), 'ar', overriding), 'Cost and final value differ');
+  assert.equal(formatMessage(message('mandatory_empty'), 'ar', overriding), 'مطلوب');
+  assert.equal(formatMessage(message('mandatory_empty'), 'en', { messages: { mandatory_empty: { ar: 'مطلوب' } } }), 'This mandatory field is empty');
+});
+
+test('notes carry the direction mark of their language on every line', () => {
+  assert.equal(directional('a\nb', 'ar'), '\u200fa\n\u200fb');
+  assert.equal(directional('a', 'en'), '\u200ea');
+  assert.equal(directional(''), '');
+});
+
+test('a run is reported in the language asked for, Arabic by default', async () => {
+  const rows = [['asset_name', 'final_value', 'cost_approach_value'], ['', 1000, 900]];
+  const issueMessages = async (lang) => (await validateWorkbook(rows, { profile, lang })).sheets[0].issues.map(i => i.message);
+  assert.deepEqual(await issueMessages('en'), ['This mandatory field is empty', 'The cost value differs from the final value']);
+  assert.deepEqual(await issueMessages(), ['هذا الحقل إلزامي ولا يجوز تركه فارغًا', 'قيمة التكلفة لا تساوي القيمة النهائية']);
+  await assert.rejects(validateWorkbook(rows, { profile, lang: 'fr' }), err => err instanceof ProfileError && /Unknown language: fr/.test(err.message));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findOutliers } = require('../lib/outliers');
+const { ProfileError, compileProfile } = require('../lib/schema');
+
+const header = ['asset_type', 'final_value'];
+const land = (values) => values.map(v => ['أرض', v]);
+
+test('a value far from its group median is flagged with the group it was judged in', () => {
+  const rows = [...land(['1,000,000', 1100000, 950000, 1050000, 1000000, 100000000, '', 'n/a']), ['مبنى', 5], ['مبنى', 6], ['مبنى', 7000]];
+  const check = { column: 'final_value', groupBy: ['asset_type'], scale: 'log' };
+  assert.deepEqual(findOutliers(rows, header, check), [
+    { index: 5, column: 'final_value', direction: 'high', median: 1025000, count: 6, group: 'أرض' },
+  ]);
+  // Three buildings are too few to judge, whatever their spread
+  assert.deepEqual(findOutliers(rows, header, { ...check, minGroupSize: 3 }).map(o => o.index), [5, 10]);
+});
+
+test('the interquartile method and the threshold decide how far is too far', () => {
+  const rows = land([100, 102, 98, 101, 99, 100, 130]);
+  assert.deepEqual(findOutliers(rows, header, { column: 'final_value', groupBy: [], method: 'iqr' }).map(o => o.index), [6]);
+  assert.deepEqual(findOutliers(rows, header, { column: 'final_value', groupBy: [], method: 'iqr', threshold: 20 }), []);
+});
+
+test('groups match like headers and a group of equal values still shows a stray one', () => {
+  const rows = [[' أرض ', 10], ['أرض', 10], ['ارض', 10], ['أرض', 10], ['أرض', 10], ['أرض', 1]];
+  const found = findOutliers(rows, header, { column: 'final_value', groupBy: ['asset_type'] });
+  assert.deepEqual(found.map(o => [o.index, o.direction, o.count]), [[5, 'low', 6]]);
+});
+
+test('values of zero or below take no part on the log scale', () => {
+  const rows = land([0, -5, 1000, 1100, 900, 1000, 1050]);
+  assert.deepEqual(findOutliers(rows, header, { column: 'final_value', groupBy: [], scale: 'log' }), []);
+});
+
+test('profiles reject outlier checks on unknown columns or with bad settings', () => {
+  const columns = [{ name: 'asset_type', type: 'text' }, { name: 'final_value', type: 'float' }];
+  const compile = (check) => compileProfile({ columns, outliers: [check] }, 'p');
+  assert.equal(compile({ column: 'final_value', groupBy: ['asset_type'] }).outliers[0].id, 'final_value_outlier');
+  assert.throws(() => compile({ column: 'final_value', groupBy: ['city'] }), /Unknown column\(s\) city in outlier check "final_value_outlier"/);
+  assert.throws(() => compile({ column: 'final_value', method: 'zscore' }), ProfileError);
+  assert.throws(() => compile({ column: 'final_value', threshold: 0 }), /"threshold" .* must be a positive number/);
+  assert.throws(() => compile({ column: 'final_value', minGroupSize: 2 }), /at least 3/);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { validateWorkbook, writeValidatedWorkbook } = require('../lib');
+
+const profile = { name: 'dates', columns: [{ name: 'valuation_date', type: 'date', mandatory: true }] };
+
+async function readOutput(result, outputMode) {
+  const { buffer } = await writeValidatedWorkbook(result, { outputMode });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook.getWorksheet('Sheet1');
+}
+
+test('both output modes write the default date fixes back next to their notes', async () => {
+  for (const outputMode of ['annotate', 'clean']) {
+    const result = await validateWorkbook([['valuation_date'], ['1445-06-10'], ['2023/12/23']], { profile, lang: 'en' });
+    const ws = await readOutput(result, outputMode);
+    assert.equal(ws.getCell('A2').value, '23-12-2023', outputMode);
+    assert.match(ws.getCell('A2').note, /1445-06-10/, outputMode);
+    assert.equal(ws.getCell('A3').value, '23-12-2023', outputMode);
+  }
+});
+
+test('the clean copy is the default output mode', async () => {
+  const result = await validateWorkbook([['valuation_date'], ['23-12-2023']], { profile, lang: 'en' });
+  const { buffer } = await writeValidatedWorkbook(result);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  // The clean copy restyles every data cell; annotating leaves unflagged cells as uploaded
+  assert.equal(workbook.getWorksheet('Sheet1').getCell('A2').font.name, 'Calibri');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+process.env.PROFILES_DIR = dir;
+const { ProfileError, listProfiles, loadProfile, loadSheetProfiles } = require('../lib/profiles');
+const { compileProfile } = require('../lib/schema');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({ columns: [{ name: 'asset_name', type: 'text', mandatory: true }] }));
+fs.writeFileSync(path.join(dir, 'land.yaml'), 'description: Land plots\ncolumns:\n  - name: plot_no\n    type: int\n    min: 1\n');
+fs.writeFileSync(path.join(dir, 'broken.json'), '{ "columns": [');
+fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a profile');
+
+test('profiles are read from JSON or YAML files named after them', () => {
+  assert.deepEqual(listProfiles(), ['broken', 'default', 'land']);
+  assert.deepEqual(loadProfile().columns.map(c => c.name), ['asset_name']);
+  const land = loadProfile('land');
+  assert.equal(land.name, 'land');
+  assert.equal(land.description, 'Land plots');
+  assert.deepEqual(land.columns, [{ name: 'plot_no', type: 'int', min: 1 }]);
+});
+
+test('unknown, unreadable and invalid profiles are profile errors', () => {
+  const rejects = (name, pattern) => assert.throws(() => loadProfile(name), err => err instanceof ProfileError && pattern.test(err.message));
+  rejects('missing', /Unknown validation profile: missing/);
+  rejects('../default', /Invalid profile name/);
+  rejects('broken', /Profile "broken" could not be parsed/);
+  assert.throws(() => compileProfile({ columns: [] }, 'empty'), /must define a non-empty "columns" list/);
+  assert.throws(() => compileProfile({ columns: [{ name: 'a', type: 'number' }] }, 'typed'), /Unknown type "number" in profile "typed", column "a"/);
+  assert.throws(() => compileProfile({ columns: [{ name: 'a', type: 'enum' }] }, 'typed'), /must list its allowed values/);
+});
+
+test('sheets can be given profiles of their own by name', () => {
+  const profiles = loadSheetProfiles('{"الأراضي": "land"}');
+  assert.equal(profiles['الأراضي'].name, 'land');
+  assert.deepEqual(loadSheetProfiles(''), {});
+  assert.throws(() => loadSheetProfiles('["land"]'), ProfileError);
+  assert.throws(() => loadSheetProfiles('{"Sheet1": "missing"}'), /Unknown validation profile: missing/);
+});
+
+test('the bundled default profile keeps the optional checks off', () => {
+  const profile = compileProfile(JSON.parse(fs.readFileSync(path.join(__dirname, '../profiles/default.json'), 'utf8')), 'default');
+  assert.equal(profile.columns.length, 17);
+  assert.deepEqual(profile.rules.map(r => r.id), ['market_approach_value_matches_final', 'cost_approach_required', 'cost_approach_value_matches_final']);
+  assert.deepEqual(profile.duplicates, []);
+  assert.equal(profile.geography, null);
+  assert.equal(profile.units, null);
+  assert.deepEqual(profile.outliers, []);
+  assert.deepEqual(profile.policy, { maxErrors: 0, maxWarnings: null });
+});
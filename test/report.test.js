@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { validateWorkbook, writeValidatedWorkbook, issueReport, issueReportCsv } = require('../lib');
+
+const profile = {
+  name: 'report',
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true },
+    { name: 'land_area', type: 'float' },
+  ],
+};
+
+const validate = () => validateWorkbook([['asset_name', 'land_area'], ['أرض', 'abc'], ['', 500]], { profile, lang: 'en' });
+
+// The fields every report format carries for an issue
+const located = ({ sheet, row, column, cell, rule, value }) => ({ sheet, row, column, cell, rule, value });
+
+test('the JSON report lists every issue with its sheet, Excel row, cell and rule', async () => {
+  const report = issueReport(await validate());
+  assert.deepEqual(report.issues.map(located), [
+    { sheet: 'Sheet1', row: 2, column: 'land_area', cell: 'B2', rule: 'land_area_type_float', value: 'abc' },
+    { sheet: 'Sheet1', row: 3, column: 'asset_name', cell: 'A3', rule: 'mandatory_empty', value: '' },
+  ]);
+  assert.ok(report.issues.every(issue => typeof issue.message === 'string' && issue.message));
+  assert.deepEqual(report.sheets.map(({ name, rows, issues }) => ({ name, rows, issues })), [{ name: 'Sheet1', rows: 2, issues: 2 }]);
+});
+
+test('the CSV report has one line per issue under a fixed header', async () => {
+  const text = new TextDecoder().decode(issueReportCsv(await validate()));
+  const lines = text.trim().split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^sheet,row,column,cell,rule,/);
+  assert.match(lines[1], /^Sheet1,2,land_area,B2,land_area_type_float,/);
+  assert.match(lines[2], /^Sheet1,3,asset_name,A3,mandatory_empty,/);
+});
+
+test('the workbook carries the report as a sheet linking back to each cell', async () => {
+  const { buffer } = await writeValidatedWorkbook(await validate());
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const ws = workbook.getWorksheet('Validation Report');
+  assert.equal(ws.getCell('A1').value, 'sheet');
+  assert.equal(ws.rowCount, 3);
+  assert.deepEqual(ws.getCell('D2').value, { text: 'B2', hyperlink: "#'Sheet1'!B2" });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RuleSyntaxError, compileRule, compileExpression } = require('../lib/rules');
+const { ProfileError, compileProfile } = require('../lib/schema');
+
+// Column resolver over a plain object, as the validators pass one per row
+const row = (values) => (name) => values[name];
+
+test('a when/then rule only applies when its condition holds', () => {
+  const rule = compileRule('when market_approach in (1, 2) then market_approach_value == final_value');
+  assert.deepEqual(rule.columns, ['market_approach', 'market_approach_value', 'final_value']);
+  assert.deepEqual(rule.targetColumns, ['market_approach_value', 'final_value']);
+  assert.equal(rule.test(row({ market_approach: 1, market_approach_value: 1000, final_value: 1000 })), true);
+  assert.equal(rule.test(row({ market_approach: 2, market_approach_value: 900, final_value: 1000 })), false);
+  assert.equal(rule.test(row({ market_approach: 3, market_approach_value: 900, final_value: 1000 })), true);
+});
+
+test('numeric text compares as a number and blanks as empty', () => {
+  const rule = compileRule('a == b');
+  assert.equal(rule.test(row({ a: ' 1000 ', b: 1000 })), true);
+  assert.equal(rule.test(row({ a: '1000.0', b: 1000 })), true);
+  assert.equal(compileRule('a is empty').test(row({ a: '   ' })), true);
+  assert.equal(compileRule('a is not empty').test(row({ a: null })), false);
+});
+
+test('arithmetic, tolerances, functions and boolean operators', () => {
+  const sum = compileRule('market_approach_value + cost_approach_value == final_value within 1%');
+  assert.equal(sum.test(row({ market_approach_value: 600, cost_approach_value: 395, final_value: 1000 })), true);
+  assert.equal(sum.test(row({ market_approach_value: 600, cost_approach_value: 380, final_value: 1000 })), false);
+  assert.equal(compileRule('abs(a - b) <= 5').test(row({ a: 10, b: 14 })), true);
+  assert.equal(compileRule('coalesce(a, b) == 3').test(row({ a: null, b: 3 })), true);
+  assert.equal(compileRule('not (a > 1 and b > 1) or c == \'x\'').test(row({ a: 2, b: 2, c: 'x' })), true);
+  assert.equal(compileRule('a not in (\'x\', \'y\')').test(row({ a: 'z' })), true);
+  assert.equal(compileRule('`final value` > 0').test(row({ 'final value': 5 })), true);
+});
+
+test('division by zero and text in arithmetic give no value instead of failing', () => {
+  assert.equal(compileExpression('a / b').evaluate(row({ a: 1, b: 0 })), null);
+  assert.equal(compileExpression('a + b').evaluate(row({ a: 1, b: 'x' })), null);
+  assert.equal(compileExpression('a * 2').evaluate(row({ a: '21' })), 42);
+});
+
+test('syntax errors name the position and the rule', () => {
+  const cases = [
+    ['when a == ', 10, /Unexpected end of rule at position 11/],
+    ['a == (b', 7, /Expected "\)"/],
+    ['a in 1, 2)', 5, /Expected "\("/],
+    ['foo(a) == 1', 0, /Unknown function "foo"/],
+    ['a == \'x', 5, /Unexpected character "'"/],
+    ['a == b within x', 14, /Expected a number after "within"/],
+  ];
+  cases.forEach(([source, pos, message]) => {
+    assert.throws(() => compileRule(source), err => {
+      assert.ok(err instanceof RuleSyntaxError);
+      assert.equal(err.pos, pos);
+      assert.match(err.message, message);
+      assert.ok(err.message.endsWith(`in rule: ${source}`));
+      return true;
+    });
+  });
+});
+
+test('a value expression may not hold a condition', () => {
+  assert.throws(() => compileExpression('when a > 1 then a'), RuleSyntaxError);
+});
+
+test('a profile with a broken rule is rejected with the rule id', () => {
+  const profile = { columns: [{ name: 'a', type: 'int' }], rules: [{ id: 'a_set', rule: 'a ==' }] };
+  assert.throws(() => compileProfile(profile, 'broken'), err => err instanceof ProfileError && /Rule "a_set" in profile "broken"/.test(err.message));
+});
+
+test('a rule naming a column the profile does not define is rejected with the rule id and the column', () => {
+  const columns = [{ name: 'final_value', type: 'float' }, { name: 'cost_approach_value', type: 'float' }];
+  const reject = (rule, pattern) => assert.throws(() => compileProfile({ columns, rules: [rule] }, 'typo'), err => err instanceof ProfileError && pattern.test(err.message));
+  reject({ id: 'cost_set', rule: 'when cost_aproach == 1 then cost_approach_value > 0' }, /Unknown column\(s\) cost_aproach in rule "cost_set" of profile "typo"/);
+  reject({ id: 'matches', rule: 'cost_approach_value == final_value', suggest: 'finalvalue' }, /Unknown column\(s\) finalvalue in rule "matches"/);
+  reject({ id: 'matches', rule: 'cost_approach_value == final_value', columns: ['final_value', 'value'] }, /Unknown column\(s\) value in rule "matches"/);
+  assert.equal(compileProfile({ columns, rules: [{ id: 'matches', rule: 'cost_approach_value == final_value', suggest: 'final_value' }] }).rules.length, 1);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ExcelJS = require('exceljs');
+
+// The routes against a server on a free port, with uploads and profiles in directories of their own
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+process.env.UPLOAD_DIR = path.join(tmp, 'uploads');
+process.env.PROFILES_DIR = path.join(tmp, 'profiles');
+fs.mkdirSync(process.env.PROFILES_DIR);
+fs.writeFileSync(path.join(process.env.PROFILES_DIR, 'assets.json'), JSON.stringify({
+  columns: [
+    { name: 'asset_name', type: 'text', mandatory: true },
+    { name: 'final_value', type: 'float', mandatory: true },
+  ],
+}));
+const app = require('../server');
+
+let server;
+let base;
+test.before(() => new Promise(resolve => {
+  server = app.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => {
+  server.close();
+  server.closeAllConnections();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function xlsxFile(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Assets');
+  rows.forEach(row => ws.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function upload(route, buffer, name = 'assets.xlsx') {
+  const form = new FormData();
+  form.append('file', new Blob([buffer]), name);
+  form.append('profile', 'assets');
+  form.append('lang', 'en');
+  return fetch(base + route, { method: 'POST', body: form });
+}
+
+// The events of a job's progress stream up to its last one
+async function jobEvents(id) {
+  const text = await (await fetch(`${base}/jobs/${id}/events`)).text();
+  return text.trim().split('\n\n').map(block => {
+    const [event, data] = block.split('\n').map(line => line.slice(line.indexOf(':') + 2));
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+const ROWS = [['asset_name', 'final_value'], ['أرض', 1000], ['مبنى', 'x']];
+
+test('a job streams its progress and ends with its status, then serves its workbook', async () => {
+  const resp = await upload('/jobs?type=all', await xlsxFile(ROWS));
+  assert.equal(resp.status, 202);
+  const { id } = await resp.json();
+  const events = await jobEvents(id);
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.verdict.passed, false);
+  assert.deepEqual(done.data.sheets.map(s => [s.name, s.rows, s.issues]), [['Assets', 2, 1]]);
+  assert.ok(events.slice(0, -1).every(e => e.event === 'progress'));
+
+  const download = await fetch(`${base}/jobs/${id}/download`);
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get('x-validation-result'), 'failed');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(await download.arrayBuffer()));
+  assert.equal(workbook.getWorksheet('Assets').getCell('B3').value, 'x');
+  assert.equal((await fetch(`${base}/jobs/${id}`, { method: 'DELETE' })).status, 204);
+  assert.equal((await fetch(`${base}/jobs/${id}`)).status, 404);
+});
+
+test('a sum job has totals but no workbook to download', async () => {
+  const { id } = await (await upload('/jobs?type=sum', await xlsxFile(ROWS))).json();
+  const [done] = (await jobEvents(id)).filter(e => e.event === 'done');
+  assert.equal(done.data.total, 1000);
+  const download = await fetch(`${base}/jobs/${id}/download`);
+  assert.equal(download.status, 400);
+  assert.equal((await download.json()).code, 'sheet_not_validated');
+  assert.equal((await fetch(`${base}/jobs/${id}`, { method: 'DELETE' })).status, 204);
+});
+
+test('damaged and unsupported uploads are refused with their code and not kept', async () => {
+  const good = await xlsxFile(ROWS);
+  const damaged = await upload('/validate', good.subarray(0, good.length - 100));
+  assert.equal(damaged.status, 400);
+  assert.equal((await damaged.json()).code, 'invalid_file');
+  const pdf = await upload('/validate', Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n'), 'assets.pdf');
+  assert.equal(pdf.status, 415);
+  assert.equal((await pdf.json()).code, 'unsupported_format');
+  // Uploads are deleted once the response is done
+  for (let i = 0; i < 50 && fs.readdirSync(process.env.UPLOAD_DIR).length; i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepEqual(fs.readdirSync(process.env.UPLOAD_DIR), []);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const ExcelJS = require('exceljs');
+const { readXlsxStream } = require('../lib/stream');
+const { readSheet } = require('../lib/validate');
+const { loadWorkbook } = require('../lib/formats');
+
+// Enough Arabic text that the shared strings and the sheet XML span many inflated chunks, so some
+// chunk boundaries fall inside a two-byte character
+async function arabicWorkbook(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('الأصول');
+  ws.addRow(['رقم', 'اسم الأصل', 'المدينة', 'وصف']);
+  for (let i = 1; i <= rows; i++) {
+    ws.addRow([i, `أرض سكنية رقم ${i} في حي النخيل`, i % 2 ? 'الرياض' : 'جدة', { formula: `"مبنى تجاري رقم "&A${i + 1}`, result: `مبنى تجاري رقم ${i}` }]);
+  }
+  workbook.addWorksheet('ملخص').addRow(['المجموع', rows]);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function streamOf(buffer) {
+  const stream = new PassThrough();
+  stream.end(buffer);
+  return stream;
+}
+
+test('the streaming reader gives the same sheets as the full reader for Arabic text', async () => {
+  const buffer = await arabicWorkbook(5000);
+  const streamed = await readXlsxStream(streamOf(buffer));
+  const { workbook } = await loadWorkbook(buffer);
+  assert.deepEqual(streamed.map(s => s.name), ['الأصول', 'ملخص']);
+  workbook.worksheets.forEach((worksheet, i) => {
+    const { name, ...sheet } = streamed[i];
+    assert.equal(name, worksheet.name);
+    assert.deepEqual(sheet, readSheet(worksheet));
+  });
+});
+
+test('headerOnly reads the header without collecting rows', async () => {
+  const [sheet] = await readXlsxStream(streamOf(await arabicWorkbook(10)), { headerOnly: true });
+  assert.deepEqual(sheet.header, ['رقم', 'اسم الأصل', 'المدينة', 'وصف']);
+  assert.deepEqual(sheet.rows, []);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileProfile } = require('../lib/schema');
+const { INSTRUCTIONS_SHEET, buildTemplate } = require('../lib/template');
+
+const profile = compileProfile({
+  columns: [
+    { name: 'valuation_date', type: 'date', calendar: 'gregorian', mandatory: true, notInFuture: true },
+    { name: 'inspection_date', type: 'date' },
+    { name: 'deed_date', type: 'date', calendar: 'hijri' },
+    { name: 'final_value', type: 'float', min: 0 },
+  ],
+}, 'dates');
+
+// The data validation on each column of the Data sheet. Reading a written template back would expand
+// every validated range to its million cells.
+function columnValidations() {
+  const workbook = buildTemplate(profile, { lang: 'en' });
+  assert.deepEqual(workbook.worksheets.map(ws => ws.name), ['Data', INSTRUCTIONS_SHEET]);
+  const { model } = workbook.getWorksheet('Data').dataValidations;
+  return ['A', 'B', 'C', 'D'].map(letter => model[`${letter}2:${letter}1048576`]);
+}
+
+test('a Gregorian date column refuses anything but a real date', () => {
+  const [gregorian] = columnValidations();
+  assert.equal(gregorian.type, 'custom');
+  assert.equal(gregorian.errorStyle, 'stop');
+  assert.equal(gregorian.formulae[0], 'AND(ISNUMBER(A2),A2<=TODAY())');
+});
+
+test('a date column open to Hijri dates only warns about text, and a Hijri one is not checked', () => {
+  const [, auto, hijri, value] = columnValidations();
+  assert.equal(auto.errorStyle, 'warning');
+  assert.equal(auto.formulae[0], 'AND(ISNUMBER(B2))');
+  assert.equal(hijri, undefined);
+  assert.equal(value.type, 'decimal');
+  assert.equal(value.errorStyle, 'stop');
+});
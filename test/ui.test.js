@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const page = fs.readFileSync(path.join(__dirname, '../public/index.html'), 'utf8');
+
+// The source of a function declared in the page's script, up to its matching closing brace
+function pageFunction(name) {
+  const start = page.indexOf(`function ${name}(`);
+  assert.notEqual(start, -1, `function ${name} not found`);
+  let depth = 0;
+  for (let i = page.indexOf('{', start); i < page.length; i++) {
+    if (page[i] === '{') depth++;
+    else if (page[i] === '}' && --depth === 0) return page.slice(start, i + 1);
+  }
+  throw new Error(`function ${name} is not closed`);
+}
+
+// renderSummary labels its lines in the page language and styles them by their mark
+const context = vm.createContext({
+  SEVERITY_COLORS: { error: '#FFDE21', warning: '#FCE4D6', info: '#DDEBF7' },
+  MARK_STYLES: { '❌': { color: '#a80000', background: '#fff3f3', note: '#f8d7da', shadow: '#ff000022' } },
+  UI_TEXT: { en: { summary: 'Summary:', cells: 'Cells', note: 'Note:', fallbackNote: 'Check the data.' } },
+  currentLang: () => 'en',
+});
+vm.runInContext(`${pageFunction('escapeHtml')}\n${pageFunction('renderTable')}\n${pageFunction('renderSummary')}`, context);
+
+const SCRIPT = '<script>alert("x")</script>';
+
+test('cell values, headers and messages reach the preview table escaped', () => {
+  const header = ['asset_name', `<img src=x onerror='alert(1)'>`];
+  const preview = [{
+    asset_name: { value: SCRIPT, highlight: true, severity: 'error', messages: [`bad value: ${SCRIPT}`] },
+    [header[1]]: { value: '"quoted" & \'single\'', fixed: true, note: SCRIPT },
+  }];
+  for (const rowNumbers of [undefined, [2]]) {
+    const table = context.renderTable(header, preview, rowNumbers);
+    assert.doesNotMatch(table, /<script|<img/);
+    assert.match(table, /&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;/);
+    assert.match(table, /&lt;img src=x onerror=&#39;alert\(1\)&#39;&gt;/);
+    assert.match(table, /&quot;quoted&quot; &amp; &#39;single&#39;/);
+  }
+});
+
+test('summary lines naming file content reach the page escaped', () => {
+  for (const summary of [[`✅ ${SCRIPT}`], [`❌ ${SCRIPT} 3`, '✅ ok']]) {
+    const html = context.renderSummary(summary);
+    assert.doesNotMatch(html, /<script/);
+    assert.match(html, /&lt;script&gt;/);
+  }
+});
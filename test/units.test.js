@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkUnit, normalizeUnit, convertUnit } = require('../lib/units');
+const { formatMessage } = require('../lib/messages');
+const { ProfileError, compileProfile } = require('../lib/schema');
+const { validateWorkbook } = require('../lib');
+
+const units = { column: 'unit', value: 'capacity', dimensions: { product_type: { cement: ['mass_rate'], 'كهرباء': ['power'] } } };
+const header = ['product_type', 'unit', 'capacity'];
+
+// The issues of one row as [rule, suggestion, English message]
+const check = (row) => checkUnit(row, header, units).map(i => [i.rule, i.suggestion, formatMessage(i.message, 'en')]);
+
+test('catalog units pass under any synonym, in Arabic or English', () => {
+  for (const unit of ['ton/day', 'TPD', 'Ton / Day', 'ton per day', 'طن يومياً', 'طن/يوم']) assert.deepEqual(check(['cement', unit, 100]), [], unit);
+  assert.deepEqual(check(['كهرباء', 'MW', 5]), []);
+  assert.deepEqual(check(['cement', '', 5]), []);
+});
+
+test('unknown units are errors with the closest catalog unit suggested', () => {
+  assert.deepEqual(check(['cement', 'tonn/day', 5]), [['unit_unknown', 'ton/day', 'Unknown unit "tonn/day"; did you mean "ton/day"?']]);
+  assert.deepEqual(check(['cement', 'xyz', 1]), [['unit_unknown', undefined, 'Unknown unit "xyz"']]);
+});
+
+test('a unit of the wrong dimension for the product type is flagged with the base unit suggested', () => {
+  assert.deepEqual(check(['cement', 'MW', 5]), [['unit_dimension', 'ton/day', '"MW" measures power; this asset or product type expects mass per time']]);
+  // No dimensions are configured for steel
+  assert.deepEqual(check(['steel', 'MW', 5]), []);
+});
+
+test('the unit fixes rewrite the spelling and, when chosen, convert to the base unit', () => {
+  assert.deepEqual(normalizeUnit(['cement', 'TPD', 100], header, units), [{ column: 'unit', value: 'ton/day' }]);
+  assert.deepEqual(normalizeUnit(['cement', 'طن يومياً', 100], header, units), [{ column: 'unit', value: 'طن/يوم' }]);
+  assert.deepEqual(normalizeUnit(['cement', 'ton/day', 100], header, units), []);
+  assert.deepEqual(convertUnit(['cement', 'ton per hour', 2], header, units), [{ column: 'capacity', value: 48 }, { column: 'unit', value: 'ton/day' }]);
+  assert.deepEqual(convertUnit(['cement', 'ton/year', '365'], header, units), [{ column: 'capacity', value: 1 }, { column: 'unit', value: 'ton/day' }]);
+  assert.deepEqual(convertUnit(['cement', 'ton/day', 5], header, units), []);
+  assert.deepEqual(convertUnit(['cement', 'ton/hour', 'n/a'], header, units), []);
+});
+
+test('fix mode converts capacities only when convert_units is chosen', async () => {
+  const profile = {
+    columns: [{ name: 'product_type', type: 'text' }, { name: 'unit', type: 'text' }, { name: 'capacity', type: 'float' }],
+    units,
+  };
+  const rows = [header, ['cement', 'TPH', 2]];
+  const byDefault = await validateWorkbook(rows, { profile, fix: true, lang: 'en' });
+  assert.deepEqual(byDefault.sheets[0].validated.rows[0], ['cement', 'ton/hour', 2]);
+  const converted = await validateWorkbook(rows, { profile, fix: true, fixes: ['unit_names', 'convert_units'], lang: 'en' });
+  assert.deepEqual(converted.sheets[0].validated.rows[0], ['cement', 'ton/day', 48]);
+});
+
+test('a units section must name profile columns and catalog dimensions', () => {
+  const columns = [{ name: 'product_type', type: 'text' }, { name: 'unit', type: 'text' }];
+  assert.throws(() => compileProfile({ columns, units: { column: 'measuring_unit' } }, 'units'), ProfileError);
+  assert.throws(() => compileProfile({ columns, units: { column: 'unit', dimensions: { product_type: { cement: ['weight'] } } } }, 'units'), ProfileError);
+});
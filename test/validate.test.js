@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateWorkbook, revalidateSheet, previewEdit, previewRow } = require('../lib');
+
+const profile = {
+  name: 'verdict',
+  columns: [
+    { name: 'asset_type', type: 'text', mandatory: true },
+    { name: 'final_value', type: 'float', mandatory: true },
+    { name: 'owner_name', type: 'text' },
+  ],
+  rules: [{ id: 'owner_named', rule: 'owner_name is not empty', severity: 'warning' }],
+  outliers: [{ column: 'final_value', groupBy: ['asset_type'], scale: 'log' }],
+  policy: { maxErrors: 0, maxWarnings: 0 },
+};
+
+const header = ['asset_type', 'final_value', 'owner_name'];
+const assets = (values, owner = 'شركة') => values.map(v => ['أرض', v, owner]);
+
+test('outlier warnings are counted but do not fail a sheet under the warning limit', async () => {
+  const result = await validateWorkbook([header, ...assets([1000, 1100, 950, 1050, 1000, 9000000])], { profile, lang: 'en' });
+  const { verdict } = result.sheets[0];
+  assert.equal(verdict.warnings, 1);
+  assert.equal(verdict.passed, true);
+  assert.equal(result.verdict.passed, true);
+});
+
+test('other warnings beyond the limit still fail the sheet', async () => {
+  const result = await validateWorkbook([header, ...assets([1000, 1100], '')], { profile, lang: 'en' });
+  assert.equal(result.sheets[0].verdict.warnings, 2);
+  assert.equal(result.verdict.passed, false);
+  assert.match(result.sheets[0].validated.summary.at(-1), /outlier warnings not counted/);
+});
+
+test('a sheet with none of the profile columns is skipped, one missing some of them fails', async () => {
+  const sheets = [
+    { name: 'Assets', header, rows: assets([1000, 1100]) },
+    { name: 'Notes', header: ['ملاحظات'], rows: [['تم التقييم في الموقع']] },
+  ];
+  const result = await validateWorkbook({ sheets }, { profile, lang: 'en' });
+  const notes = result.sheets[1];
+  assert.equal(notes.skipped, true);
+  assert.match(notes.error, /skipped: none of its columns belongs to profile verdict/);
+  assert.deepEqual(result.verdict.failedSheets, []);
+  assert.equal(result.verdict.passed, true);
+
+  sheets[1] = { name: 'Partial', header: ['asset_type'], rows: [['أرض']] };
+  const partial = await validateWorkbook({ sheets }, { profile, lang: 'en' });
+  assert.equal(partial.sheets[1].skipped, false);
+  assert.deepEqual(partial.verdict.failedSheets, ['Partial']);
+});
+
+test('an edited row checked on its own matches the full check but for cross-row findings', async () => {
+  const options = { profile, lang: 'en', fix: true };
+  const result = await validateWorkbook([header, ['أرض', '9,000,000', 'شركة'], ...assets([1000, 1100, 950, 1050, 1000])], options);
+  // An earlier edit the row carries into the preview
+  const edited = revalidateSheet(result, 'Sheet1', [{ row: 2, column: 'owner_name', value: '' }], options);
+  const row = JSON.parse(JSON.stringify(previewRow(edited.sheets[0], 0, true)));
+  const edit = { row: 2, column: 'owner_name', value: 'مالك' };
+  const local = previewEdit({ name: 'Sheet1', header }, row, edit, options);
+  const full = previewRow(revalidateSheet(edited, 'Sheet1', [edit], options).sheets[0], 0, true);
+  assert.deepEqual(local.owner_name, full.owner_name);
+  assert.equal(local.owner_name.uploaded, 'شركة');
+  // The number fix shows, the unusual value needs the other rows
+  const { messages, severity, ...rest } = full.final_value;
+  assert.equal(messages.length, 1);
+  assert.deepEqual(local.final_value, { ...rest, highlight: false });
+  assert.equal(local.final_value.fixed, true);
+});
+
+test('the count of additional check failures is summed up only when there are any', async () => {
+  const columns = [{ name: 'asset_name', type: 'text' }, { name: 'land_area', type: 'float' }];
+  const summaryOf = async (area) => (await validateWorkbook([['asset_name', 'land_area'], ['أرض', area]], { profile: { columns }, lang: 'en' })).sheets[0].validated.summary;
+  assert.ok((await summaryOf('abc')).includes('Additional rule violations: 1'));
+  assert.ok(!(await summaryOf(250)).some(line => /Additional rule violations/.test(line)));
+});